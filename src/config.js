@@ -2,20 +2,168 @@ export const TILE_SIZE = 16;              // pixels per tile
 export const CHUNK_SIZE = 64;             // tiles per chunk side
 export const CHUNK_PIXEL_SIZE = TILE_SIZE * CHUNK_SIZE;
 
-export const PLAYER_SPEED = 200;          // pixels per second
+export const PLAYER_SPEED = 200;          // pixels per second (on terrain with speed factor 1)
+export const PLAYER_ACCEL = 1400;         // px/s^2 toward the input direction
+export const PLAYER_FRICTION = 1800;      // px/s^2 braking with no input (or above the terrain's top speed)
 
 // How many chunks beyond the viewport to draw/generate
 export const VIEW_CHUNK_MARGIN = 1;
 
-// Extended noise parameters for environmental axes
+// Camera zoom (screen pixels per world pixel)
+export const ZOOM_MIN = 1 / 16;
+export const ZOOM_MAX = 4;
+export const ZOOM_STEP = 1.25;            // factor per wheel notch / key press
+
+// Camera follow behaviours (Camera.update); the `camera` command tweaks them at runtime.
+// Screen-space sizes are in CSS pixels and scale with zoom.
+export const CAMERA = {
+  SMOOTH_TIME: 0.12,       // s, critically damped follow (0 = snap to the target)
+  DEAD_ZONE_W: 48,         // screen px the player can move without the camera following
+  DEAD_ZONE_H: 32,
+  LOOK_AHEAD: 0.3,         // s of player velocity to lead by (0 = off)
+  LOOK_AHEAD_MAX: 96,      // screen px cap on the lead
+  LOOK_AHEAD_EASE: 0.35,   // s, time constant easing the lead in and out
+  SHAKE_MAX: 14,           // screen px offset at full trauma
+  SHAKE_DECAY: 1.6,        // trauma lost per second
+  SHAKE_FREQ: 22,          // base wobble frequency (rad/s)
+  IMPULSE_TIME: 0.1,       // s, spring return time after impulse()
+};
+
+// Corner minimap and explored-area mask (fog of war)
+export const MINIMAP = {
+  SIZE: 176,               // CSS px per side
+  RADIUS: 256,             // tiles from the player to the minimap edge (default)
+  MIN_RADIUS: 32,
+  MAX_RADIUS: 2048,
+  CELL_TILES: 4,           // explored-mask and minimap sample resolution (divides CHUNK_SIZE)
+  REVEAL_RADIUS: 28,       // tiles around the player marked explored
+  BUILDS_PER_FRAME: 2,     // chunk thumbnails built per frame at most
+  SAVE_INTERVAL: 5,        // s between saves of a changed explored mask
+  SAVED_WORLDS: 8,         // explored masks kept in localStorage; the least recently used seed goes first
+  FOG_COLOR: '#0b0d12',
+};
+
+// World atlas: full-screen overview (M key / `map` command), sampled coarsely in blocks
+export const ATLAS = {
+  SCALE: 16,               // tiles per screen px when first opened
+  MIN_SCALE: 1,
+  MAX_SCALE: 256,
+  BLOCK: 32,               // samples per side of a cached overview block
+  MAX_BLOCKS: 3000,        // cached blocks (all scales) before the least recently drawn go
+  WORKERS: 2,              // workers sampling blocks (0 = main thread, BUILD_MS per frame)
+  BUILD_MS: 6,
+  LEGEND_ROWS: 12,         // biomes listed in the legend (most common in view first)
+  HOVER_MS: 120,           // ms the cursor rests on a tile before its biome is looked up
+};
+
+// Input: gamepad tuning (key and button bindings live in input/actions.js)
+export const INPUT = {
+  PAD_DEAD_ZONE: 0.2,      // left-stick radius treated as centered (0..1)
+  PAD_TRIGGER: 0.5,        // analog trigger value that counts as pressed
+};
+
+// Touch controls (shown after the first touch)
+export const TOUCH = {
+  JOY_RADIUS: 56,          // CSS px from the joystick center to full deflection
+  JOY_DEAD_ZONE: 0.15,     // fraction of the radius treated as centered
+  JOY_ZONE: 0.45,          // fraction of the screen width (from the left) where a touch grabs the joystick
+};
+
+// Pathfinding (A* over tile movement costs) and auto-walk along the route
+export const PATH = {
+  MAX_NODES: 250000,       // tiles expanded before a search gives up
+  MARGIN: 48,              // tiles of slack around the start/goal box the route may use
+  MAX_SPAN: 768,           // longest search window side (tiles); farther goals are refused
+  SEARCH_MS: 4,            // search time per frame (long searches span several frames)
+  ARRIVE_PX: 4,            // distance at which a waypoint counts as reached
+  SLOW_PX: 24,             // ease off within this distance of the final waypoint
+  STUCK_TIME: 0.75,        // s without progress before replanning (once), then giving up
+  COLOR: '#ffd166',
+};
+
+// Save games (IndexedDB slots; see save/savegame.js)
+export const SAVE = {
+  AUTOSAVE_INTERVAL: 60,   // s between autosaves (0 = only on page hide/unload)
+  AUTO_SLOT: 'auto',       // slot written by autosave
+  QUICK_SLOT: 'quick',     // slot used by `save` without a name
+};
+
+// Shareable URL (?seed=&tx=&ty=&view=&zoom=; see save/urlstate.js)
+export const URL_STATE = {
+  INTERVAL: 1,             // s between address bar updates while the state changes
+};
+
+// Wildlife (entity/fauna.js): populations are rolled per chunk from the seed
+export const FAUNA = {
+  ACTIVE_RADIUS: 1,        // chunks around the player's chunk that are populated and simulated
+  ATTEMPTS: 16,            // spawn rolls per chunk (a biome's density is groups per chunk)
+  GROUP_SPREAD: 2,         // tiles from the first member that the rest of a group may stand
+  LEASH: 20,               // tiles an animal wanders from its spawn point at most
+  PACE: 0.5,               // fraction of top speed used when wandering (fleeing is full speed)
+};
+
+// Decoration scatter (world/decor.js): one prop at most per jittered grid cell
+export const DECOR = {
+  CELL_TILES: 2,           // grid cell side in tiles (must divide CHUNK_SIZE)
+  MIN_TILE_PX: 6,          // props are drawn only when a tile covers at least this many screen px
+  BLOCKING: true,          // trees and boulders block their tile
+  VISIBLE: true,           // draw props (biome view only)
+};
+
+// Settlements (world/settlements.js): one site per region, placed where the ground is
+// fertile, not too high and near a river, and joined to its neighbours by road
+export const SETTLEMENTS = {
+  REGION_TILES: 256,       // region side in tiles; each holds at most one site
+  CANDIDATES: 16,          // hashed spots scored per region
+  WATER_CHECKS: 3,         // best spots (by fert and elev) that are also checked for a nearby river
+  TOWN_SCORE: 0.62,        // site score (0..1) from which a site is a town
+  CAMP_SCORE: 0.5,         // ... a camp; lower-scoring sites are landmarks
+  BUILD_RADIUS: 1,         // regions around the player whose roads are built in the background
+  KEEP_RADIUS: 4,          // regions around the player whose sites and roads are kept (> BUILD_RADIUS + 1)
+  BUILD_MS: 3,             // background site and road work per frame
+  WORKERS: 1,              // workers placing sites (0 = main thread, within BUILD_MS per frame)
+};
+
+// Roads between settlements, routed by A* over a coarse grid of tiles
+export const ROADS = {
+  STEP: 8,                 // tiles between route nodes
+  MARGIN: 8,               // route nodes of slack around the two sites
+  MAX_NODES: 20000,        // node expansions before a route is given up
+  SPEED: 1.4,              // speed multiplier on road tiles, whatever the ground (roads bridge rivers)
+  HALF_WIDTH: 0.75,        // tiles from the center line that count as road
+  COLOR: '#a88a5c',
+};
+
+// Level of detail: the first level whose minTilePx a tile still covers on screen is
+// drawn; coarser levels sample one tile in `step` (a power of two dividing CHUNK_SIZE).
+export const LOD_LEVELS = [
+  { step: 1, minTilePx: 4 },
+  { step: 4, minTilePx: 2 },
+  { step: 16, minTilePx: 0 },
+];
+
+// Chunk cache budget: least-recently-used chunks far from the camera are evicted
+// once either limit is exceeded (bytes are estimated from canvas backing stores).
+export const CHUNK_CACHE_MAX_CHUNKS = 96;
+export const CHUNK_CACHE_MAX_BYTES = 256 * 1024 * 1024;
+
+// Max Web Workers used for chunk generation (capped by hardwareConcurrency - 1).
+// 0 disables workers and generates chunks synchronously on the main thread.
+export const CHUNK_WORKERS = 4;
+
+// Extended noise parameters for environmental axes.
+// type: 'value' (default, hash-based value noise) | 'gradient' | 'simplex' | 'ridged' | 'billow'
+// warp (optional): domain warp { amplitude: tiles, frequency, octaves }, e.g. ridged ridges:
+//   elevation: { type: 'ridged', octaves: 5, frequency: 1 / 96, lacunarity: 2.0, gain: 0.5,
+//                warp: { amplitude: 24, frequency: 1 / 160, octaves: 2 } }
 export const NOISE_PARAMS = {
-  elevation: { octaves: 5, frequency: 1 / 96,  lacunarity: 2.0, gain: 0.5 },
-  moisture:  { octaves: 4, frequency: 1 / 64, lacunarity: 2.0, gain: 0.5 },
-  temperature: { octaves: 4, frequency: 1 / 256, lacunarity: 2.0, gain: 0.55 },
-  roughness:   { octaves: 3, frequency: 1 / 32,  lacunarity: 2.5, gain: 0.6 },
-  salinity:    { octaves: 3, frequency: 1 / 384, lacunarity: 2.0, gain: 0.5 },
-  fertility:   { octaves: 4, frequency: 1 / 192, lacunarity: 2.0, gain: 0.5 },
-  fire:        { octaves: 3, frequency: 1 / 128, lacunarity: 2.0, gain: 0.55 },
+  elevation: { type: 'value', octaves: 5, frequency: 1 / 96,  lacunarity: 2.0, gain: 0.5 },
+  moisture:  { type: 'value', octaves: 4, frequency: 1 / 64, lacunarity: 2.0, gain: 0.5 },
+  temperature: { type: 'value', octaves: 4, frequency: 1 / 256, lacunarity: 2.0, gain: 0.55 },
+  roughness:   { type: 'value', octaves: 3, frequency: 1 / 32,  lacunarity: 2.5, gain: 0.6 },
+  salinity:    { type: 'value', octaves: 3, frequency: 1 / 384, lacunarity: 2.0, gain: 0.5 },
+  fertility:   { type: 'value', octaves: 4, frequency: 1 / 192, lacunarity: 2.0, gain: 0.5 },
+  fire:        { type: 'value', octaves: 3, frequency: 1 / 128, lacunarity: 2.0, gain: 0.55 },
 };
 
 // Large-scale gradients to evoke Alabama-like north-south variation
@@ -44,5 +192,34 @@ export const MAX_DT = 0.1; // seconds
 // Player render size (square), in pixels
 export const PLAYER_SIZE = 10;
 
+// Movement cost: speed factor = biome speed (biomes.csv) x roughness penalty x wading penalty.
+export const TERRAIN = {
+  ROUGH_START: 0.45,       // rough axis above this starts slowing the player
+  ROUGH_PENALTY: 0.5,      // speed lost at rough = 1 (linear from ROUGH_START)
+  WADE_FACTOR: 0.45,       // speed multiplier in fordable river tiles
+  MIN_FACTOR: 0.15,        // floor so no walkable tile is a dead stop
+};
+
 // Background clear color when no chunk yet
-export const CLEAR_COLOR = "#0a0f1a";
\ No newline at end of file
+export const CLEAR_COLOR = "#0a0f1a";
+
+// Hydrology: rivers traced downhill over the elevation field on a coarse cell grid.
+// Springs rise in uplands; each step flows to the lowest southward (or lower sideways)
+// neighbour cell until salinity says we reached the coast. Tributaries merge where
+// traces meet; flow order grows with the number of springs upstream.
+export const RIVERS = {
+  CELL_TILES: 32,          // drainage grid resolution (tiles per cell)
+  SPRING_CHANCE: 0.02,     // chance a cell holds a spring (before the elevation check)
+  SPRING_MIN_ELEV: 0.6,    // springs only rise in uplands
+  MAX_LENGTH_CELLS: 192,   // a river still inland after this many cells ends in a lake
+  LAKE_RADIUS: 5,          // tiles, lake at the end of such a river
+  COAST_SAL: 0.55,         // a river ends at the first cell this salty
+  JITTER: 0.6,             // path node jitter within a cell (fraction of CELL_TILES)
+  HALF_WIDTH_BASE: 0.6,    // river half-width in tiles at order 1
+  HALF_WIDTH_PER_ORDER: 0.5,
+  CORRIDOR_TILES: 12,      // wet corridor beyond the banks
+  CORRIDOR_MOIST: 0.25,    // max moisture boost at the bank
+  CORRIDOR_FERT: 0.15,     // max fertility boost at the bank
+  FORD_MAX_ORDER: 2,       // river tiles up to this order can be waded; larger rivers block
+  COLOR: '#3d7fb8',
+};
@@ -0,0 +1,93 @@
+/**
+ * Bind command: inspect and change the action binding table (see also `unbind`).
+ * Bindings are saved to localStorage. Codes are KeyboardEvent.code values or
+ * friendly names (w, up, space, f2, esc) and gamepad buttons (pad a, pad start, pad up).
+ * Examples:
+ *  - bind                 (list every action and its keys/buttons)
+ *  - bind map             (show one action)
+ *  - bind map tab         (add Tab to "map"; taken from another action if bound there)
+ *  - bind reset [action]  (restore defaults)
+ */
+import { ACTIONS, normalizeCode } from '../../input/actions.js';
+
+const BIND_USAGE = 'bind [<action> [<key|pad button>]] | bind reset [action]';
+
+/** One action's row in binding listings. */
+export function bindingLine(action, codes) {
+  return `  ${action.padEnd(10)} ${codes.length ? codes.join(', ') : '(unbound)'}   ${ACTIONS[action]}`;
+}
+
+/** Action name from user input (case-insensitive), or null. */
+export function findAction(name) {
+  const lower = String(name || '').toLowerCase();
+  return Object.keys(ACTIONS).find(a => a.toLowerCase() === lower) || null;
+}
+
+/** Whether console codes include a keyboard key (gamepads can't type commands). */
+export function hasConsoleKey(codes) {
+  return codes.some(c => !c.startsWith('Pad'));
+}
+
+export function unknownAction(ctx, name) {
+  ctx.print(` unknown action "${name}". Actions: ${Object.keys(ACTIONS).join(', ')}`);
+}
+
+export default {
+  name: 'bind',
+  aliases: ['keys'],
+  usage: BIND_USAGE,
+  describe: 'List or change the keys and gamepad buttons bound to each action (saved in this browser).',
+  run(args, ctx) {
+    const input = ctx.input;
+    if (!input) {
+      ctx.print('bind: not available in this build.');
+      return;
+    }
+    const bindings = input.getBindings();
+    if (!args.length) {
+      ctx.print('Bindings (bind <action> <key> to add, unbind to remove):');
+      for (const action of Object.keys(ACTIONS)) ctx.print(bindingLine(action, bindings[action]));
+      const pad = input.gamepad.connected();
+      ctx.print(pad ? `Gamepad: ${pad} (stick dead zone ${input.gamepad.getDeadZone()})` : 'Gamepad: none (press a button to connect)');
+      return;
+    }
+    if (String(args[0]).toLowerCase() === 'reset') {
+      let action = null;
+      if (args[1] != null) {
+        action = findAction(args[1]);
+        if (!action) {
+          unknownAction(ctx, args[1]);
+          return;
+        }
+      }
+      input.reset(action);
+      ctx.print(action ? `bind: ${action} reset to defaults.` : 'bind: all bindings reset to defaults.');
+      if (action) ctx.print(bindingLine(action, input.getBindings()[action]));
+      return;
+    }
+    const action = findAction(args[0]);
+    if (!action) {
+      unknownAction(ctx, args[0]);
+      return;
+    }
+    if (args.length === 1) {
+      ctx.print(bindingLine(action, bindings[action]));
+      return;
+    }
+    const name = args.slice(1).join(' ');
+    const code = normalizeCode(name);
+    if (!code) {
+      ctx.print(`bind: unknown key or button "${name}".`);
+      return;
+    }
+    // Keep a way back into the console (a saved binding outlives the page)
+    if (action !== 'console' && input.actionFor(code) === 'console' &&
+        !hasConsoleKey(bindings.console.filter(c => c !== code))) {
+      ctx.print(`bind: ${code} is the console's only key (bind another key to the console first).`);
+      return;
+    }
+    const prev = input.bind(action, code);
+    ctx.print(`bind: ${code} -> ${action}` + (prev ? ` (removed from ${prev})` : ''));
+    ctx.print(bindingLine(action, input.getBindings()[action]));
+  }
+};
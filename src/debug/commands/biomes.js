@@ -0,0 +1,258 @@
+/**
+ * Biomes command: inspect and hot-reload the biome prototype list.
+ * Examples:
+ *  - biomes                      (same as "biomes list")
+ *  - biomes list [text]          (id, label, color and axes; optional label filter)
+ *  - biomes reload               (re-fetch the current CSV and rebuild chunks)
+ *  - biomes load ./packs/ga.csv  (switch to another biome pack)
+ *  - biomes watch [seconds|off]  (poll the CSV and reload when it changes)
+ *  - biomes errors               (problems from the last load)
+ *  - biomes verify [samples]     (fast classifier vs brute-force scan)
+ * The player keeps its position; only cached chunks are regenerated.
+ */
+import {
+  tryLoadBiomesFromCSV,
+  getActiveBiomes,
+  getBiomeLoadReport,
+  formatBiomeLoadError,
+  classifyAxesId,
+  classifyAxesBrute,
+} from '../../world/biomes.js';
+
+const USAGE = 'biomes [list [text] | reload | load <url> | watch [seconds|off] | errors | verify [samples]]';
+
+const DEFAULT_URL = './src/world/biomes.csv';
+const AXES = ['temp', 'moist', 'elev', 'rough', 'sal', 'fert', 'fire'];
+const COMPARED = ['label', 'anchor', ...AXES, 'color', 'radius', 'passable', 'speed'];
+
+// Polling state for "biomes watch"
+let watchTimer = 0;
+let watchText = null;
+let watchBusy = false;
+
+function currentUrl() {
+  // A failed "load" keeps the previous pack
+  return getBiomeLoadReport().source || DEFAULT_URL;
+}
+
+function sameWeights(a, b) {
+  for (const k of AXES) {
+    if ((a?.[k] ?? 1) !== (b?.[k] ?? 1)) return false;
+  }
+  return true;
+}
+
+/**
+ * Compare two prototype lists by id.
+ * @returns {{added:any[], removed:any[], changed:Array<{biome:any, fields:string[]}>}}
+ */
+function diffLists(before, after) {
+  const old = new Map(before.map(b => [b.id, b]));
+  const added = [];
+  const changed = [];
+  for (const b of after) {
+    const prev = old.get(b.id);
+    old.delete(b.id);
+    if (!prev) {
+      added.push(b);
+      continue;
+    }
+    const fields = COMPARED.filter(k => (prev[k] ?? null) !== (b[k] ?? null));
+    if (!sameWeights(prev.weights, b.weights)) fields.push('weights');
+    if (fields.length) changed.push({ biome: b, fields });
+  }
+  return { added, removed: Array.from(old.values()), changed };
+}
+
+function describeBiome(b) {
+  const axes = AXES.map(k => `${k}=${b[k].toFixed(2)}`).join(' ');
+  const extra = [];
+  if (b.radius != null && b.radius !== 1) extra.push(`radius=${b.radius}`);
+  if (b.weights) extra.push(`weights={${Object.entries(b.weights).map(([k, v]) => `${k}:${v}`).join(',')}}`);
+  if (b.passable === false) extra.push('impassable');
+  if (b.speed != null && b.speed !== 1) extra.push(`speed=${b.speed}`);
+  return `${String(b.id).padStart(3)} ${b.color} ${b.label}\n      ${axes}${extra.length ? `\n      ${extra.join(' ')}` : ''}`;
+}
+
+function printErrors(ctx, report) {
+  for (const e of report.errors) ctx.print('  ' + formatBiomeLoadError(e, report.url));
+}
+
+/**
+ * Load a CSV, report problems and what changed, and rebuild the world when it loaded.
+ */
+async function reloadFrom(url, ctx) {
+  const before = getActiveBiomes();
+  const after = await tryLoadBiomesFromCSV(url);
+  const report = getBiomeLoadReport();
+  if (!report.ok) {
+    ctx.print(`biomes: could not load ${url}; keeping ${before.length} current prototypes.`);
+    printErrors(ctx, report);
+    return false;
+  }
+
+  if (typeof ctx.world?.clearChunks === 'function') ctx.world.clearChunks();
+
+  const { added, removed, changed } = diffLists(before, after);
+  const lines = [`biomes: loaded ${after.length} prototypes from ${url}`];
+  if (!added.length && !removed.length && !changed.length) lines.push('  no prototype changes');
+  for (const b of added) lines.push(`  + ${b.id} ${b.label}`);
+  for (const b of removed) lines.push(`  - ${b.id} ${b.label}`);
+  for (const c of changed) lines.push(`  ~ ${c.biome.id} ${c.biome.label}: ${c.fields.join(', ')}`);
+  if (report.errors.length) lines.push(`  ${report.errors.length} problem(s):`);
+  ctx.print(lines.join('\n'));
+  printErrors(ctx, report);
+  return true;
+}
+
+/**
+ * Classify the same samples with the fast and the brute-force classifier.
+ * Samples are the tiles around the player plus uniformly random axis vectors.
+ */
+function verify(ctx, count) {
+  const samples = [];
+  let grid = null;
+  if (ctx.player && typeof ctx.getAxesGrid === 'function') {
+    const { tx, ty } = ctx.toTile(ctx.player.x, ctx.player.y);
+    grid = ctx.getAxesGrid(tx - 32, ty - 32, 64, 64);
+  }
+  if (grid) {
+    for (let i = 0; i < grid.temp.length && samples.length < count; i++) {
+      const a = {};
+      for (const k of AXES) a[k] = grid[k][i];
+      samples.push(a);
+    }
+  }
+  while (samples.length < count) {
+    const a = {};
+    for (const k of AXES) a[k] = Math.random();
+    samples.push(a);
+  }
+
+  const fast = new Int32Array(samples.length);
+  let t0 = performance.now();
+  for (let i = 0; i < samples.length; i++) fast[i] = classifyAxesId(samples[i]);
+  const fastMs = performance.now() - t0;
+
+  let mismatches = 0;
+  let first = null;
+  t0 = performance.now();
+  for (let i = 0; i < samples.length; i++) {
+    const id = classifyAxesBrute(samples[i]).id;
+    if (id !== fast[i]) {
+      mismatches++;
+      if (!first) first = { axes: samples[i], fast: fast[i], brute: id };
+    }
+  }
+  const bruteMs = performance.now() - t0;
+
+  ctx.print(`biomes verify: ${samples.length} samples, ${getActiveBiomes().length} prototypes, ${mismatches} mismatch(es)\n` +
+    `  fast ${fastMs.toFixed(1)} ms, brute force ${bruteMs.toFixed(1)} ms`);
+  if (first) {
+    ctx.print(`  first: fast=${first.fast} brute=${first.brute} at ${AXES.map(k => `${k}=${first.axes[k]}`).join(' ')}`);
+  }
+}
+
+function stopWatch() {
+  if (watchTimer) clearInterval(watchTimer);
+  watchTimer = 0;
+  watchText = null;
+}
+
+async function pollOnce(ctx) {
+  if (watchBusy) return;
+  watchBusy = true;
+  const url = currentUrl();
+  try {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) return;
+    const text = await res.text();
+    if (watchText !== null && text !== watchText) {
+      ctx.print(`biomes: ${url} changed, reloading...`);
+      await reloadFrom(url, ctx);
+    }
+    watchText = text;
+  } catch {
+    // Dev server briefly unavailable; try again next tick
+  } finally {
+    watchBusy = false;
+  }
+}
+
+export default {
+  name: 'biomes',
+  aliases: ['biome'],
+  usage: USAGE,
+  describe: 'List biome prototypes, hot-reload the CSV (or another pack) and regenerate chunks, or watch it for changes.',
+  async run(args, ctx) {
+    const sub = String(args[0] || 'list').toLowerCase();
+    try {
+      if (sub === 'list' || sub === 'ls') {
+        const filter = args.slice(1).join(' ').toLowerCase();
+        const list = getActiveBiomes().filter(b => !filter || b.label.toLowerCase().includes(filter));
+        if (!list.length) {
+          ctx.print(`biomes: no prototypes match "${filter}".`);
+          return;
+        }
+        ctx.print(`biomes: ${list.length} prototype(s) from ${getBiomeLoadReport().source || 'built-in defaults'}\n` +
+          list.map(describeBiome).join('\n'));
+        return;
+      }
+      if (sub === 'reload') {
+        await reloadFrom(currentUrl(), ctx);
+        return;
+      }
+      if (sub === 'load') {
+        const url = args[1];
+        if (!url) {
+          ctx.print(`Usage: ${USAGE}`);
+          return;
+        }
+        if (watchTimer) watchText = null;
+        await reloadFrom(url, ctx);
+        return;
+      }
+      if (sub === 'watch') {
+        const arg = String(args[1] || '').toLowerCase();
+        if (arg === 'off' || arg === 'stop') {
+          const was = !!watchTimer;
+          stopWatch();
+          ctx.print(was ? 'biomes: stopped watching.' : 'biomes: not watching.');
+          return;
+        }
+        const seconds = arg ? Number.parseFloat(arg) : 2;
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+          ctx.print(`Usage: ${USAGE}`);
+          return;
+        }
+        stopWatch();
+        watchTimer = setInterval(() => { pollOnce(ctx); }, seconds * 1000);
+        pollOnce(ctx);
+        ctx.print(`biomes: watching ${currentUrl()} every ${seconds}s ("biomes watch off" to stop).`);
+        return;
+      }
+      if (sub === 'errors' || sub === 'report') {
+        const report = getBiomeLoadReport();
+        if (!report.url) {
+          ctx.print('biomes: no CSV has been loaded; using built-in prototypes.');
+          return;
+        }
+        ctx.print(`biomes: ${report.url} ${report.ok ? `loaded ${report.count} prototypes` : 'failed to load'}, ${report.errors.length} problem(s)`);
+        printErrors(ctx, report);
+        return;
+      }
+      if (sub === 'verify') {
+        const count = args[1] ? Number.parseInt(String(args[1]), 10) : 20000;
+        if (!Number.isFinite(count) || count <= 0) {
+          ctx.print(`Usage: ${USAGE}`);
+          return;
+        }
+        verify(ctx, count);
+        return;
+      }
+      ctx.print(`Usage: ${USAGE}`);
+    } catch (err) {
+      ctx.print(`biomes: ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+};
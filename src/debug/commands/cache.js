@@ -0,0 +1,59 @@
+/**
+ * Cache command: inspect and tune the world's chunk cache.
+ * Examples:
+ *  - cache                 (print size, budget and eviction counters)
+ *  - cache budget 64 128   (max 64 chunks and/or 128 MB)
+ *  - cache clear
+ */
+
+const USAGE = 'cache [clear | budget <chunks> [megabytes]]';
+
+const MB = 1024 * 1024;
+
+function fmtMB(bytes) {
+  return (bytes / MB).toFixed(1);
+}
+
+export default {
+  name: 'cache',
+  aliases: ['chunks'],
+  usage: USAGE,
+  describe: 'Show chunk cache size and eviction counts, change the budget, or clear it.',
+  run(args, ctx) {
+    const world = ctx.world;
+    if (typeof world?.getCacheStats !== 'function') {
+      ctx.print('cache: world does not expose cache stats in this build.');
+      return;
+    }
+
+    const sub = String(args[0] || '').toLowerCase();
+    if (sub === 'clear') {
+      world.clearChunks();
+      ctx.print('cache: cleared all cached chunks.');
+      return;
+    }
+    if (sub === 'budget') {
+      const maxChunks = Number.parseInt(String(args[1]), 10);
+      const maxMB = Number.parseFloat(String(args[2]));
+      if (!Number.isFinite(maxChunks) || maxChunks <= 0) {
+        ctx.print(`Usage: ${USAGE}`);
+        return;
+      }
+      world.setCacheBudget({
+        maxChunks,
+        maxBytes: Number.isFinite(maxMB) && maxMB > 0 ? maxMB * MB : undefined,
+      });
+    } else if (sub) {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+
+    const st = world.getCacheStats();
+    ctx.print(
+      `cache: ${st.chunks} chunks + ${st.lodChunks ?? 0} low-detail (${(st.units ?? st.chunks).toFixed(1)}/${st.maxChunks} chunk units), ` +
+      `${fmtMB(st.bytes)}/${fmtMB(st.maxBytes)} MB\n` +
+      `  generated=${st.generated} evicted=${st.evicted} (last ${st.evictWindow} frames: ${st.recentEvicted})\n` +
+      `  pending=${st.pending ?? 0} failed=${st.failed ?? 0} workers=${st.workers ?? 0}`
+    );
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * Camera command: inspect and tune the follow behaviours at runtime.
+ * Examples:
+ *  - camera                        (current settings)
+ *  - camera smooth 0.2 | off       (damping time in seconds; off snaps to the player)
+ *  - camera deadzone 64 48 | off   (dead-zone size in screen px)
+ *  - camera lookahead 0.4 [max] | off
+ *  - camera shake [amount]         (trigger shake, trauma 0..1)
+ *  - camera shake on|off           (enable or disable shake and impulses)
+ *  - camera impulse 12 -6          (kick the view, screen px)
+ *  - camera reset                  (restore config defaults)
+ */
+import { CAMERA } from '../../config.js';
+
+const USAGE = 'camera [smooth <s>|off | deadzone <w> [h]|off | lookahead <s> [max]|off | shake [amount|on|off] | impulse <dx> <dy> | reset]';
+
+const OFF = ['off', '0', 'false', 'none'];
+const ON = ['on', 'true'];
+
+function num(v) {
+  const n = Number.parseFloat(String(v));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function describe(cam, fmt) {
+  return [
+    `camera: at ${fmt(cam.x, 1)}, ${fmt(cam.y, 1)}  zoom ${fmt(cam.zoom, 3)}x`,
+    `  smooth    ${cam.smoothTime > 0 ? `${cam.smoothTime}s` : 'off (snap)'}`,
+    `  deadzone  ${cam.deadZoneW > 0 || cam.deadZoneH > 0 ? `${cam.deadZoneW} x ${cam.deadZoneH} px` : 'off'}`,
+    `  lookahead ${cam.lookAhead > 0 ? `${cam.lookAhead}s, max ${cam.lookAheadMax} px` : 'off'}`,
+    `  shake     ${cam.shakeEnabled ? `on (trauma ${fmt(cam.trauma, 2)})` : 'off'}`,
+  ].join('\n');
+}
+
+export default {
+  name: 'camera',
+  aliases: ['cam'],
+  usage: USAGE,
+  describe: 'Tune camera damping, dead zone and look-ahead, or trigger shake and impulses.',
+  run(args, ctx) {
+    const cam = ctx.camera;
+    if (typeof cam?.update !== 'function') {
+      ctx.print('camera: follow behaviours are not available in this build.');
+      return;
+    }
+    const sub = String(args[0] || '').toLowerCase();
+    const arg = String(args[1] || '').toLowerCase();
+
+    if (!sub) {
+      ctx.print(describe(cam, ctx.fmt));
+      return;
+    }
+
+    if (sub === 'smooth' || sub === 'damping') {
+      const s = OFF.includes(arg) ? 0 : num(arg);
+      if (s === null) {
+        ctx.print(`Usage: ${USAGE}`);
+        return;
+      }
+      cam.smoothTime = s;
+    } else if (sub === 'deadzone' || sub === 'dz') {
+      if (OFF.includes(arg)) {
+        cam.deadZoneW = cam.deadZoneH = 0;
+      } else {
+        const w = num(arg);
+        const h = args[2] != null ? num(args[2]) : w;
+        if (w === null || h === null) {
+          ctx.print(`Usage: ${USAGE}`);
+          return;
+        }
+        cam.deadZoneW = w;
+        cam.deadZoneH = h;
+      }
+    } else if (sub === 'lookahead' || sub === 'lead') {
+      if (OFF.includes(arg)) {
+        cam.lookAhead = 0;
+      } else {
+        const s = num(arg);
+        const max = args[2] != null ? num(args[2]) : cam.lookAheadMax;
+        if (s === null || max === null) {
+          ctx.print(`Usage: ${USAGE}`);
+          return;
+        }
+        cam.lookAhead = s;
+        cam.lookAheadMax = max;
+      }
+    } else if (sub === 'shake') {
+      if (ON.includes(arg) || OFF.includes(arg)) {
+        cam.shakeEnabled = ON.includes(arg);
+      } else {
+        const amount = arg ? num(arg) : 0.6;
+        if (amount === null) {
+          ctx.print(`Usage: ${USAGE}`);
+          return;
+        }
+        if (!cam.shakeEnabled) {
+          ctx.print('camera: shake is off ("camera shake on" to enable).');
+          return;
+        }
+        cam.shake(amount);
+        ctx.print(`camera: shake ${amount}`);
+        return;
+      }
+    } else if (sub === 'impulse' || sub === 'kick') {
+      const dx = Number.parseFloat(String(args[1]));
+      const dy = Number.parseFloat(String(args[2] ?? 0));
+      if (!Number.isFinite(dx) || !Number.isFinite(dy)) {
+        ctx.print(`Usage: ${USAGE}`);
+        return;
+      }
+      cam.impulse(dx, dy);
+      ctx.print(`camera: impulse ${dx}, ${dy}`);
+      return;
+    } else if (sub === 'reset') {
+      cam.smoothTime = CAMERA.SMOOTH_TIME;
+      cam.deadZoneW = CAMERA.DEAD_ZONE_W;
+      cam.deadZoneH = CAMERA.DEAD_ZONE_H;
+      cam.lookAhead = CAMERA.LOOK_AHEAD;
+      cam.lookAheadMax = CAMERA.LOOK_AHEAD_MAX;
+      cam.shakeEnabled = true;
+    } else {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+    ctx.print(describe(cam, ctx.fmt));
+  }
+};
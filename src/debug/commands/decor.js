@@ -0,0 +1,58 @@
+/**
+ * Decor command: the decoration layer (trees, rocks, plants; see world/decor.js).
+ * Examples:
+ *  - decor                 (toggle drawing)
+ *  - decor on|off
+ *  - decor blocking off    (walk through trees and boulders)
+ *  - decor stats           (props in cached chunks, by type)
+ */
+import { DECOR, TILE_SIZE } from '../../config.js';
+
+const USAGE = 'decor [on|off] | decor blocking on|off | decor stats';
+
+function parseOnOff(arg) {
+  if (['on', '1', 'true'].includes(arg)) return true;
+  if (['off', '0', 'false'].includes(arg)) return false;
+  return null;
+}
+
+export default {
+  name: 'decor',
+  aliases: ['props'],
+  usage: USAGE,
+  describe: 'Toggle the decoration layer, whether trees and boulders block movement, or show prop counts.',
+  run(args, ctx) {
+    const sub = String(args[0] || '').toLowerCase();
+    if (sub === 'stats') {
+      const s = ctx.world.getPropStats();
+      ctx.print(`decor: ${s.props} props in ${s.chunks} chunks (${s.blocking} blocking tiles), ` +
+        `drawing ${ctx.renderer.showProps ? 'on' : 'off'}, blocking ${ctx.world.decorBlocking ? 'on' : 'off'}`);
+      const types = Object.entries(s.byType).sort((a, b) => b[1] - a[1]);
+      for (const [type, n] of types) ctx.print(`  ${type.padEnd(10)} ${n}`);
+      return;
+    }
+    if (sub === 'blocking') {
+      const next = parseOnOff(String(args[1] || '').toLowerCase());
+      if (next === null) {
+        ctx.print(`Usage: ${USAGE}`);
+        return;
+      }
+      ctx.world.decorBlocking = next;
+      // A route planned under the old rules may now be wrong
+      if (ctx.autowalk) ctx.autowalk.cancel();
+      // Step off a tree that now blocks the player
+      const { tx, ty } = ctx.toTile(ctx.player.x, ctx.player.y);
+      if (next && !ctx.player.noclip && ctx.isBlockedTile(tx, ty)) ctx.teleportToPx(ctx.player.x, ctx.player.y);
+      ctx.print(`decor: blocking ${next ? 'on' : 'off'}`);
+      return;
+    }
+    const next = sub ? parseOnOff(sub) : !ctx.renderer.showProps;
+    if (next === null) {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+    ctx.renderer.showProps = next;
+    ctx.print(`decor: ${next ? 'on' : 'off'}` +
+      (next ? ` (biome view, drawn when a tile is at least ${DECOR.MIN_TILE_PX} px; now ${(TILE_SIZE * ctx.camera.zoom).toFixed(1)} px)` : ''));
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Deletesave command: remove a save slot.
+ * Example:
+ *  - deletesave quick
+ */
+export default {
+  name: 'deletesave',
+  aliases: ['delsave'],
+  usage: 'deletesave <slot>',
+  describe: 'Delete a save slot.',
+  async run(args, ctx) {
+    const saves = ctx.saves;
+    if (!saves) {
+      ctx.print('deletesave: not available in this build.');
+      return;
+    }
+    if (!args[0]) {
+      ctx.print('Usage: deletesave <slot>');
+      return;
+    }
+    try {
+      const existed = await saves.remove(args[0]);
+      ctx.print(existed ? `deletesave: deleted "${args[0]}".` : `deletesave: no save in slot "${args[0]}".`);
+    } catch (err) {
+      ctx.print(`deletesave: failed: ${err && err.message ? err.message : err}`);
+    }
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Entities command: count entities by type and list the nearest ones.
+ * Examples:
+ *  - entities             (counts, then the 10 nearest)
+ *  - entities 25          (the 25 nearest)
+ *  - entities critter     (only critters)
+ */
+import { TILE_SIZE } from '../../config.js';
+
+const USAGE = 'entities [type] [count]';
+
+export default {
+  name: 'entities',
+  aliases: ['ents'],
+  usage: USAGE,
+  describe: 'Count entities by type and list the nearest ones with their ids.',
+  run(args, ctx) {
+    const entities = ctx.entities;
+    if (!entities) {
+      ctx.print('entities: not available in this build.');
+      return;
+    }
+    let type = null;
+    let limit = 10;
+    for (const a of args) {
+      if (/^\d+$/.test(a)) limit = Math.max(1, Number(a));
+      else type = a.toLowerCase();
+    }
+    const all = entities.all();
+    const byType = new Map();
+    for (const e of all) byType.set(e.type, (byType.get(e.type) || 0) + 1);
+    ctx.print(`entities: ${all.length} (${Array.from(byType, ([t, n]) => `${t} ${n}`).join(', ')})`);
+
+    const { player } = ctx;
+    const list = all
+      .filter(e => e !== player && (!type || e.type === type))
+      .map(e => ({ e, d: Math.hypot(e.x - player.x, e.y - player.y) }))
+      .sort((a, b) => a.d - b.d);
+    if (!list.length) {
+      ctx.print(type ? `  no ${type} entities.` : '  nothing besides the player.');
+      return;
+    }
+    for (const { e, d } of list.slice(0, limit)) {
+      const { tx, ty } = ctx.toTile(e.x, e.y);
+      ctx.print(`  #${String(e.id).padEnd(5)} ${e.type.padEnd(10)} tile (${tx}, ${ty})  ${Math.round(d / TILE_SIZE)} tiles away`);
+    }
+    if (list.length > limit) ctx.print(`  ... ${list.length - limit} more`);
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Fauna command: wildlife stats and on/off.
+ * Examples:
+ *  - fauna          (populated chunks and animal counts)
+ *  - fauna off      (remove all animals and stop spawning)
+ *  - fauna on
+ *  - fauna here     (what the biome under the player can hold)
+ */
+import { BIOME_FAUNA, FAUNA_SPECIES } from '../../entity/fauna.js';
+
+const USAGE = 'fauna [on|off|here]';
+
+export default {
+  name: 'fauna',
+  aliases: ['wildlife'],
+  usage: USAGE,
+  describe: 'Show wildlife counts, list the fauna of the current biome, or turn spawning on/off.',
+  run(args, ctx) {
+    const fauna = ctx.fauna;
+    if (!fauna) {
+      ctx.print('fauna: not available in this build.');
+      return;
+    }
+    const sub = String(args[0] || '').toLowerCase();
+    if (sub === 'on' || sub === 'off') {
+      fauna.enabled = sub === 'on';
+      if (!fauna.enabled) fauna.clear();
+      ctx.print(`fauna: ${sub}`);
+      return;
+    }
+    if (sub === 'here') {
+      const { tx, ty } = ctx.toTile(ctx.player.x, ctx.player.y);
+      const { biome } = ctx.describeTile(tx, ty);
+      const table = BIOME_FAUNA[biome.id];
+      if (!table) {
+        ctx.print(`fauna: no wildlife table for ${biome.label} (id ${biome.id}).`);
+        return;
+      }
+      const total = table.species.reduce((sum, [, w]) => sum + w, 0);
+      ctx.print(`fauna: ${biome.label}, ~${table.density} groups per chunk`);
+      for (const [name, w] of table.species) {
+        ctx.print(`  ${FAUNA_SPECIES[name].label.padEnd(26)} ${Math.round(w / total * 100)}%`);
+      }
+      return;
+    }
+    if (sub) {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+    const s = fauna.getStats();
+    ctx.print(`fauna: ${fauna.enabled ? 'on' : 'off'}, ${s.animals} animals in ${s.chunks} chunks ` +
+      `(${s.active} active, ${s.animals - s.active} frozen)`);
+  }
+};
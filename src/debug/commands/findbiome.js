@@ -11,7 +11,8 @@ import { CHUNK_SIZE, TILE_SIZE } from '../../config.js';
  * - Coarse search uses large strides (e.g., 64, 32, 16, 8, 4, 2) to quickly
  *   discover a candidate and establish an upper bound on the search radius.
  * - Exact refinement then scans all tiles up to that bound at step=1 and
- *   computes Euclidean distance to return the actual nearest tile.
+ *   computes Euclidean distance to return the actual nearest tile. Ring edges
+ *   are sampled as whole rows/columns through the batched grid sampler.
  * - Optional teleport to the found location with --tp.
  * - --max sets the maximum Chebyshev radius in tiles to explore (default 8192).
  * - --start allows overriding the starting tile (defaults to player's tile).
@@ -63,11 +64,52 @@ function parseArgs(args, ctx) {
   return { id, teleport, verbose, maxTiles, start };
 }
 
+function describeTeleport(moved) {
+  if (!moved) return 'Not teleported: the spot is blocked and no passable tile is nearby (try "noclip").';
+  const where = `(${Math.round(moved.x)}, ${Math.round(moved.y)})`;
+  return moved.nudged ? `Teleported to nearest passable tile ${where}` : `Teleported to ${where}`;
+}
+
 /** Classify tile - returns biome id */
 function classifyIdAt(ctx, tx, ty) {
   const axes = ctx.getAxesAtTile(tx, ty);
-  const cls = ctx.classifyAxes(axes);
-  return cls.id | 0;
+  return ctx.classifyId(axes) | 0;
+}
+
+/**
+ * Classify a w x h block of tiles, returning ids row-major.
+ * Uses the batched grid sampler when available (shares lattice work along the run).
+ */
+function classifyRun(ctx, tx0, ty0, w, h) {
+  const ids = new Int32Array(w * h);
+  const grid = ctx.getAxesGrid ? ctx.getAxesGrid(tx0, ty0, w, h) : null;
+  if (!grid) {
+    for (let j = 0; j < h; j++) {
+      for (let i = 0; i < w; i++) ids[j * w + i] = classifyIdAt(ctx, tx0 + i, ty0 + j);
+    }
+    return ids;
+  }
+  const axes = {};
+  for (let k = 0; k < ids.length; k++) {
+    axes.temp = grid.temp[k]; axes.moist = grid.moist[k]; axes.elev = grid.elev[k];
+    axes.rough = grid.rough[k]; axes.sal = grid.sal[k]; axes.fert = grid.fert[k]; axes.fire = grid.fire[k];
+    ids[k] = ctx.classifyId(axes) | 0;
+  }
+  return ids;
+}
+
+/** Enumerate a step=1 Chebyshev ring r as up to four straight runs, calling cb(tx,ty,w,h) */
+function forEachRingRun(tx0, ty0, r, cb) {
+  if (r === 0) {
+    cb(tx0, ty0, 1, 1);
+    return;
+  }
+  const x1 = tx0 - r, x2 = tx0 + r;
+  const y1 = ty0 - r, y2 = ty0 + r;
+  cb(x1, y1, 2 * r + 1, 1);     // top (with corners)
+  cb(x1, y2, 2 * r + 1, 1);     // bottom (with corners)
+  cb(x1, y1 + 1, 1, 2 * r - 1); // left
+  cb(x2, y1 + 1, 1, 2 * r - 1); // right
 }
 
 /** Enumerate perimeter of a Chebyshev ring r (step-multiplied), calling cb(tx,ty) */
@@ -144,22 +186,28 @@ function exactNearestWithinBound(ctx, tx0, ty0, targetId, ubCheb, visited, cache
   let checked = 0;
 
   for (let r = 0; r <= ubCheb; r++) {
-    forEachRing(tx0, ty0, r, 1, (tx, ty) => {
-      const k = key(tx, ty);
-      if (visited.has(k)) return;
-      visited.add(k);
-
-      let id;
-      if (cache.has(k)) id = cache.get(k);
-      else {
-        id = classifyIdAt(ctx, tx, ty);
-        cache.set(k, id);
-      }
-      checked++;
-      if (id === targetId) {
-        const d2 = dist2Tiles(tx0, ty0, tx, ty);
-        if (!best || d2 < best.d2) {
-          best = { tx, ty, d2 };
+    forEachRingRun(tx0, ty0, r, (rx, ry, w, h) => {
+      const ids = classifyRun(ctx, rx, ry, w, h);
+      for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+          const tx = rx + i, ty = ry + j;
+          const k = key(tx, ty);
+          if (visited.has(k)) continue;
+          visited.add(k);
+
+          let id;
+          if (cache.has(k)) id = cache.get(k);
+          else {
+            id = ids[j * w + i];
+            cache.set(k, id);
+          }
+          checked++;
+          if (id === targetId) {
+            const d2 = dist2Tiles(tx0, ty0, tx, ty);
+            if (!best || d2 < best.d2) {
+              best = { tx, ty, d2 };
+            }
+          }
         }
       }
     });
@@ -292,9 +340,7 @@ export default {
     const px = res.tx * TILE_SIZE;
     const py = res.ty * TILE_SIZE;
 
-    if (teleport) {
-      ctx.teleportToPx(px, py);
-    }
+    const moved = teleport ? ctx.teleportToPx(px, py) : null;
 
     const distTiles = res.tiles;
     const distPx = Math.round(distTiles * TILE_SIZE);
@@ -303,7 +349,7 @@ export default {
     ctx.print(
       `Found biome id=${id} at tile=(${res.tx}, ${res.ty})  ~${distTiles.toFixed(2)} tiles (${distPx}px) from start.\n` +
       `Searched ${res.checked} samples in ${timeMs} ms. Bound=${res.bounded} exact=${res.exact ? 'yes' : 'no'}` +
-      (teleport ? `\nTeleported to (${px}, ${py})` : '')
+      (teleport ? `\n${describeTeleport(moved)}` : '')
     );
 
     if (verbose && Array.isArray(res.stepStats)) {
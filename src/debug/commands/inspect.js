@@ -0,0 +1,55 @@
+/**
+ * Inspect command: control the hover tile inspector.
+ * Examples:
+ *  - inspect            (toggle; also the I key)
+ *  - inspect on|off
+ *  - inspect pin        (pin the player's tile; clicking a tile pins it too)
+ *  - inspect pin 120 -40
+ *  - inspect unpin      (also Escape)
+ */
+const USAGE = 'inspect [on|off | pin [tx ty] | unpin]';
+
+export default {
+  name: 'inspect',
+  aliases: ['hover'],
+  usage: USAGE,
+  describe: 'Toggle the hover tile inspector, or pin a tile to compare others against it.',
+  run(args, ctx) {
+    const insp = ctx.inspector;
+    if (!insp) {
+      ctx.print('inspect: not available in this build.');
+      return;
+    }
+    const sub = String(args[0] || '').toLowerCase();
+    if (!sub || sub === 'toggle') {
+      ctx.print(`inspect: ${insp.toggle() ? 'on' : 'off'}`);
+      return;
+    }
+    if (['on', '1', 'true', 'show'].includes(sub) || ['off', '0', 'false', 'hide'].includes(sub)) {
+      insp.setEnabled(['on', '1', 'true', 'show'].includes(sub));
+      ctx.print(`inspect: ${insp.enabled ? 'on' : 'off'}`);
+      return;
+    }
+    if (sub === 'pin') {
+      let { tx, ty } = ctx.toTile(ctx.player.x, ctx.player.y);
+      if (args.length >= 3) {
+        tx = Number.parseInt(String(args[1]), 10);
+        ty = Number.parseInt(String(args[2]), 10);
+        if (!Number.isFinite(tx) || !Number.isFinite(ty)) {
+          ctx.print(`Usage: ${USAGE}`);
+          return;
+        }
+      }
+      insp.setEnabled(true);
+      const info = insp.pin(tx, ty);
+      ctx.print(`inspect: pinned tile (${tx}, ${ty}) ${info.biome.label}`);
+      return;
+    }
+    if (sub === 'unpin') {
+      insp.unpin();
+      ctx.print('inspect: unpinned.');
+      return;
+    }
+    ctx.print(`Usage: ${USAGE}`);
+  }
+};
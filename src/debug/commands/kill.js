@@ -0,0 +1,49 @@
+/**
+ * Kill command: remove entities by id (see `entities`), or every entity of a type.
+ * Examples:
+ *  - kill 12
+ *  - kill 12 13 14
+ *  - kill all critter
+ */
+const USAGE = 'kill <id...> | kill all <type>';
+
+export default {
+  name: 'kill',
+  aliases: ['despawn'],
+  usage: USAGE,
+  describe: 'Remove entities by id, or all entities of a type (never the player).',
+  run(args, ctx) {
+    const entities = ctx.entities;
+    if (!entities) {
+      ctx.print('kill: not available in this build.');
+      return;
+    }
+    if (!args.length) {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+    if (String(args[0]).toLowerCase() === 'all') {
+      const type = String(args[1] || '').toLowerCase();
+      if (!type) {
+        ctx.print(`Usage: ${USAGE}`);
+        return;
+      }
+      let n = 0;
+      for (const e of entities.all()) {
+        if (e.type === type && e !== ctx.player && entities.remove(e)) n++;
+      }
+      ctx.print(`kill: removed ${n} ${type} entit${n === 1 ? 'y' : 'ies'}.`);
+      return;
+    }
+    for (const a of args) {
+      const id = Number(String(a).replace(/^#/, ''));
+      const e = Number.isInteger(id) ? entities.get(id) : null;
+      if (!e) ctx.print(`kill: no entity #${a}.`);
+      else if (e === ctx.player) ctx.print('kill: the player cannot be removed.');
+      else {
+        entities.remove(e);
+        ctx.print(`kill: removed ${e.type} #${e.id}.`);
+      }
+    }
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Link command: print (or copy) a permalink to the current spot. Opening it restores
+ * the seed, position, view mode and zoom.
+ * Examples:
+ *  - link
+ *  - link copy    (also copies it to the clipboard)
+ */
+const USAGE = 'link [copy]';
+
+export default {
+  name: 'link',
+  aliases: ['permalink', 'url'],
+  usage: USAGE,
+  describe: 'Print a link to this world, position, view mode and zoom; `link copy` copies it.',
+  async run(args, ctx) {
+    if (!ctx.urlSync) {
+      ctx.print('link: not available in this build.');
+      return;
+    }
+    const sub = String(args[0] || '').toLowerCase();
+    if (sub && sub !== 'copy') {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+    const href = ctx.urlSync.permalink();
+    ctx.urlSync.flush();
+    ctx.print(href);
+    if (sub !== 'copy') return;
+    try {
+      await navigator.clipboard.writeText(href);
+      ctx.print('link: copied to the clipboard.');
+    } catch {
+      ctx.print('link: clipboard unavailable (needs https or localhost); copy the line above.');
+    }
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Load command: restore a save slot. A save from another world reloads the page
+ * with its seed and finishes loading there.
+ * Examples:
+ *  - load            (most recent save)
+ *  - load quick
+ */
+export default {
+  name: 'load',
+  aliases: [],
+  usage: 'load [slot]',
+  describe: 'Load a save slot (the most recent save by default); see `saves` for the list.',
+  async run(args, ctx) {
+    const saves = ctx.saves;
+    if (!saves) {
+      ctx.print('load: not available in this build.');
+      return;
+    }
+    const slot = args[0] || null;
+    try {
+      const res = await saves.load(slot);
+      if (!res) {
+        ctx.print(slot ? `load: no save in slot "${slot}".` : 'load: there are no saves yet.');
+        return;
+      }
+      if (res.reload) {
+        ctx.print(`load: "${res.save.slot}" is for seed "${res.save.seed}", reloading into that world...`);
+        return;
+      }
+      const { tx, ty } = ctx.toTile(ctx.player.x, ctx.player.y);
+      ctx.print(`load: restored "${res.save.slot}" at tile (${tx}, ${ty})` +
+        (res.teleported && res.teleported.nudged ? ' (nearest passable tile).' : '.'));
+    } catch (err) {
+      ctx.print(`load: failed: ${err && err.message ? err.message : err}`);
+    }
+  }
+};
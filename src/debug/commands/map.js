@@ -0,0 +1,64 @@
+/**
+ * Map command: open/close the full-screen world atlas.
+ * Examples:
+ *  - map            (toggle; also the M key)
+ *  - map on|off
+ *  - map 64         (open at 64 tiles per screen pixel)
+ *  - map scale 8    (change the scale, open or not)
+ */
+import { ATLAS } from '../../config.js';
+
+const USAGE = `map [on|off] [scale] | map scale <tiles/px>   (scale ${ATLAS.MIN_SCALE}..${ATLAS.MAX_SCALE})`;
+
+function status(atlas) {
+  return `map: ${atlas.isOpen ? 'open' : 'closed'}, 1 px = ${+atlas.scale.toFixed(2)} tiles`;
+}
+
+export default {
+  name: 'map',
+  aliases: ['atlas'],
+  usage: USAGE,
+  describe: 'Toggle the world atlas (drag to pan, wheel to zoom, click to teleport).',
+  run(args, ctx) {
+    const atlas = ctx.atlas;
+    if (!atlas) {
+      ctx.print('map: not available in this build.');
+      return;
+    }
+    let sub = String(args[0] || '').toLowerCase();
+    let rest = args.slice(1);
+    if (sub === 'scale' || sub === 's') {
+      const s = Number.parseFloat(String(args[1]));
+      if (!Number.isFinite(s) || s <= 0) {
+        ctx.print(`Usage: ${USAGE}`);
+        return;
+      }
+      atlas.setScale(s);
+      ctx.print(status(atlas));
+      return;
+    }
+    // A bare number opens at that scale
+    if (sub && Number.isFinite(Number.parseFloat(sub))) {
+      rest = [sub];
+      sub = 'on';
+    }
+    const on = ['on', 'true', 'show', 'open'].includes(sub);
+    const off = ['off', 'false', 'hide', 'close'].includes(sub);
+    if (sub && sub !== 'toggle' && !on && !off) {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+    if (rest[0] != null) {
+      const s = Number.parseFloat(String(rest[0]));
+      if (!Number.isFinite(s) || s <= 0) {
+        ctx.print(`Usage: ${USAGE}`);
+        return;
+      }
+      atlas.setScale(s);
+    }
+    const open = on || (!off && !atlas.isOpen);
+    if (open && !atlas.isOpen) atlas.open(ctx.player.x, ctx.player.y);
+    else if (!open && atlas.isOpen) atlas.close();
+    ctx.print(status(atlas));
+  }
+};
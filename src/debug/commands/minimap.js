@@ -0,0 +1,62 @@
+/**
+ * Minimap command: show/hide the corner minimap and manage the explored mask.
+ * Examples:
+ *  - minimap            (toggle; also the N key)
+ *  - minimap on|off
+ *  - minimap radius 512 (tiles from the player to the edge)
+ *  - minimap stats      (explored area)
+ *  - minimap forget     (clear the explored mask for this world)
+ */
+import { MINIMAP } from '../../config.js';
+
+const USAGE = `minimap [on|off | radius <tiles> | stats | forget]   (radius ${MINIMAP.MIN_RADIUS}..${MINIMAP.MAX_RADIUS})`;
+
+export default {
+  name: 'minimap',
+  aliases: ['mm'],
+  usage: USAGE,
+  describe: 'Toggle the corner minimap, change its radius, or inspect/forget explored areas.',
+  run(args, ctx) {
+    const mm = ctx.minimap;
+    if (!mm) {
+      ctx.print('minimap: not available in this build.');
+      return;
+    }
+    const sub = String(args[0] || '').toLowerCase();
+    if (!sub || sub === 'toggle') {
+      ctx.print(`minimap: ${mm.toggle() ? 'on' : 'off'}`);
+      return;
+    }
+    if (['on', '1', 'true', 'show'].includes(sub) || ['off', '0', 'false', 'hide'].includes(sub)) {
+      mm.setVisible(['on', '1', 'true', 'show'].includes(sub));
+      ctx.print(`minimap: ${mm.visible ? 'on' : 'off'}`);
+      return;
+    }
+    if (sub === 'radius' || sub === 'r') {
+      if (args[1] != null) {
+        const r = Number.parseFloat(String(args[1]));
+        if (!Number.isFinite(r) || r <= 0) {
+          ctx.print(`Usage: ${USAGE}`);
+          return;
+        }
+        mm.setRadius(r);
+      }
+      ctx.print(`minimap: radius ${mm.radius} tiles`);
+      return;
+    }
+    if (sub === 'stats') {
+      const ex = mm.explored;
+      const cells = ex.countCells();
+      ctx.print(`minimap: ${cells} explored cells (${cells * ex.cell * ex.cell} tiles) in ${ex.chunks.size} chunks, ` +
+        `${mm.thumbs.size} thumbnails cached`);
+      return;
+    }
+    if (sub === 'forget' || sub === 'clear') {
+      mm.explored.clear();
+      mm.invalidate();
+      ctx.print('minimap: explored area forgotten.');
+      return;
+    }
+    ctx.print(`Usage: ${USAGE}`);
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Noclip command: let the player walk through blocked terrain.
+ * Examples:
+ *  - noclip        (toggle)
+ *  - noclip on|off
+ */
+
+const USAGE = 'noclip [on|off]';
+
+export default {
+  name: 'noclip',
+  aliases: ['ghost'],
+  usage: USAGE,
+  describe: 'Toggle collision with impassable biomes and deep rivers (also skips teleport nudging).',
+  run(args, ctx) {
+    const arg = String(args[0] || '').toLowerCase();
+    let next;
+    if (!arg) next = !ctx.player.noclip;
+    else if (['on', '1', 'true'].includes(arg)) next = true;
+    else if (['off', '0', 'false'].includes(arg)) next = false;
+    else {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+    ctx.player.noclip = next;
+    ctx.print(`noclip: ${next ? 'on' : 'off'}`);
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Path command: route the player to a tile with A* and walk it there.
+ * Examples:
+ *  - path 120 -40   (find the quickest route and auto-walk it; also right-click)
+ *  - path           (status of the current route)
+ *  - path stop      (cancel; moving with the keyboard cancels too)
+ */
+import { TILE_SIZE, PLAYER_SPEED } from '../../config.js';
+
+const USAGE = 'path <tx> <ty> | path stop';
+
+const REASONS = {
+  blocked: 'destination is blocked and no passable tile is nearby',
+  unreachable: 'no walkable route',
+  'too-far': 'destination is too far for one search (try a closer waypoint)',
+  budget: 'search gave up (route too long or winding)',
+};
+
+function parseTile(val) {
+  const m = String(val).trim().match(/^(-?\d+)t?$/i);
+  return m ? Number.parseInt(m[1], 10) : null;
+}
+
+export default {
+  name: 'path',
+  aliases: ['goto'],
+  usage: USAGE,
+  describe: 'Find the quickest walkable route to a tile, draw it and auto-walk the player along it.',
+  run(args, ctx) {
+    const walker = ctx.autowalk;
+    if (!walker) {
+      ctx.print('path: not available in this build.');
+      return;
+    }
+    const sub = String(args[0] || '').toLowerCase();
+    if (!sub) {
+      if (!walker.active) ctx.print('path: idle.');
+      else ctx.print(`path: ${walker.state} toward tile (${walker.target.tx}, ${walker.target.ty})` +
+        (walker.state === 'walking' ? `, ${walker.waypoints.length} waypoint(s) left` : '') +
+        (walker.loading ? ' (waiting for terrain to load)' : ''));
+      return;
+    }
+    if (sub === 'stop' || sub === 'cancel') {
+      walker.cancel();
+      ctx.print('path: stopped.');
+      return;
+    }
+    const tx = parseTile(args[0]);
+    const ty = parseTile(args[1]);
+    if (tx === null || ty === null) {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+    ctx.print(`path: searching for a route to tile (${tx}, ${ty})...`);
+    walker.goTo(tx, ty, (res) => {
+      if (!res.ok) {
+        ctx.print(`path: ${REASONS[res.reason] || res.reason}.`);
+        return;
+      }
+      const s = res.search;
+      // Cost is in tile lengths at speed factor 1
+      const secs = s.cost * TILE_SIZE / PLAYER_SPEED;
+      ctx.print(`path: ${s.path.length} tiles to (${s.goal.tx}, ${s.goal.ty}), about ${secs.toFixed(1)} s of walking ` +
+        `(${s.expanded} tiles searched)`);
+    });
+  }
+};
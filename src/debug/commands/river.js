@@ -0,0 +1,73 @@
+/**
+ * River command: report the nearest river to the player (or a given tile),
+ * with its flow order and the number of springs feeding it.
+ * Examples:
+ *  - river
+ *  - river --tp
+ *  - river --max=4096 --start=120,-40
+ */
+import { TILE_SIZE } from '../../config.js';
+
+const USAGE = 'river [--tp] [--max=<tiles>] [--start=tx,ty]';
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+function bearing(dx, dy) {
+  // Screen-space: +y is south
+  const deg = (Math.atan2(dx, -dy) * 180 / Math.PI + 360) % 360;
+  return COMPASS[Math.round(deg / 45) % 8];
+}
+
+export default {
+  name: 'river',
+  aliases: ['rivers', 'water'],
+  usage: USAGE,
+  describe: 'Find the nearest river and report its distance, flow order and upstream spring count.',
+  run(args, ctx) {
+    const rivers = ctx.noise?.rivers;
+    if (!rivers) {
+      ctx.print('river: hydrology is not enabled in this build.');
+      return;
+    }
+
+    let teleport = false;
+    let maxTiles = 2048;
+    let start = ctx.toTile(ctx.player.x, ctx.player.y);
+    for (const raw of args) {
+      const a = String(raw).trim();
+      if (a === '--tp' || a === 'tp') teleport = true;
+      else if (a.startsWith('--max=')) {
+        const v = Number.parseInt(a.slice('--max='.length), 10);
+        if (Number.isFinite(v) && v > 0) maxTiles = v;
+      } else if (a.startsWith('--start=')) {
+        const m = a.slice('--start='.length).match(/^\s*(-?\d+)\s*,\s*(-?\d+)\s*$/);
+        if (m) start = { tx: Number.parseInt(m[1], 10), ty: Number.parseInt(m[2], 10) };
+      } else {
+        ctx.print(`Usage: ${USAGE}`);
+        return;
+      }
+    }
+
+    const hit = rivers.nearest(start.tx, start.ty, maxTiles);
+    if (!hit) {
+      ctx.print(`river: no river within ${maxTiles} tiles of (${start.tx}, ${start.ty}).`);
+      return;
+    }
+
+    const dx = hit.tx - start.tx;
+    const dy = hit.ty - start.ty;
+    const where = hit.dist <= 0 ? 'in the water' : `~${hit.dist.toFixed(1)} tiles ${bearing(dx, dy)}`;
+    ctx.print(`river: order ${hit.order} (${hit.flow} spring${hit.flow === 1 ? '' : 's'} upstream) at tile=(${hit.tx}, ${hit.ty}), ${where}.`);
+
+    if (teleport) {
+      const px = hit.tx * TILE_SIZE + TILE_SIZE / 2;
+      const py = hit.ty * TILE_SIZE + TILE_SIZE / 2;
+      const moved = ctx.teleportToPx(px, py);
+      if (!moved) {
+        ctx.print('river: too deep to stand in and no bank nearby (try "noclip").');
+      } else {
+        ctx.print(`Teleported to (${Math.round(moved.x)}, ${Math.round(moved.y)})${moved.nudged ? ' on the nearest bank' : ''}`);
+      }
+    }
+  }
+};
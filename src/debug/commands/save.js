@@ -0,0 +1,35 @@
+/**
+ * Save command: write the game to a save slot (IndexedDB).
+ * Examples:
+ *  - save            (quick slot)
+ *  - save base-camp
+ */
+import { SAVE } from '../../config.js';
+import { isValidSlot } from '../../save/savegame.js';
+
+export default {
+  name: 'save',
+  aliases: [],
+  usage: 'save [slot]   (letters, digits, _ . - up to 32)',
+  describe: `Save the game to a slot ("${SAVE.QUICK_SLOT}" by default; "${SAVE.AUTO_SLOT}" is the autosave).`,
+  async run(args, ctx) {
+    const saves = ctx.saves;
+    if (!saves) {
+      ctx.print('save: not available in this build.');
+      return;
+    }
+    const slot = args[0] || SAVE.QUICK_SLOT;
+    if (!isValidSlot(slot)) {
+      ctx.print(`save: invalid slot name "${slot}".`);
+      return;
+    }
+    try {
+      const save = await saves.save(slot);
+      const { tx, ty } = ctx.toTile(save.player.x, save.player.y);
+      ctx.print(`save: saved to "${slot}" at tile (${tx}, ${ty})` +
+        (saves.store.persistent ? '.' : ' (storage unavailable: kept for this session only).'));
+    } catch (err) {
+      ctx.print(`save: failed: ${err && err.message ? err.message : err}`);
+    }
+  }
+};
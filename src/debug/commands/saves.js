@@ -0,0 +1,75 @@
+/**
+ * Saves command: list save slots and move them in and out as JSON files.
+ * Examples:
+ *  - saves                 (list, most recent first)
+ *  - saves export quick    (download quick as a .json file)
+ *  - saves import          (pick a file; stored under the slot it was exported from)
+ *  - saves import backup   (... or under another slot)
+ */
+import { describeSave, isValidSlot } from '../../save/savegame.js';
+
+const USAGE = 'saves [export <slot> | import [slot]]';
+
+function errorText(err) {
+  return err && err.message ? err.message : String(err);
+}
+
+export default {
+  name: 'saves',
+  aliases: ['slots'],
+  usage: USAGE,
+  describe: 'List save slots, or export/import a slot as a JSON file.',
+  async run(args, ctx) {
+    const saves = ctx.saves;
+    if (!saves) {
+      ctx.print('saves: not available in this build.');
+      return;
+    }
+    const sub = String(args[0] || 'list').toLowerCase();
+    try {
+      if (sub === 'list' || sub === 'ls') {
+        const list = await saves.list();
+        if (!list.length) {
+          ctx.print('saves: no saves yet (use `save [slot]`).');
+          return;
+        }
+        ctx.print(`saves: ${list.length} slot(s)${saves.store.persistent ? '' : ' (this session only)'}`);
+        for (const save of list) ctx.print('  ' + describeSave(save));
+        return;
+      }
+      if (sub === 'export') {
+        if (!args[1]) {
+          ctx.print(`Usage: ${USAGE}`);
+          return;
+        }
+        const save = await saves.store.get(args[1]);
+        if (!save) {
+          ctx.print(`saves: no save in slot "${args[1]}".`);
+          return;
+        }
+        saves.download(save);
+        ctx.print(`saves: exported "${save.slot}".`);
+        return;
+      }
+      if (sub === 'import') {
+        const slot = args[1] || null;
+        if (slot && !isValidSlot(slot)) {
+          ctx.print(`saves: invalid slot name "${slot}".`);
+          return;
+        }
+        const text = await saves.pickFile();
+        if (text == null) {
+          ctx.print('saves: import cancelled.');
+          return;
+        }
+        const save = await saves.importText(text, slot);
+        ctx.print(`saves: imported "${save.slot}" (seed ${save.seed}); \`load ${save.slot}\` to play it.`);
+        return;
+      }
+    } catch (err) {
+      ctx.print(`saves: ${sub} failed: ${errorText(err)}`);
+      return;
+    }
+    ctx.print(`Usage: ${USAGE}`);
+  }
+};
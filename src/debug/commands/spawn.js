@@ -0,0 +1,64 @@
+/**
+ * Spawn command: add an entity to the world.
+ * Examples:
+ *  - spawn                    (list types)
+ *  - spawn critter            (two tiles east of the player)
+ *  - spawn crate 128t -40t    (px by default; suffix t for tiles, as with tp)
+ */
+import { TILE_SIZE } from '../../config.js';
+import { ENTITY_TYPES, createEntity } from '../../entity/types.js';
+import { boxBlocked, findNearestPassable } from '../../world/collision.js';
+import { parseCoord } from './tp.js';
+
+const USAGE = 'spawn <type> [x y]   (px by default; suffix t for tiles)';
+
+export default {
+  name: 'spawn',
+  aliases: [],
+  usage: USAGE,
+  describe: 'Spawn an entity next to the player or at a position; without a type, list the types.',
+  run(args, ctx) {
+    if (!ctx.entities) {
+      ctx.print('spawn: not available in this build.');
+      return;
+    }
+    if (!args.length) {
+      ctx.print(`Usage: ${USAGE}`);
+      for (const [type, spec] of Object.entries(ENTITY_TYPES)) ctx.print(`  ${type.padEnd(10)} ${spec.describe}`);
+      return;
+    }
+    const type = String(args[0]).toLowerCase();
+    if (!ENTITY_TYPES[type]) {
+      ctx.print(`spawn: unknown type "${args[0]}". Types: ${Object.keys(ENTITY_TYPES).join(', ')}`);
+      return;
+    }
+    let x = ctx.player.x + 2 * TILE_SIZE;
+    let y = ctx.player.y;
+    if (args.length >= 3) {
+      x = parseCoord(args[1]);
+      y = parseCoord(args[2]);
+      if (x === null || y === null) {
+        ctx.print('spawn: invalid coordinates.');
+        return;
+      }
+    } else if (args.length === 2) {
+      ctx.print(`Usage: ${USAGE}`);
+      return;
+    }
+    const entity = createEntity(type, x, y);
+    // Solid entities go to the nearest tile they fit on
+    if (entity.collider && boxBlocked(x, y, entity.size / 2, ctx.isBlockedTile)) {
+      const { tx, ty } = ctx.toTile(x, y);
+      const spot = findNearestPassable(tx, ty, ctx.isBlockedTile, 64);
+      if (!spot) {
+        ctx.print('spawn: position is blocked and no passable tile is nearby.');
+        return;
+      }
+      entity.x = (spot.tx + 0.5) * TILE_SIZE;
+      entity.y = (spot.ty + 0.5) * TILE_SIZE;
+    }
+    ctx.entities.add(entity);
+    const { tx, ty } = ctx.toTile(entity.x, entity.y);
+    ctx.print(`spawn: ${type} #${entity.id} at tile (${tx}, ${ty}).`);
+  }
+};
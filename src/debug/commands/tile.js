@@ -7,9 +7,7 @@ export default {
     const px = ctx.player.x;
     const py = ctx.player.y;
     const { tx, ty } = ctx.toTile(px, py);
-
-    const axes = ctx.getAxesAtTile(tx, ty);
-    const cls = ctx.classifyAxes(axes);
+    const { axes, biome, river, prop, road, loading, blocked, speed } = ctx.describeTile(tx, ty);
 
     const f = (n) => ctx.fmt(n, 3);
 
@@ -18,7 +16,15 @@ export default {
   px=(${Math.round(px)}, ${Math.round(py)})  tile=(${tx}, ${ty})
   axes: temp=${f(axes.temp)}  moist=${f(axes.moist)}  elev=${f(axes.elev)}
         rough=${f(axes.rough)}  sal=${f(axes.sal)}  fert=${f(axes.fert)}  fire=${f(axes.fire)}
-  biome: ${cls.label} (id=${cls.id})`
+  biome: ${biome.label} (id=${biome.id}, dist=${f(biome.dist)})` +
+      (river ? `\n  river: order=${river.order} flow=${river.flow}` : '') +
+      (prop ? `\n  prop: ${prop}` : '') +
+      (road ? '\n  road' : '') +
+      (loading
+        ? '\n  terrain: still loading'
+        : blocked
+        ? '\n  blocked: not walkable'
+        : (speed != null ? `\n  speed: x${f(speed)}` : ''))
     );
   }
 };
\ No newline at end of file
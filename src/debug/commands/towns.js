@@ -0,0 +1,95 @@
+/**
+ * Towns command: the nearest settlements (see world/settlements.js).
+ * Examples:
+ *  - towns                 (5 nearest sites with distance and bearing)
+ *  - towns 10 --kind=town
+ *  - towns --tp            (teleport to the nearest)
+ *  - towns stats           (sites placed and roads routed so far)
+ */
+import { TILE_SIZE } from '../../config.js';
+
+const USAGE = 'towns [count] [--kind=town|camp|landmark] [--tp] | towns stats';
+const KINDS = ['town', 'camp', 'landmark'];
+const MAX_COUNT = 20;
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/** Compass bearing in degrees (0 = north, clockwise; +y is south). */
+function bearing(dx, dy) {
+  const deg = Math.atan2(dx, -dy) * 180 / Math.PI;
+  return (deg + 360) % 360;
+}
+
+function parseArgs(args) {
+  let count = 5;
+  let kind = null;
+  let teleport = false;
+  for (const raw of args) {
+    const a = String(raw).trim().toLowerCase();
+    if (a === '--tp' || a === 'tp' || a === '--teleport') teleport = true;
+    else if (a.startsWith('--kind=')) {
+      kind = a.slice('--kind='.length);
+      if (!KINDS.includes(kind)) return { error: `towns: unknown kind "${kind}" (${KINDS.join(', ')}).` };
+    } else if (/^\d+$/.test(a) && Number(a) > 0) count = Math.min(MAX_COUNT, Number(a));
+    else return { error: `Usage: ${USAGE}` };
+  }
+  return { count, kind, teleport };
+}
+
+function describeTeleport(moved) {
+  if (!moved) return 'Not teleported: the spot is blocked and no passable tile is nearby (try "noclip").';
+  const where = `(${Math.round(moved.x)}, ${Math.round(moved.y)})`;
+  return moved.nudged ? `Teleported to nearest passable tile ${where}` : `Teleported to ${where}`;
+}
+
+export default {
+  name: 'towns',
+  aliases: ['settlements', 'poi'],
+  usage: USAGE,
+  describe: 'List the nearest towns, camps and landmarks with distance and bearing; --tp goes to the nearest.',
+  async run(args, ctx) {
+    const net = ctx.settlements;
+    if (!net) {
+      ctx.print('towns: not available in this build.');
+      return;
+    }
+    if (String(args[0] || '').toLowerCase() === 'stats') {
+      const s = net.getStats();
+      ctx.print(`towns: ${s.sites} sites in ${s.regions} regions, ${s.roads} roads` +
+        (s.failed ? ` (${s.failed} unroutable)` : '') + (s.placing ? `, placing ${s.placing}...` : '') +
+        (s.routing ? ', routing...' : ''));
+      return;
+    }
+    const parsed = parseArgs(args);
+    if (parsed.error) {
+      ctx.print(parsed.error);
+      return;
+    }
+    const { count, kind, teleport } = parsed;
+    const { tx, ty } = ctx.toTile(ctx.player.x, ctx.player.y);
+    // Sites far from the player may still have to be placed (off the main thread)
+    let found;
+    try {
+      found = await net.nearest(tx, ty, { count, kind, onWait: () => ctx.print('towns: surveying regions...') });
+    } catch (err) {
+      ctx.print(`towns: ${err && err.message ? err.message : String(err)}`);
+      return;
+    }
+    if (!found.length) {
+      ctx.print(`towns: no ${kind || 'site'} found nearby.`);
+      return;
+    }
+    ctx.print(`Nearest ${kind ? `${kind}s` : 'sites'} to tile (${tx}, ${ty}):`);
+    found.forEach(({ site, dist }, i) => {
+      const deg = bearing(site.tx - tx, site.ty - ty);
+      const dir = COMPASS[Math.round(deg / 45) % 8];
+      ctx.print(`  ${String(i + 1).padStart(2)}. ${site.name.padEnd(24)} ${site.kind.padEnd(8)} ` +
+        `${Math.round(dist).toString().padStart(5)} tiles ${dir.padEnd(2)} ${Math.round(deg).toString().padStart(3)}°  ` +
+        `tile=(${site.tx}, ${site.ty})`);
+    });
+    if (teleport) {
+      const { site } = found[0];
+      const moved = ctx.teleportToPx((site.tx + 0.5) * TILE_SIZE, (site.ty + 0.5) * TILE_SIZE);
+      ctx.print(`${describeTeleport(moved)} (${site.name})`);
+    }
+  }
+};
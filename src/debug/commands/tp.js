@@ -1,7 +1,10 @@
 import { TILE_SIZE } from '../../config.js';
 
-function parseCoord(val) {
-  // Accept px numbers or numbers with 't' suffix for tiles, e.g., 128t
+/**
+ * Parse a coordinate: px by default, or tiles with a 't' suffix (e.g. 128t).
+ * @returns {number|null} world px
+ */
+export function parseCoord(val) {
   const m = String(val).trim().match(/^(-?\d+(?:\.\d+)?)(t)?$/i);
   if (!m) return null;
   const num = parseFloat(m[1]);
@@ -25,8 +28,13 @@ export default {
       ctx.print('tp: invalid coordinates.');
       return;
     }
-    ctx.teleportToPx(x, y);
-    const { tx, ty } = ctx.toTile(x, y);
-    ctx.print(`Teleported to px=(${Math.round(x)}, ${Math.round(y)}) tile=(${tx}, ${ty})`);
+    const res = ctx.teleportToPx(x, y);
+    if (!res) {
+      ctx.print('tp: destination is blocked and no passable tile is nearby (use "noclip" to force).');
+      return;
+    }
+    const { tx, ty } = ctx.toTile(res.x, res.y);
+    ctx.print(`Teleported to px=(${Math.round(res.x)}, ${Math.round(res.y)}) tile=(${tx}, ${ty})` +
+      (res.nudged ? ' (nearest passable tile)' : ''));
   }
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * Unbind command: remove keys or gamepad buttons from an action (see `bind`).
+ * Examples:
+ *  - unbind map tab       (remove one code)
+ *  - unbind inspect       (remove all codes of an action)
+ */
+import { normalizeCode } from '../../input/actions.js';
+import { bindingLine, findAction, hasConsoleKey, unknownAction } from './bind.js';
+
+const UNBIND_USAGE = 'unbind <action> [<key|pad button>]';
+
+export default {
+  name: 'unbind',
+  aliases: [],
+  usage: UNBIND_USAGE,
+  describe: 'Remove a key or gamepad button from an action (or all of them).',
+  run(args, ctx) {
+    const input = ctx.input;
+    if (!input) {
+      ctx.print('unbind: not available in this build.');
+      return;
+    }
+    if (!args.length) {
+      ctx.print(`Usage: ${UNBIND_USAGE}`);
+      return;
+    }
+    const action = findAction(args[0]);
+    if (!action) {
+      unknownAction(ctx, args[0]);
+      return;
+    }
+    let code = null;
+    if (args.length > 1) {
+      code = normalizeCode(args.slice(1).join(' '));
+      if (!code) {
+        ctx.print(`unbind: unknown key or button "${args.slice(1).join(' ')}".`);
+        return;
+      }
+    }
+    // Keep a way back into the console
+    const left = input.getBindings()[action].filter(c => code && c !== code);
+    if (action === 'console' && !hasConsoleKey(left)) {
+      ctx.print('unbind: the console needs at least one key (bind another key to it first).');
+      return;
+    }
+    const removed = input.unbind(action, code);
+    ctx.print(removed.length ? `unbind: ${action} no longer uses ${removed.join(', ')}.` : `unbind: ${action} was not bound to ${code}.`);
+    ctx.print(bindingLine(action, input.getBindings()[action]));
+  }
+};
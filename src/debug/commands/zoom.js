@@ -0,0 +1,40 @@
+/**
+ * Zoom command: set or report the camera zoom.
+ * Examples:
+ *  - zoom            (print zoom and chunk detail level)
+ *  - zoom 0.25       (absolute factor: screen px per world px)
+ *  - zoom in | out | reset
+ */
+import { ZOOM_MIN, ZOOM_MAX, ZOOM_STEP } from '../../config.js';
+import { lodStepForZoom } from '../../render/renderer.js';
+
+const USAGE = `zoom [<factor> | in | out | reset]   (factor ${ZOOM_MIN}..${ZOOM_MAX})`;
+
+export default {
+  name: 'zoom',
+  aliases: ['z'],
+  usage: USAGE,
+  describe: 'Zoom the camera in or out; far-out views draw coarse chunk rasters.',
+  run(args, ctx) {
+    const camera = ctx.camera;
+    if (typeof camera?.setZoom !== 'function') {
+      ctx.print('zoom: camera does not support zoom in this build.');
+      return;
+    }
+    const arg = String(args[0] || '').toLowerCase();
+    if (arg === 'in' || arg === '+') camera.zoomBy(ZOOM_STEP);
+    else if (arg === 'out' || arg === '-') camera.zoomBy(1 / ZOOM_STEP);
+    else if (arg === 'reset') camera.setZoom(1);
+    else if (arg) {
+      const z = Number.parseFloat(arg);
+      if (!Number.isFinite(z) || z <= 0) {
+        ctx.print(`Usage: ${USAGE}`);
+        return;
+      }
+      camera.setZoom(z);
+    }
+    const step = lodStepForZoom(camera.zoom);
+    ctx.print(`zoom: ${ctx.fmt(camera.zoom, 3)}x` +
+      (step > 1 ? ` (low detail: 1 sample per ${step} tiles)` : ' (full detail)'));
+  }
+};
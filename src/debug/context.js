@@ -2,17 +2,18 @@
  * Command Context: passed to each command to interact with the game safely.
  * Provides access to engine objects and helper utilities.
  */
-import { TILE_SIZE } from '../config.js';
-import { classifyAxes as classifyAxesFn } from '../world/biomes.js';
+import { TILE_SIZE, PLAYER_SIZE } from '../config.js';
+import { boxBlocked, findNearestPassable } from '../world/collision.js';
+import { classifyAxes as classifyAxesFn, classifyAxesId } from '../world/biomes.js';
 
 function clamp01(x) { return x < 0 ? 0 : x > 1 ? 1 : x; }
 
 /**
  * Build a context object with utilities for commands.
- * @param {{player:any,camera:any,world:any,noise:any,renderer:any,print:(line:string)=>void}} deps
+ * @param {{player:any,camera:any,world:any,noise:any,renderer:any,minimap?:any,atlas?:any,inspector?:any,autowalk?:any,entities?:any,fauna?:any,settlements?:any,input?:any,saves?:any,urlSync?:any,print:(line:string)=>void}} deps
  */
 export function createCommandContext(deps) {
-  const { player, camera, world, noise, renderer, print } = deps;
+  const { player, camera, world, noise, renderer, minimap = null, atlas = null, inspector = null, autowalk = null, entities = null, fauna = null, settlements = null, input = null, saves = null, urlSync = null, print } = deps;
 
   function toTile(px, py) {
     return { tx: Math.floor(px / TILE_SIZE), ty: Math.floor(py / TILE_SIZE) };
@@ -22,10 +23,34 @@ export function createCommandContext(deps) {
     return { x: tx * TILE_SIZE, y: ty * TILE_SIZE };
   }
 
-  function teleportToPx(x, y) {
+  // Generates missing chunks on the spot: teleports and spawns check a few tiles once
+  function isBlockedTile(tx, ty) {
+    return typeof world?.isTilePassable === 'function' && !world.isTilePassable(tx, ty, true);
+  }
+
+  /**
+   * Teleport the player. Unless noclip is on, a destination where the player's box
+   * would overlap blocked terrain is moved to the center of the nearest passable tile.
+   * Returns null (player stays put) when none lies within maxRadius tiles.
+   * @returns {{x:number,y:number,nudged:boolean}|null}
+   */
+  function teleportToPx(x, y, { maxRadius = 64 } = {}) {
+    let nudged = false;
+    if (!player.noclip && boxBlocked(x, y, (player.size ?? PLAYER_SIZE) / 2, isBlockedTile)) {
+      const { tx, ty } = toTile(x, y);
+      const spot = findNearestPassable(tx, ty, isBlockedTile, maxRadius);
+      if (!spot) return null;
+      x = (spot.tx + 0.5) * TILE_SIZE;
+      y = (spot.ty + 0.5) * TILE_SIZE;
+      nudged = true;
+    }
     player.x = x;
     player.y = y;
+    if (typeof player.stop === 'function') player.stop();
+    if (autowalk) autowalk.cancel();
+    if (entities) entities.moved(player);
     camera.follow(player.x, player.y);
+    return { x, y, nudged };
   }
 
   function getAxesAtTile(tx, ty) {
@@ -46,6 +71,17 @@ export function createCommandContext(deps) {
     };
   }
 
+  /**
+   * Batched axes for a w x h block of tiles (see noise.sampleAxesGrid), or null
+   * when the sampler has no grid path.
+   */
+  function getAxesGrid(tx0, ty0, w, h) {
+    if (noise && typeof noise.sampleAxesGrid === 'function') {
+      return noise.sampleAxesGrid(tx0, ty0, w, h);
+    }
+    return null;
+  }
+
   function getAxesAtPx(px, py) {
     const { tx, ty } = toTile(px, py);
     return getAxesAtTile(tx, ty);
@@ -55,6 +91,30 @@ export function createCommandContext(deps) {
     return classifyAxesFn(axes);
   }
 
+  /** Biome id only; cheaper than classifyAxes() in tight loops. */
+  function classifyId(axes) {
+    return classifyAxesId(axes);
+  }
+
+  /**
+   * What the `tile` command reports about a tile (the hover inspector shows the same).
+   * @returns {{tx:number, ty:number, axes:Object, biome:{id:number,label:string,dist:number},
+   *   river:{order:number,flow:number}|null, loading:boolean, blocked:boolean, speed:number|null, prop:string|null, road:boolean}}
+   *   While the tile's chunk is still being generated, `loading` is set and blocked/speed/prop are unknown.
+   */
+  function describeTile(tx, ty) {
+    const axes = getAxesAtTile(tx, ty);
+    const biome = classifyAxes(axes);
+    const river = noise?.rivers ? noise.rivers.riverAt(tx, ty) : null;
+    const road = !!world?.roads && world.roads.isRoad(tx, ty);
+    // Never generates: the inspector calls this as the mouse moves
+    const loading = typeof world?.isTileLoaded === 'function' && !world.isTileLoaded(tx, ty);
+    const blocked = !loading && typeof world?.isTilePassable === 'function' && !world.isTilePassable(tx, ty);
+    const speed = !loading && !blocked && typeof world?.getTileSpeed === 'function' ? world.getTileSpeed(tx, ty) : null;
+    const prop = typeof world?.getTileProp === 'function' ? world.getTileProp(tx, ty) : null;
+    return { tx, ty, axes, biome, river: river && river.order ? river : null, loading, blocked, speed, prop: prop ? prop.type : null, road };
+  }
+
   function fmt(n, digits = 3) {
     const f = Math.pow(10, digits);
     return (Math.round(n * f) / f).toFixed(digits);
@@ -62,10 +122,10 @@ export function createCommandContext(deps) {
 
   return {
     // engine references
-    player, camera, world, noise, renderer,
+    player, camera, world, noise, renderer, minimap, atlas, inspector, autowalk, entities, fauna, settlements, input, saves, urlSync,
     // io
     print,
     // helpers
-    toTile, toWorld, teleportToPx, getAxesAtTile, getAxesAtPx, classifyAxes, fmt,
+    toTile, toWorld, teleportToPx, isBlockedTile, getAxesAtTile, getAxesGrid, getAxesAtPx, classifyAxes, classifyId, describeTile, fmt,
   };
 }
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Hover tile inspector: a tooltip next to the cursor with the tile's coordinates,
+ * biome (label, id, classifier distance), all seven axes, river, prop, road and
+ * walkability, i.e. what the `tile` command prints, for whatever tile is under the mouse.
+ *
+ * A click pins the hovered tile: its panel stays anchored to the tile while the
+ * hover tooltip keeps following the cursor and shows each axis relative to the pinned
+ * one. Clicking the pinned tile again (or Escape) unpins it.
+ *
+ * The tooltips are DOM elements (class `inspector`); tile outlines are drawn on the
+ * game canvas by render().
+ */
+import { TILE_SIZE } from '../config.js';
+import { AXES } from '../world/chunkdata.js';
+import { getActiveBiomes } from '../world/biomes.js';
+
+const HOVER_COLOR = 'rgba(255,255,255,0.9)';
+const PIN_COLOR = '#ffd166';
+
+function fmt(n) {
+  return n.toFixed(3);
+}
+
+function signed(n) {
+  return `${n >= 0 ? '+' : ''}${n.toFixed(3)}`;
+}
+
+export class TileInspector {
+  /**
+   * @param {{describe:(tx:number, ty:number) => any, parent?:HTMLElement}} deps
+   *   describe returns the tile summary (see describeTile in the command context)
+   */
+  constructor({ describe, parent = document.body }) {
+    this.describe = describe;
+    this.enabled = true;
+    /** @type {any|null} summary of the pinned tile */
+    this.pinned = null;
+    /** @type {any|null} summary of the hovered tile */
+    this.hovered = null;
+    this.biomes = getActiveBiomes();
+
+    this.hoverEl = document.createElement('div');
+    this.hoverEl.className = 'inspector';
+    this.pinEl = document.createElement('div');
+    this.pinEl.className = 'inspector pinned';
+    parent.appendChild(this.pinEl);
+    parent.appendChild(this.hoverEl);
+    this._hide(this.hoverEl);
+    this._hide(this.pinEl);
+  }
+
+  /** @param {boolean} on */
+  setEnabled(on) {
+    this.enabled = !!on;
+    if (!this.enabled) {
+      this._hide(this.hoverEl);
+      this._hide(this.pinEl);
+    }
+  }
+
+  toggle() {
+    this.setEnabled(!this.enabled);
+    return this.enabled;
+  }
+
+  /**
+   * Pin a tile for comparison.
+   */
+  pin(tx, ty) {
+    this.pinned = this.describe(tx, ty);
+    return this.pinned;
+  }
+
+  unpin() {
+    this.pinned = null;
+    this._hide(this.pinEl);
+  }
+
+  /**
+   * Click handler: pin the clicked tile, or unpin when it is already pinned.
+   * @param {{tx:number, ty:number}} hit
+   */
+  click(hit) {
+    if (!this.enabled) return;
+    if (this.pinned && this.pinned.tx === hit.tx && this.pinned.ty === hit.ty) this.unpin();
+    else this.pin(hit.tx, hit.ty);
+  }
+
+  /**
+   * Update the tooltips and outline the hovered and pinned tiles. Call after the world
+   * has been drawn, with the renderer's context still in CSS pixel space.
+   * @param {CanvasRenderingContext2D} ctx game canvas context
+   * @param {{worldToScreen:(x:number, y:number) => {sx:number, sy:number}}} pointer
+   * @param {{sx:number, sy:number, tx:number, ty:number}|null} hit tile under the cursor
+   * @param {number} zoom camera zoom (screen px per world px)
+   * @param {{w:number, h:number}} view canvas size in CSS px
+   */
+  render(ctx, pointer, hit, zoom, view) {
+    if (!this.enabled) return;
+
+    // Biome reloads change labels and ids; sample again
+    if (getActiveBiomes() !== this.biomes) {
+      this.biomes = getActiveBiomes();
+      this.hovered = null;
+      if (this.pinned) this.pin(this.pinned.tx, this.pinned.ty);
+    }
+
+    const tilePx = TILE_SIZE * zoom;
+    if (this.pinned) {
+      const { sx, sy } = pointer.worldToScreen(this.pinned.tx * TILE_SIZE, this.pinned.ty * TILE_SIZE);
+      this._outline(ctx, sx, sy, tilePx, PIN_COLOR);
+      const onScreen = sx + tilePx > 0 && sy + tilePx > 0 && sx < view.w && sy < view.h;
+      if (onScreen) {
+        this._show(this.pinEl, this._text(this.pinned, null, 'pinned'));
+        this._place(this.pinEl, sx + tilePx + 8, sy, view);
+      } else {
+        this._hide(this.pinEl);
+      }
+    }
+
+    if (!hit) {
+      this._hide(this.hoverEl);
+      return;
+    }
+    if (!this.hovered || this.hovered.tx !== hit.tx || this.hovered.ty !== hit.ty) {
+      this.hovered = this.describe(hit.tx, hit.ty);
+    }
+    const { sx, sy } = pointer.worldToScreen(hit.tx * TILE_SIZE, hit.ty * TILE_SIZE);
+    this._outline(ctx, sx, sy, tilePx, HOVER_COLOR);
+    this._show(this.hoverEl, this._text(this.hovered, this.pinned, null));
+    this._place(this.hoverEl, hit.sx + 16, hit.sy + 16, view);
+  }
+
+  _outline(ctx, sx, sy, size, color) {
+    const s = Math.max(3, size);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(Math.floor(sx) + 0.5, Math.floor(sy) + 0.5, Math.round(s) - 1, Math.round(s) - 1);
+  }
+
+  // Tooltip text; with `ref`, axes also show the difference from it
+  _text(info, ref, title) {
+    const lines = [];
+    lines.push(`${title ? `${title}  ` : ''}tile ${info.tx}, ${info.ty}`);
+    lines.push(`${info.biome.label}  id ${info.biome.id}  dist ${fmt(info.biome.dist)}`);
+    for (const axis of AXES) {
+      const v = info.axes[axis];
+      const same = ref && ref.tx === info.tx && ref.ty === info.ty;
+      lines.push(`${axis.padEnd(6)}${fmt(v)}${ref && !same ? `  ${signed(v - ref.axes[axis])}` : ''}`);
+    }
+    if (info.river) lines.push(`river  order ${info.river.order}, flow ${info.river.flow}`);
+    if (info.prop) lines.push(`prop   ${info.prop}`);
+    if (info.road) lines.push('road');
+    lines.push(info.loading ? 'loading...' : info.blocked ? 'blocked' : info.speed != null ? `speed  x${info.speed.toFixed(2)}` : '');
+    return lines.join('\n').trimEnd();
+  }
+
+  _show(el, text) {
+    if (el.textContent !== text) el.textContent = text;
+    el.style.display = 'block';
+  }
+
+  _hide(el) {
+    el.style.display = 'none';
+  }
+
+  // Keep a tooltip inside the view, flipping to the other side of the anchor if needed
+  _place(el, x, y, view) {
+    const w = el.offsetWidth;
+    const h = el.offsetHeight;
+    if (x + w > view.w - 4) x = Math.max(4, x - w - 32);
+    if (y + h > view.h - 4) y = Math.max(4, view.h - h - 4);
+    el.style.transform = `translate(${Math.round(x)}px, ${Math.round(y)}px)`;
+  }
+}
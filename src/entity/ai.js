@@ -0,0 +1,109 @@
+/**
+ * Entity behaviours. An AI is any object with update(entity, dt, env) that sets
+ * entity.intent (a direction, -1..1 per axis) for the movement phase; env carries
+ * `entities` (the EntityManager), `terrain` and `player`.
+ */
+
+function between(rng, [lo, hi]) {
+  return lo + (hi - lo) * rng();
+}
+
+/**
+ * Alternates between standing still and walking in a random direction. A walk ends
+ * early when the entity runs into something.
+ */
+export class WanderAI {
+  /**
+   * @param {{pause?:[number, number], walk?:[number, number], pace?:number, rng?:() => number}} [opts]
+   *   pause / walk: seconds range of each phase; pace: intent magnitude (0..1)
+   */
+  constructor({ pause = [0.5, 2.5], walk = [1, 3], pace = 1, rng = Math.random } = {}) {
+    this.pause = pause;
+    this.walk = walk;
+    this.pace = pace;
+    this.rng = rng;
+    this.walking = false;
+    this.timer = between(rng, pause);
+    this.elapsed = 0; // s in the current phase
+  }
+
+  update(e, dt) {
+    this.timer -= dt;
+    this.elapsed += dt;
+    // Blocked mid-walk (past the time it takes to get going): pause and pick again
+    const stuck = this.walking && this.elapsed > 0.3 && e.currentSpeed < e.effectiveSpeed * 0.1;
+    if (this.timer > 0 && !stuck) return;
+    this.walking = !this.walking && !stuck;
+    this.elapsed = 0;
+    if (this.walking) {
+      const a = this.rng() * Math.PI * 2;
+      e.intent = { x: Math.cos(a) * this.pace, y: Math.sin(a) * this.pace };
+      this.timer = between(this.rng, this.walk);
+    } else {
+      e.intent = { x: 0, y: 0 };
+      this.timer = between(this.rng, this.pause);
+    }
+  }
+}
+
+/**
+ * Wildlife: wanders around a home point, flees the player when it comes within `shy`
+ * px and keeps to its home biome. Walks that would step onto another biome (or past
+ * `leash` px from home) turn back; an animal chased out of its biome heads home once
+ * the player is gone.
+ */
+export class AnimalAI {
+  /**
+   * @param {{home:{x:number, y:number}, biome:number, biomeAt:(x:number, y:number) => number,
+   *   shy?:number, leash?:number, pace?:number, rng?:() => number}} opts
+   *   home: spawn point (world px); biomeAt: biome id at a world px position;
+   *   shy: flee distance (0 = never flees); leash: max wander distance from home
+   */
+  constructor({ home, biome, biomeAt, shy = 0, leash = Infinity, pace = 0.5, rng = Math.random }) {
+    this.home = home;
+    this.biome = biome;
+    this.biomeAt = biomeAt;
+    this.shy = shy;
+    this.leash = leash;
+    this.wander = new WanderAI({ pace, rng });
+    this.fleeing = false;
+  }
+
+  update(e, dt, env) {
+    const threat = env.player;
+    if (this.shy > 0 && threat && !threat.noclip) {
+      const dx = e.x - threat.x;
+      const dy = e.y - threat.y;
+      const d = Math.hypot(dx, dy);
+      // Calm down a little farther out than where it startled
+      if (d < this.shy || (this.fleeing && d < this.shy * 1.5)) {
+        this.fleeing = true;
+        e.intent = d > 0 ? { x: dx / d, y: dy / d } : { x: 1, y: 0 };
+        return;
+      }
+    }
+    this.fleeing = false;
+
+    const hx = this.home.x - e.x;
+    const hy = this.home.y - e.y;
+    const hd = Math.hypot(hx, hy);
+    if (hd > this.leash || this.biomeAt(e.x, e.y) !== this.biome) {
+      // Strayed (or was chased) out: walk back
+      e.intent = hd > 0 ? { x: hx / hd * this.wander.pace, y: hy / hd * this.wander.pace } : { x: 0, y: 0 };
+      this.wander.walking = false;
+      return;
+    }
+
+    this.wander.update(e, dt);
+    const { x: ix, y: iy } = e.intent;
+    if (!ix && !iy) return;
+    // Look one collider ahead; another biome there ends the walk
+    const len = Math.hypot(ix, iy);
+    const reach = Math.max(e.size, 8);
+    if (this.biomeAt(e.x + ix / len * reach, e.y + iy / len * reach) !== this.biome) {
+      e.intent = { x: 0, y: 0 };
+      this.wander.walking = false;
+      this.wander.timer = 0.3;
+    }
+  }
+}
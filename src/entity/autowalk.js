@@ -0,0 +1,189 @@
+import { TILE_SIZE, PATH, ROADS } from '../config.js';
+import { PathSearch, simplifyPath } from '../world/pathfind.js';
+import { findNearestPassable } from '../world/collision.js';
+import { maxSpeedFactor } from '../world/terrain.js';
+
+// Terrain for noclip walkers: nothing blocks and every tile is normal ground
+const OPEN_TERRAIN = { isBlocked: () => false, speedAt: () => 1 };
+const GOAL_RADIUS = 8; // tiles a blocked goal may move to reach passable ground
+
+/**
+ * Drives an entity along an A* route by producing the movement axis it should use,
+ * in place of keyboard input.
+ *
+ * goTo() plans from the entity's tile (a blocked goal moves to the nearest passable
+ * tile); the search advances PATH.SEARCH_MS per update() so long routes never stall
+ * a frame. With a terrain that has isLoaded(), the goal is judged and the route
+ * searched only over loaded tiles, waiting (still 'searching') for the rest. Once found, the entity steers at each waypoint (tile centers where the
+ * route turns) in turn and eases off near the last. If it makes no progress for
+ * PATH.STUCK_TIME it replans once from where it stands, then gives up.
+ */
+export class AutoWalker {
+  /**
+   * @param {{x:number, y:number, noclip?:boolean}} entity
+   * @param {{isBlocked:(tx:number,ty:number)=>boolean, speedAt:(tx:number,ty:number)=>number,
+   *   isLoaded?:(tx:number,ty:number)=>boolean}} terrain isLoaded: see PathSearch
+   */
+  constructor(entity, terrain) {
+    this.entity = entity;
+    this.terrain = terrain;
+    /** @type {'idle'|'searching'|'walking'} */
+    this.state = 'idle';
+    this.target = null; // goal tile {tx, ty}
+    /** @type {PathSearch|null} */
+    this.search = null;
+    /** @type {Array<{x:number, y:number}>} remaining waypoints (world px) */
+    this.waypoints = [];
+    this.onDone = null;
+    this._replanned = false;
+    this._best = Infinity; // closest approach to the current waypoint
+    this._stuck = 0;
+  }
+
+  get active() {
+    return this.state !== 'idle';
+  }
+
+  /** Whether the search is waiting for tiles that are still loading. */
+  get loading() {
+    return this.state === 'searching' && (!this.search || this.search.waiting);
+  }
+
+  /**
+   * Plan a route to a tile and start walking once it is found.
+   * @param {number} tx
+   * @param {number} ty
+   * @param {((result:{ok:boolean, reason?:string, search?:PathSearch}) => void)|null} [onDone]
+   *   called when the search settles (not when the walk ends)
+   */
+  goTo(tx, ty, onDone = null) {
+    this.cancel();
+    this.target = { tx, ty };
+    this.onDone = onDone;
+    this._replanned = false;
+    this.state = 'searching';
+    this._resolveGoal();
+  }
+
+  /** Stop walking (or searching). */
+  cancel() {
+    this.state = 'idle';
+    this.search = null;
+    this.waypoints = [];
+    this.target = null;
+    this.onDone = null;
+  }
+
+  _terrain() {
+    return this.entity.noclip ? OPEN_TERRAIN : this.terrain;
+  }
+
+  // Once the tiles around the goal are loaded, move a blocked goal to passable ground
+  // (or give up) and start the search
+  _resolveGoal() {
+    const terrain = this._terrain();
+    const { tx, ty } = this.target;
+    if (terrain.isLoaded) {
+      // The corners of the box cover every chunk it touches; ask for all of them
+      const r = GOAL_RADIUS;
+      let loaded = true;
+      for (const [x, y] of [[tx - r, ty - r], [tx + r, ty - r], [tx - r, ty + r], [tx + r, ty + r]]) {
+        if (!terrain.isLoaded(x, y)) loaded = false;
+      }
+      if (!loaded) return;
+    }
+    if (terrain.isBlocked(tx, ty)) {
+      const goal = findNearestPassable(tx, ty, terrain.isBlocked, GOAL_RADIUS);
+      if (!goal) {
+        const onDone = this.onDone;
+        this.cancel();
+        if (onDone) onDone({ ok: false, reason: 'blocked' });
+        return;
+      }
+      this.target = goal;
+    }
+    this._plan();
+  }
+
+  _plan() {
+    const sx = Math.floor(this.entity.x / TILE_SIZE);
+    const sy = Math.floor(this.entity.y / TILE_SIZE);
+    // Roads can beat every biome's speed; the heuristic must not overestimate
+    const maxSpeed = Math.max(maxSpeedFactor(), ROADS.SPEED);
+    this.search = new PathSearch(sx, sy, this.target.tx, this.target.ty, this._terrain(), { maxSpeed });
+    this.state = 'searching';
+  }
+
+  /**
+   * Advance the search or the walk.
+   * @param {number} dt seconds
+   * @returns {{x:number, y:number}|null} movement axis, or null when not walking
+   */
+  update(dt) {
+    if (this.state === 'searching') {
+      if (!this.search) {
+        this._resolveGoal();
+        if (!this.search) return null; // the goal is still loading, or was blocked
+      }
+      const t0 = performance.now();
+      let status = this.search.step(512);
+      while (status === 'searching' && !this.search.waiting && performance.now() - t0 < PATH.SEARCH_MS) {
+        status = this.search.step(512);
+      }
+      if (status === 'searching') return null;
+      const search = this.search;
+      const onDone = this.onDone;
+      this.onDone = null;
+      if (status !== 'found') {
+        this.cancel();
+        if (onDone) onDone({ ok: false, reason: status, search });
+        return null;
+      }
+      // Skip the start tile; the entity is already on it
+      this.waypoints = simplifyPath(search.path).slice(1)
+        .map(({ tx, ty }) => ({ x: (tx + 0.5) * TILE_SIZE, y: (ty + 0.5) * TILE_SIZE }));
+      this.state = 'walking';
+      this._best = Infinity;
+      this._stuck = 0;
+      if (onDone) onDone({ ok: true, search });
+    }
+    if (this.state !== 'walking') return null;
+
+    const e = this.entity;
+    let wp = this.waypoints[0];
+    let dx = wp ? wp.x - e.x : 0;
+    let dy = wp ? wp.y - e.y : 0;
+    let dist = Math.hypot(dx, dy);
+    while (wp && dist <= PATH.ARRIVE_PX) {
+      this.waypoints.shift();
+      this._best = Infinity;
+      this._stuck = 0;
+      wp = this.waypoints[0];
+      dx = wp ? wp.x - e.x : 0;
+      dy = wp ? wp.y - e.y : 0;
+      dist = Math.hypot(dx, dy);
+    }
+    if (!wp) {
+      this.cancel();
+      return null;
+    }
+
+    // Progress check: replan once when the entity stops getting closer
+    if (dist < this._best - 1) {
+      this._best = dist;
+      this._stuck = 0;
+    } else if ((this._stuck += dt) >= PATH.STUCK_TIME) {
+      if (this._replanned) {
+        this.cancel();
+        return null;
+      }
+      this._replanned = true;
+      this._plan();
+      return null;
+    }
+
+    const last = this.waypoints.length === 1;
+    const mag = last ? Math.min(1, dist / PATH.SLOW_PX) : 1;
+    return { x: dx / dist * mag, y: dy / dist * mag };
+  }
+}
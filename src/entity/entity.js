@@ -0,0 +1,123 @@
+import { PLAYER_ACCEL, PLAYER_FRICTION, TILE_SIZE } from '../config.js';
+import { resolveMove } from '../world/collision.js';
+
+/**
+ * Base entity: anything that lives in the world and is drawn over the terrain.
+ * An entity is made of optional components, each a plain field:
+ *  - position:  x, y (world px, center) and z (draw layer; higher draws on top)
+ *  - velocity:  vx, vy (px/s) with speed > 0 (top speed on normal ground); speed 0 never moves
+ *  - collider:  { size } box side in px that collides with blocked tiles (unless noclip)
+ *  - shape:     { kind: 'rect'|'circle'|'triangle', size, color, stroke?, minPx? } how it is drawn
+ *  - ai:        { update(entity, dt, env) } sets `intent` each frame (see entity/ai.js)
+ * Frozen entities are drawn but skipped by the update phase.
+ *
+ * Locomotion: `intent` (or the axis passed to update()) sets a target velocity of
+ * speed x the terrain factor underfoot. Velocity accelerates toward it at `accel` and
+ * brakes at `friction` when there is no input or the ground is slower than the
+ * current pace. EntityManager assigns `id`.
+ */
+export class Entity {
+  /**
+   * @param {string} type
+   * @param {number} x
+   * @param {number} y
+   * @param {{z?:number, speed?:number, accel?:number, friction?:number, size?:number,
+   *   shape?:{kind:string, size:number, color:string, stroke?:string, minPx?:number}, ai?:any}} [opts]
+   */
+  constructor(type, x = 0, y = 0, opts = {}) {
+    this.id = 0;
+    this.type = type;
+    this.x = x;
+    this.y = y;
+    this.z = opts.z ?? 0;
+    this.vx = 0;
+    this.vy = 0;
+    this.speed = opts.speed ?? 0;
+    this.accel = opts.accel ?? PLAYER_ACCEL;
+    this.friction = opts.friction ?? PLAYER_FRICTION;
+    this.collider = opts.size > 0 ? { size: opts.size } : null;
+    this.shape = opts.shape || null;
+    this.ai = opts.ai || null;
+    this.intent = { x: 0, y: 0 }; // desired direction, -1..1 per axis
+    this.noclip = false;
+    this.frozen = false;
+    this.terrainFactor = 1; // speed multiplier of the tile underfoot
+  }
+
+  /** Collider box side (px); 0 without a collider. */
+  get size() {
+    return this.collider ? this.collider.size : 0;
+  }
+
+  /** Top speed on the current tile (px/s). */
+  get effectiveSpeed() {
+    return this.speed * this.terrainFactor;
+  }
+
+  /** Current speed (px/s). */
+  get currentSpeed() {
+    return Math.hypot(this.vx, this.vy);
+  }
+
+  /**
+   * Update velocity and position from a direction and delta time.
+   * @param {number} dt seconds
+   * @param {{x:number,y:number}} [axis] direction (-1..1 on each); defaults to `intent`
+   * @param {{isBlocked:(tx:number,ty:number)=>boolean, speedAt:(tx:number,ty:number)=>number}} [terrain]
+   *   tile rules; omit to move freely at full speed
+   */
+  update(dt, axis = this.intent, terrain = null) {
+    let dx = axis.x || 0;
+    let dy = axis.y || 0;
+
+    // Normalize to avoid faster diagonals (analog input below 1 keeps its magnitude)
+    const mag = Math.hypot(dx, dy);
+    if (mag > 1) {
+      dx /= mag;
+      dy /= mag;
+    }
+
+    const useTerrain = terrain && !this.noclip;
+    this.terrainFactor = useTerrain
+      ? terrain.speedAt(Math.floor(this.x / TILE_SIZE), Math.floor(this.y / TILE_SIZE))
+      : 1;
+
+    // Steer velocity toward the target at the accel (or braking) rate
+    const top = this.effectiveSpeed;
+    const tvx = dx * top;
+    const tvy = dy * top;
+    const braking = mag === 0 || this.currentSpeed > top;
+    const rate = (braking ? this.friction : this.accel) * dt;
+    const ex = tvx - this.vx;
+    const ey = tvy - this.vy;
+    const err = Math.hypot(ex, ey);
+    if (err <= rate) {
+      this.vx = tvx;
+      this.vy = tvy;
+    } else {
+      this.vx += ex / err * rate;
+      this.vy += ey / err * rate;
+    }
+    if (this.vx === 0 && this.vy === 0) return;
+
+    const mx = this.vx * dt;
+    const my = this.vy * dt;
+    if (useTerrain && this.collider) {
+      const r = resolveMove(this.x, this.y, mx, my, this.size / 2, terrain.isBlocked);
+      this.x = r.x;
+      this.y = r.y;
+      // Walls absorb the blocked component so the entity slides instead of sticking
+      if (r.hitX) this.vx = 0;
+      if (r.hitY) this.vy = 0;
+    } else {
+      this.x += mx;
+      this.y += my;
+    }
+  }
+
+  /** Drop any momentum (e.g. after a teleport). */
+  stop() {
+    this.vx = 0;
+    this.vy = 0;
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Wildlife: a fauna table per biome id and a spawner that populates chunks around
+ * the player with it.
+ *
+ * A chunk's population is rolled from mulberry32(hash2i(cx, cy, seed)) over its tile
+ * data, so the same seed (and biome list) always gives the same animals in the same
+ * places. Animals keep to the biome they spawned in (see AnimalAI). Populations in
+ * chunks beyond FAUNA.ACTIVE_RADIUS of the player are frozen; when a chunk's data is
+ * evicted from the world cache its animals are removed, and the same population is
+ * rolled again if the player returns.
+ */
+import { CHUNK_SIZE, CHUNK_PIXEL_SIZE, FAUNA, TILE_SIZE } from '../config.js';
+import { hash2i, mulberry32 } from '../utils/prng.js';
+import { isPassable } from '../world/terrain.js';
+import { Entity } from './entity.js';
+import { AnimalAI } from './ai.js';
+
+/**
+ * Species: label, drawing, top speed (px/s), flee distance (tiles; 0 = stands its
+ * ground) and group size range.
+ */
+export const FAUNA_SPECIES = {
+  deer: { label: 'White-tailed deer', kind: 'rect', size: 12, color: '#a5744a', speed: 150, shy: 7, group: [1, 3] },
+  turkey: { label: 'Wild turkey', kind: 'circle', size: 9, color: '#4a3b30', speed: 90, shy: 6, group: [2, 5] },
+  bear: { label: 'Black bear', kind: 'rect', size: 14, color: '#1f1a17', speed: 110, shy: 0, group: [1, 1] },
+  fox: { label: 'Gray fox', kind: 'triangle', size: 9, color: '#8c8c8c', speed: 140, shy: 8, group: [1, 2] },
+  coyote: { label: 'Coyote', kind: 'triangle', size: 10, color: '#9a8463', speed: 150, shy: 10, group: [1, 2] },
+  squirrel: { label: 'Fox squirrel', kind: 'circle', size: 6, color: '#b8734a', speed: 110, shy: 5, group: [1, 2] },
+  tortoise: { label: 'Gopher tortoise', kind: 'circle', size: 9, color: '#7a6a4f', speed: 18, shy: 3, group: [1, 3] },
+  quail: { label: 'Northern bobwhite', kind: 'circle', size: 6, color: '#a08060', speed: 80, shy: 4, group: [4, 8] },
+  armadillo: { label: 'Nine-banded armadillo', kind: 'circle', size: 8, color: '#9c8f86', speed: 50, shy: 3, group: [1, 1] },
+  beaver: { label: 'American beaver', kind: 'rect', size: 10, color: '#6b4a2b', speed: 45, shy: 5, group: [1, 2] },
+  salamander: { label: 'Red salamander', kind: 'circle', size: 5, color: '#c4452f', speed: 20, shy: 2, group: [1, 2] },
+  treefrog: { label: 'Pine barrens treefrog', kind: 'circle', size: 5, color: '#5fa04a', speed: 40, shy: 2, group: [1, 3] },
+  alligator: { label: 'American alligator', kind: 'rect', size: 16, color: '#3c4a2e', speed: 40, shy: 0, group: [1, 1] },
+  heron: { label: 'Great blue heron', kind: 'triangle', size: 11, color: '#7d95b3', speed: 70, shy: 9, group: [1, 1] },
+  turtle: { label: 'Alabama map turtle', kind: 'circle', size: 8, color: '#56633a', speed: 25, shy: 4, group: [1, 3] },
+  terrapin: { label: 'Diamondback terrapin', kind: 'circle', size: 8, color: '#6e7360', speed: 25, shy: 4, group: [1, 2] },
+  fiddler: { label: 'Fiddler crab', kind: 'circle', size: 4, color: '#d08a56', speed: 45, shy: 3, group: [3, 8] },
+  ghostcrab: { label: 'Ghost crab', kind: 'circle', size: 5, color: '#e6dcc3', speed: 120, shy: 5, group: [1, 3] },
+  beachmouse: { label: 'Perdido Key beach mouse', kind: 'circle', size: 4, color: '#d9c7a3', speed: 90, shy: 4, group: [1, 3] },
+};
+
+/**
+ * Fauna per biome id (biomes.csv): density = expected groups per chunk of that biome,
+ * species = [name, weight] pairs. Biomes without an entry have no wildlife; the
+ * impassable delta and salt marsh (11, 12) are left out, and their animals live on
+ * the shores and bottomland around them.
+ */
+export const BIOME_FAUNA = {
+  1: { density: 3, species: [['deer', 4], ['turkey', 3], ['squirrel', 2], ['bear', 1]] },   // Appalachian Highlands
+  2: { density: 2, species: [['salamander', 3], ['deer', 2], ['fox', 1]] },                 // Sandstone Canyon
+  3: { density: 2, species: [['salamander', 2], ['deer', 2], ['fox', 2]] },                 // Karst Plateau
+  4: { density: 3, species: [['deer', 4], ['turkey', 3], ['fox', 2], ['squirrel', 2]] },    // Ridge-and-Valley
+  5: { density: 4, species: [['tortoise', 4], ['squirrel', 3], ['quail', 3], ['fox', 1], ['deer', 1]] }, // Longleaf
+  6: { density: 3, species: [['deer', 3], ['armadillo', 3], ['quail', 2], ['turkey', 1]] }, // Pine Flatwoods
+  7: { density: 3, species: [['treefrog', 5], ['salamander', 2], ['heron', 1]] },           // Seepage Bogs
+  8: { density: 3, species: [['quail', 3], ['deer', 2], ['coyote', 2], ['armadillo', 1]] }, // Black Belt Prairie
+  9: { density: 3, species: [['deer', 2], ['turkey', 2], ['beaver', 2], ['turtle', 2], ['alligator', 2], ['heron', 1]] }, // Bottomland
+  10: { density: 3, species: [['turtle', 4], ['heron', 3], ['beaver', 1]] },                // Shoal Rivers
+  13: { density: 3, species: [['ghostcrab', 4], ['beachmouse', 3], ['fiddler', 3], ['heron', 1]] }, // Dune & Beach
+  14: { density: 3, species: [['armadillo', 3], ['deer', 2], ['beachmouse', 2], ['terrapin', 2]] }, // Maritime Forest
+};
+
+function pickWeighted(list, r) {
+  let total = 0;
+  for (const [, w] of list) total += w;
+  let t = r * total;
+  for (const [name, w] of list) {
+    t -= w;
+    if (t < 0) return name;
+  }
+  return list[list.length - 1][0];
+}
+
+/**
+ * Build an animal of a species at a world px position.
+ * @param {string} name key of FAUNA_SPECIES
+ * @param {{biome:number, biomeAt:(x:number, y:number) => number, rng?:() => number}} opts
+ */
+export function createAnimal(name, x, y, { biome, biomeAt, rng = Math.random }) {
+  const s = FAUNA_SPECIES[name];
+  const e = new Entity(name, x, y, {
+    speed: s.speed,
+    size: s.size,
+    shape: { kind: s.kind, size: s.size, color: s.color, stroke: 'rgba(0,0,0,0.5)', minPx: 2 },
+    ai: new AnimalAI({
+      home: { x, y },
+      biome,
+      biomeAt,
+      shy: s.shy * TILE_SIZE,
+      leash: FAUNA.LEASH * TILE_SIZE,
+      pace: FAUNA.PACE,
+      rng,
+    }),
+  });
+  e.label = s.label;
+  return e;
+}
+
+export class FaunaSpawner {
+  /**
+   * @param {{world:import('../world/world.js').World, entities:import('./manager.js').EntityManager,
+   *   seed:number}} deps seed: world seed the populations derive from
+   */
+  constructor({ world, entities, seed }) {
+    this.world = world;
+    this.entities = entities;
+    this.seed = seed >>> 0;
+    this.radius = FAUNA.ACTIVE_RADIUS;
+    this.enabled = true;
+    /** @type {Map<string, {cx:number, cy:number, animals:Entity[]}>} chunk key -> population */
+    this.populations = new Map();
+    this.biomeAt = (x, y) => world.getTileId(Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE));
+  }
+
+  /**
+   * Populate chunks near a position whose tile data is ready, and freeze or wake
+   * populations by distance. Call once per frame.
+   * @param {number} x world px (usually the player)
+   * @param {number} y world px
+   */
+  update(x, y) {
+    const pcx = Math.floor(x / CHUNK_PIXEL_SIZE);
+    const pcy = Math.floor(y / CHUNK_PIXEL_SIZE);
+    const r = this.radius;
+    if (this.enabled) {
+      for (let cy = pcy - r; cy <= pcy + r; cy++) {
+        for (let cx = pcx - r; cx <= pcx + r; cx++) {
+          if (this.populations.has(`${cx},${cy}`)) continue;
+          // Never blocks: with workers, data arrives on a later frame
+          const data = this.world.requestChunkData(cx, cy);
+          if (data) this._populate(cx, cy, data);
+        }
+      }
+    }
+    for (const pop of this.populations.values()) {
+      const frozen = Math.abs(pop.cx - pcx) > r || Math.abs(pop.cy - pcy) > r;
+      for (const e of pop.animals) e.frozen = frozen;
+    }
+  }
+
+  /**
+   * Roll a chunk's population (deterministic for the seed and tile data). Tiles under
+   * trees and boulders are skipped whether or not props block movement, so toggling
+   * that does not change the population.
+   * @returns {Entity[]}
+   */
+  rollChunk(cx, cy, data) {
+    const rng = mulberry32(hash2i(cx, cy, this.seed));
+    const { blocked } = this.world.getChunkProps(cx, cy);
+    const animals = [];
+    const spread = FAUNA.GROUP_SPREAD;
+    for (let a = 0; a < FAUNA.ATTEMPTS; a++) {
+      const lx = Math.floor(rng() * CHUNK_SIZE);
+      const ly = Math.floor(rng() * CHUNK_SIZE);
+      const roll = rng();
+      const pick = rng();
+      const i = ly * CHUNK_SIZE + lx;
+      const biome = data.ids[i];
+      const table = BIOME_FAUNA[biome];
+      if (!table || roll >= table.density / FAUNA.ATTEMPTS || !isPassable(biome, data.water[i]) || blocked[i]) continue;
+      const name = pickWeighted(table.species, pick);
+      const [min, max] = FAUNA_SPECIES[name].group;
+      const n = min + Math.floor(rng() * (max - min + 1));
+      for (let k = 0; k < n; k++) {
+        // The first member stands on the rolled tile, the rest nearby on the same biome
+        const mx = k ? lx + Math.round((rng() * 2 - 1) * spread) : lx;
+        const my = k ? ly + Math.round((rng() * 2 - 1) * spread) : ly;
+        const seed = Math.floor(rng() * 4294967296);
+        if (mx < 0 || my < 0 || mx >= CHUNK_SIZE || my >= CHUNK_SIZE) continue;
+        const j = my * CHUNK_SIZE + mx;
+        if (data.ids[j] !== biome || !isPassable(biome, data.water[j]) || blocked[j]) continue;
+        const x = ((cx * CHUNK_SIZE + mx) + 0.5) * TILE_SIZE;
+        const y = ((cy * CHUNK_SIZE + my) + 0.5) * TILE_SIZE;
+        animals.push(createAnimal(name, x, y, { biome, biomeAt: this.biomeAt, rng: mulberry32(seed) }));
+      }
+    }
+    return animals;
+  }
+
+  _populate(cx, cy, data) {
+    const animals = this.rollChunk(cx, cy, data);
+    for (const e of animals) this.entities.add(e);
+    this.populations.set(`${cx},${cy}`, { cx, cy, animals });
+  }
+
+  /**
+   * Remove a chunk's animals (its tile data left the world cache).
+   */
+  evict(cx, cy) {
+    const key = `${cx},${cy}`;
+    const pop = this.populations.get(key);
+    if (!pop) return;
+    for (const e of pop.animals) this.entities.remove(e);
+    this.populations.delete(key);
+  }
+
+  /** Remove every animal (populations are rolled again on the next update). */
+  clear() {
+    for (const pop of Array.from(this.populations.values())) this.evict(pop.cx, pop.cy);
+  }
+
+  /** Counts for the debug console. */
+  getStats() {
+    let animals = 0;
+    let active = 0;
+    for (const pop of this.populations.values()) {
+      for (const e of pop.animals) {
+        if (this.entities.get(e.id) !== e) continue;
+        animals++;
+        if (!e.frozen) active++;
+      }
+    }
+    return { chunks: this.populations.size, animals, active };
+  }
+}
@@ -0,0 +1,189 @@
+import { CHUNK_PIXEL_SIZE } from '../config.js';
+
+/**
+ * Owns every entity (the player included), runs the update phase and answers
+ * spatial queries. Entities are hashed by the chunk they stand in, so "what is near
+ * here" and "what is in this chunk" only look at a few buckets.
+ * Usage:
+ *   const entities = new EntityManager();
+ *   entities.add(player);
+ *   // each frame
+ *   entities.update(dt, { terrain });
+ *   const near = entities.queryRadius(x, y, 64);
+ *   drawEntities(ctx, entities.visible(rect), rect, zoom);
+ */
+export class EntityManager {
+  constructor() {
+    /** @type {Map<number, import('./entity.js').Entity>} */
+    this.entities = new Map();
+    /** @type {Map<string, Set<import('./entity.js').Entity>>} chunk key -> entities */
+    this.cells = new Map();
+    /** @type {Map<any, string>} entity -> its chunk key */
+    this.cellOf = new Map();
+    this.nextId = 1;
+  }
+
+  get count() {
+    return this.entities.size;
+  }
+
+  /**
+   * Add an entity and give it an id.
+   * @template T
+   * @param {T & import('./entity.js').Entity} entity
+   * @returns {T}
+   */
+  add(entity) {
+    entity.id = this.nextId++;
+    this.entities.set(entity.id, entity);
+    this._place(entity);
+    return entity;
+  }
+
+  /**
+   * Remove an entity by id or reference.
+   * @returns {boolean} whether it was present
+   */
+  remove(idOrEntity) {
+    const entity = typeof idOrEntity === 'number' ? this.entities.get(idOrEntity) : idOrEntity;
+    if (!entity || this.entities.get(entity.id) !== entity) return false;
+    this.entities.delete(entity.id);
+    const key = this.cellOf.get(entity);
+    this.cellOf.delete(entity);
+    const cell = this.cells.get(key);
+    if (cell) {
+      cell.delete(entity);
+      if (!cell.size) this.cells.delete(key);
+    }
+    return true;
+  }
+
+  /** @returns {import('./entity.js').Entity|null} */
+  get(id) {
+    return this.entities.get(id) || null;
+  }
+
+  /** Every entity, in insertion order. */
+  all() {
+    return Array.from(this.entities.values());
+  }
+
+  /**
+   * Run AI, then movement, for every entity that is not frozen. AIs see the positions
+   * from the end of the previous frame.
+   * @param {number} dt seconds
+   * @param {{terrain?:any, player?:any}} [env] terrain: tile rules for movement (see
+   *   Entity.update); passed on to AIs with `entities` added
+   */
+  update(dt, env = {}) {
+    const list = this.all().filter(e => !e.frozen);
+    const ctx = { ...env, entities: this };
+    for (const e of list) {
+      if (e.ai) e.ai.update(e, dt, ctx);
+    }
+    for (const e of list) {
+      if (e.speed > 0) {
+        e.update(dt, e.intent, env.terrain || null);
+        this._place(e);
+      }
+    }
+  }
+
+  /**
+   * Re-hash an entity after moving it outside update() (e.g. a teleport).
+   */
+  moved(entity) {
+    if (this.entities.get(entity.id) === entity) this._place(entity);
+  }
+
+  _place(entity) {
+    const key = cellKey(Math.floor(entity.x / CHUNK_PIXEL_SIZE), Math.floor(entity.y / CHUNK_PIXEL_SIZE));
+    const prev = this.cellOf.get(entity);
+    if (prev === key) return;
+    if (prev !== undefined) {
+      const old = this.cells.get(prev);
+      old.delete(entity);
+      if (!old.size) this.cells.delete(prev);
+    }
+    let cell = this.cells.get(key);
+    if (!cell) this.cells.set(key, (cell = new Set()));
+    cell.add(entity);
+    this.cellOf.set(entity, key);
+  }
+
+  /**
+   * Entities standing in a chunk.
+   * @returns {import('./entity.js').Entity[]}
+   */
+  inChunk(cx, cy) {
+    const cell = this.cells.get(cellKey(cx, cy));
+    return cell ? Array.from(cell) : [];
+  }
+
+  /**
+   * Entities whose center lies in a world px rectangle, expanded by `pad` px.
+   */
+  queryRect(rect, pad = 0, filter = null) {
+    const x0 = rect.x - pad;
+    const y0 = rect.y - pad;
+    const x1 = rect.x + rect.w + pad;
+    const y1 = rect.y + rect.h + pad;
+    const out = [];
+    this._scan(x0, y0, x1, y1, (e) => {
+      if (e.x >= x0 && e.x <= x1 && e.y >= y0 && e.y <= y1 && (!filter || filter(e))) out.push(e);
+    });
+    return out;
+  }
+
+  /**
+   * Entities whose center is within `r` px of (x, y), nearest first.
+   * @param {(e:any) => boolean} [filter]
+   */
+  queryRadius(x, y, r, filter = null) {
+    const hits = [];
+    const r2 = r * r;
+    this._scan(x - r, y - r, x + r, y + r, (e) => {
+      const d2 = (e.x - x) * (e.x - x) + (e.y - y) * (e.y - y);
+      if (d2 <= r2 && (!filter || filter(e))) hits.push({ e, d2 });
+    });
+    hits.sort((a, b) => a.d2 - b.d2);
+    return hits.map(h => h.e);
+  }
+
+  // Visit the entities of every chunk overlapping a world px box
+  _scan(x0, y0, x1, y1, fn) {
+    const cx0 = Math.floor(x0 / CHUNK_PIXEL_SIZE);
+    const cy0 = Math.floor(y0 / CHUNK_PIXEL_SIZE);
+    const cx1 = Math.floor(x1 / CHUNK_PIXEL_SIZE);
+    const cy1 = Math.floor(y1 / CHUNK_PIXEL_SIZE);
+    // A huge box is cheaper as a walk over the occupied cells
+    if ((cx1 - cx0 + 1) * (cy1 - cy0 + 1) > this.cells.size) {
+      for (const [key, cell] of this.cells) {
+        const [cx, cy] = key.split(',').map(Number);
+        if (cx < cx0 || cx > cx1 || cy < cy0 || cy > cy1) continue;
+        for (const e of cell) fn(e);
+      }
+      return;
+    }
+    for (let cy = cy0; cy <= cy1; cy++) {
+      for (let cx = cx0; cx <= cx1; cx++) {
+        const cell = this.cells.get(cellKey(cx, cy));
+        if (cell) for (const e of cell) fn(e);
+      }
+    }
+  }
+
+  /**
+   * Entities to draw in a camera rect, in draw order: by layer (z), then by y so
+   * lower entities overlap higher ones.
+   * @param {{x:number, y:number, w:number, h:number}} rect
+   * @param {number} [pad] world px margin for shapes overhanging the edge
+   */
+  visible(rect, pad = 32) {
+    return this.queryRect(rect, pad, (e) => !!e.shape).sort((a, b) => (a.z - b.z) || (a.y - b.y) || (a.id - b.id));
+  }
+}
+
+function cellKey(cx, cy) {
+  return `${cx},${cy}`;
+}
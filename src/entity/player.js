@@ -1,32 +1,19 @@
-import { PLAYER_SPEED } from '../config.js';
+import { PLAYER_SPEED, PLAYER_SIZE } from '../config.js';
+import { Entity } from './entity.js';
 
 /**
- * Simple player entity with continuous movement in world pixel space.
+ * The player: an entity steered by input instead of an AI (main.js sets `intent`
+ * each frame). (x, y) is the center of a PLAYER_SIZE box that collides with blocked
+ * tiles unless noclip is set; locomotion is Entity.update().
  */
-export class Player {
+export class Player extends Entity {
   constructor(x = 0, y = 0, speed = PLAYER_SPEED) {
-    this.x = x;
-    this.y = y;
-    this.speed = speed; // pixels per second
+    super('player', x, y, {
+      z: 1,
+      speed,
+      size: PLAYER_SIZE,
+      // Kept visible when zoomed far out
+      shape: { kind: 'rect', size: PLAYER_SIZE, color: '#ffffff', stroke: 'rgba(0,0,0,0.6)', minPx: 4 },
+    });
   }
-
-  /**
-   * Update position based on input axis and delta time.
-   * @param {number} dt seconds
-   * @param {{x:number,y:number}} axis raw axis from keyboard (-1..1 on each)
-   */
-  update(dt, axis = { x: 0, y: 0 }) {
-    let dx = axis.x || 0;
-    let dy = axis.y || 0;
-
-    // Normalize to avoid faster diagonals
-    const mag = Math.hypot(dx, dy);
-    if (mag > 0) {
-      dx /= mag;
-      dy /= mag;
-
-      this.x += dx * this.speed * dt;
-      this.y += dy * this.speed * dt;
-    }
-  }
-}
\ No newline at end of file
+}
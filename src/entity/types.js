@@ -0,0 +1,44 @@
+/**
+ * Spawnable entity types (the `spawn` command lists them). Each builds a fresh
+ * Entity at a world px position; the caller adds it to the EntityManager.
+ */
+import { Entity } from './entity.js';
+import { WanderAI } from './ai.js';
+
+export const ENTITY_TYPES = {
+  crate: {
+    describe: 'static box',
+    create: (x, y) => new Entity('crate', x, y, {
+      size: 12,
+      shape: { kind: 'rect', size: 12, color: '#a0703c', stroke: 'rgba(0,0,0,0.6)' },
+    }),
+  },
+  critter: {
+    describe: 'small animal that wanders around',
+    create: (x, y) => new Entity('critter', x, y, {
+      speed: 60,
+      size: 8,
+      shape: { kind: 'circle', size: 8, color: '#e8c170', stroke: 'rgba(0,0,0,0.5)' },
+      ai: new WanderAI(),
+    }),
+  },
+  beacon: {
+    describe: 'marker drawn above everything, no collision',
+    create: (x, y) => new Entity('beacon', x, y, {
+      z: 2,
+      shape: { kind: 'triangle', size: 12, color: '#ff5d73', stroke: 'rgba(0,0,0,0.6)', minPx: 6 },
+    }),
+  },
+};
+
+/**
+ * Build an entity of a registered type.
+ * @param {string} type
+ * @returns {import('./entity.js').Entity}
+ * @throws {Error} for unknown types
+ */
+export function createEntity(type, x, y) {
+  const spec = ENTITY_TYPES[type];
+  if (!spec) throw new Error(`unknown entity type "${type}"`);
+  return spec.create(x, y);
+}
@@ -0,0 +1,303 @@
+/**
+ * Action-based input: game code asks about named actions ('moveUp', 'map', ...) and
+ * a binding table maps each to keyboard codes (KeyboardEvent.code) and gamepad button
+ * codes (see gamepad.js). Bindings can be changed at runtime (`bind` / `unbind`
+ * commands) and are persisted to localStorage.
+ * Usage:
+ *   import { createInput } from './input/actions.js';
+ *   const input = createInput();
+ *   input.onAction('map', () => atlas.toggle());
+ *   // each frame
+ *   input.update();
+ *   const { x, y } = input.axis(); // keys, d-pad, left stick and extra sources combined
+ */
+import { createKeyboard } from './keyboard.js';
+import { createGamepad, PAD_BUTTONS } from './gamepad.js';
+
+const STORAGE_KEY = 'tileworld.bindings';
+
+/** Actions and what they do (listed by the `bind` command). */
+export const ACTIONS = {
+  moveUp: 'move north',
+  moveDown: 'move south',
+  moveLeft: 'move west',
+  moveRight: 'move east',
+  console: 'toggle the debug console',
+  map: 'open or close the world atlas',
+  minimap: 'toggle the minimap',
+  inspect: 'toggle the tile inspector',
+  cancel: 'close the atlas, unpin the inspector or stop walking',
+  zoomIn: 'zoom in',
+  zoomOut: 'zoom out',
+  zoomReset: 'reset zoom',
+};
+
+export const DEFAULT_BINDINGS = {
+  moveUp: ['KeyW', 'ArrowUp', 'PadUp'],
+  moveDown: ['KeyS', 'ArrowDown', 'PadDown'],
+  moveLeft: ['KeyA', 'ArrowLeft', 'PadLeft'],
+  moveRight: ['KeyD', 'ArrowRight', 'PadRight'],
+  console: ['Backquote'],
+  map: ['KeyM', 'PadBack'],
+  minimap: ['KeyN', 'PadY'],
+  inspect: ['KeyI'],
+  cancel: ['Escape', 'PadB'],
+  zoomIn: ['Equal', 'NumpadAdd', 'PadRB'],
+  zoomOut: ['Minus', 'NumpadSubtract', 'PadLB'],
+  zoomReset: ['Digit0', 'Numpad0', 'PadRS'],
+};
+
+// Actions that fire even while the console is open and focused
+const GLOBAL_ACTIONS = new Set(['console']);
+
+// Friendly names accepted by normalizeCode()
+const ALIASES = {
+  up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+  space: 'Space', enter: 'Enter', return: 'Enter', esc: 'Escape', escape: 'Escape', tab: 'Tab',
+  backquote: 'Backquote', '`': 'Backquote', '-': 'Minus', '=': 'Equal', '+': 'Equal',
+  shift: 'ShiftLeft', ctrl: 'ControlLeft', alt: 'AltLeft',
+  ',': 'Comma', '.': 'Period', '/': 'Slash', ';': 'Semicolon', "'": 'Quote',
+  '[': 'BracketLeft', ']': 'BracketRight', '\\': 'Backslash',
+};
+
+/**
+ * Turn user input ('w', 'up', 'F2', 'pad a', 'KeyQ') into a binding code, or null.
+ * @param {string} name
+ */
+export function normalizeCode(name) {
+  const raw = String(name || '').trim();
+  if (!raw) return null;
+  const lower = raw.toLowerCase();
+  if (ALIASES[lower]) return ALIASES[lower];
+  if (/^[a-z]$/.test(lower)) return `Key${lower.toUpperCase()}`;
+  if (/^[0-9]$/.test(lower)) return `Digit${lower}`;
+  if (/^f([1-9]|1[0-9]|2[0-4])$/.test(lower)) return lower.toUpperCase();
+  const pad = lower.replace(/^(pad|gamepad)[\s:_-]*/, '');
+  if (pad !== lower) {
+    return PAD_BUTTONS.find(c => c.slice(3).toLowerCase() === pad) || null;
+  }
+  // Already a KeyboardEvent.code
+  if (/^[A-Z][A-Za-z0-9]+$/.test(raw)) return raw;
+  return null;
+}
+
+function copyBindings(src) {
+  const out = {};
+  for (const action of Object.keys(ACTIONS)) out[action] = (src[action] || []).slice();
+  return out;
+}
+
+// Saved bindings over the defaults; unknown actions are dropped, new ones keep defaults
+function loadBindings() {
+  const out = copyBindings(DEFAULT_BINDINGS);
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (saved && typeof saved === 'object') {
+      for (const action of Object.keys(ACTIONS)) {
+        if (Array.isArray(saved[action])) out[action] = saved[action].filter(c => typeof c === 'string');
+      }
+    }
+  } catch {
+    // Storage unavailable or corrupt: defaults
+  }
+  return out;
+}
+
+function saveBindings(bindings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch {
+    // Storage unavailable (private mode, quota): bindings last for this session
+  }
+}
+
+/**
+ * @param {{bindings?:Object<string, string[]>, persist?:boolean}} [opts]
+ *   bindings override the saved table; persist=false keeps changes in memory
+ */
+export function createInput(opts = {}) {
+  const persist = opts.persist !== false;
+  let bindings = opts.bindings ? copyBindings(opts.bindings) : loadBindings();
+  /** @type {Map<string, string>} code -> action */
+  let byCode = new Map();
+  let enabled = true;
+  /** @type {Map<string, Set<{fn:Function, repeat:boolean}>>} */
+  const handlers = new Map();
+  /** @type {Array<() => {x:number, y:number}>} extra analog inputs (e.g. touch joystick) */
+  const axisSources = [];
+
+  function reindex() {
+    byCode = new Map();
+    for (const [action, codes] of Object.entries(bindings)) {
+      for (const code of codes) byCode.set(code, action);
+    }
+  }
+  reindex();
+
+  const keyboard = createKeyboard({
+    isTracked: (code) => byCode.has(code),
+    isGlobal: (code) => GLOBAL_ACTIONS.has(byCode.get(code)),
+  });
+  const gamepad = createGamepad();
+
+  function fire(action, repeat) {
+    const set = handlers.get(action);
+    if (!set) return;
+    for (const h of Array.from(set)) {
+      if (!repeat || h.repeat) h.fn({ action, repeat });
+    }
+  }
+
+  keyboard.onPress((code, e) => {
+    const action = byCode.get(code);
+    if (action) fire(action, !!e.repeat);
+  });
+
+  /**
+   * Poll the gamepad and fire actions for its button presses. Call once per frame.
+   */
+  function update() {
+    for (const code of gamepad.poll()) {
+      const action = byCode.get(code);
+      if (action && (enabled || GLOBAL_ACTIONS.has(action))) fire(action, false);
+    }
+  }
+
+  /** Whether any key or button bound to an action is held. */
+  function isDown(action) {
+    if (!enabled) return false;
+    for (const code of bindings[action] || []) {
+      if (keyboard.isDown(code) || gamepad.isDown(code)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Movement axis from the move actions, the left stick and any added sources, magnitude <= 1.
+   * Right and down are positive.
+   */
+  function axis() {
+    if (!enabled) return { x: 0, y: 0 };
+    let x = (isDown('moveRight') ? 1 : 0) - (isDown('moveLeft') ? 1 : 0);
+    let y = (isDown('moveDown') ? 1 : 0) - (isDown('moveUp') ? 1 : 0);
+    for (const source of [gamepad.stick, ...axisSources]) {
+      const a = source();
+      x += a.x;
+      y += a.y;
+    }
+    const mag = Math.hypot(x, y);
+    if (mag > 1) {
+      x /= mag;
+      y /= mag;
+    }
+    return { x, y };
+  }
+
+  /**
+   * Call `fn({action, repeat})` when an action's key or button is pressed.
+   * @param {string} action
+   * @param {(ev:{action:string, repeat:boolean}) => void} fn
+   * @param {{repeat?:boolean}} [opts] repeat: also fire on key auto-repeat
+   * @returns {() => void} unsubscribe
+   */
+  function onAction(action, fn, { repeat = false } = {}) {
+    if (!handlers.has(action)) handlers.set(action, new Set());
+    const h = { fn, repeat };
+    handlers.get(action).add(h);
+    return () => handlers.get(action).delete(h);
+  }
+
+  /**
+   * Fire an action from another input source (e.g. an on-screen button). Ignored while
+   * input is disabled, except for actions that work with the console open.
+   */
+  function trigger(action) {
+    if (enabled || GLOBAL_ACTIONS.has(action)) fire(action, false);
+  }
+
+  /**
+   * Add an analog source to axis(), e.g. a touch joystick.
+   * @param {() => {x:number, y:number}} fn
+   */
+  function addAxisSource(fn) {
+    axisSources.push(fn);
+  }
+
+  function changed() {
+    reindex();
+    keyboard.clear();
+    if (persist) saveBindings(bindings);
+  }
+
+  /**
+   * Bind a code to an action. A code drives one action only, so it is taken from any
+   * other action first.
+   * @returns {string|null} the action it was taken from
+   */
+  function bind(action, code) {
+    if (!ACTIONS[action]) throw new Error(`unknown action "${action}"`);
+    const prev = byCode.get(code) || null;
+    if (prev === action) return null;
+    if (prev) bindings[prev] = bindings[prev].filter(c => c !== code);
+    bindings[action].push(code);
+    changed();
+    return prev;
+  }
+
+  /**
+   * Remove one code from an action, or all of them without `code`.
+   * @returns {string[]} the removed codes
+   */
+  function unbind(action, code = null) {
+    if (!ACTIONS[action]) throw new Error(`unknown action "${action}"`);
+    const removed = code ? bindings[action].filter(c => c === code) : bindings[action].slice();
+    bindings[action] = code ? bindings[action].filter(c => c !== code) : [];
+    changed();
+    return removed;
+  }
+
+  /** Restore the defaults for one action or all of them. */
+  function reset(action = null) {
+    if (action) {
+      if (!ACTIONS[action]) throw new Error(`unknown action "${action}"`);
+      const defaults = DEFAULT_BINDINGS[action] || [];
+      // Defaults win over codes since moved elsewhere
+      for (const other of Object.keys(bindings)) {
+        bindings[other] = bindings[other].filter(c => !defaults.includes(c));
+      }
+      bindings[action] = defaults.slice();
+    } else {
+      bindings = copyBindings(DEFAULT_BINDINGS);
+    }
+    changed();
+  }
+
+  return {
+    update,
+    axis,
+    isDown,
+    onAction,
+    trigger,
+    addAxisSource,
+    bind,
+    unbind,
+    reset,
+    getBindings: () => copyBindings(bindings),
+    actionFor: (code) => byCode.get(code) || null,
+    keyboard,
+    gamepad,
+    clear: () => {
+      keyboard.clear();
+      gamepad.clear();
+    },
+    setEnabled: (v) => {
+      enabled = !!v;
+      keyboard.setEnabled(enabled);
+    },
+    isEnabled: () => enabled,
+    destroy: () => {
+      keyboard.destroy();
+      handlers.clear();
+    },
+  };
+}
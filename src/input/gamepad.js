@@ -0,0 +1,102 @@
+/**
+ * Gamepad input through the Gamepad API, polled once per frame.
+ * Buttons are reported as codes in the spirit of KeyboardEvent.code ('PadA',
+ * 'PadStart', 'PadUp', ...; W3C standard mapping) so they can share a binding table
+ * with keys. The left stick is read as an analog axis with a radial dead zone.
+ * Usage:
+ *   import { createGamepad } from './input/gamepad.js';
+ *   const pad = createGamepad();
+ *   const pressed = pad.poll(); // codes pressed since the last poll
+ *   const { x, y } = pad.stick(); // -1..1, zero inside the dead zone
+ */
+import { INPUT } from '../config.js';
+
+// Standard-mapping button indices -> codes
+export const PAD_BUTTONS = [
+  'PadA', 'PadB', 'PadX', 'PadY',
+  'PadLB', 'PadRB', 'PadLT', 'PadRT',
+  'PadBack', 'PadStart', 'PadLS', 'PadRS',
+  'PadUp', 'PadDown', 'PadLeft', 'PadRight',
+  'PadHome',
+];
+
+/**
+ * Scale a stick reading so the dead zone maps to 0 and the rim to 1, keeping direction.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} deadZone 0..1
+ */
+export function applyDeadZone(x, y, deadZone) {
+  const mag = Math.hypot(x, y);
+  if (mag <= deadZone || mag === 0) return { x: 0, y: 0 };
+  const scaled = Math.min(1, (mag - deadZone) / (1 - deadZone));
+  return { x: x / mag * scaled, y: y / mag * scaled };
+}
+
+/**
+ * @param {{deadZone?:number, triggerThreshold?:number}} [opts]
+ */
+export function createGamepad(opts = {}) {
+  let deadZone = opts.deadZone ?? INPUT.PAD_DEAD_ZONE;
+  const triggerThreshold = opts.triggerThreshold ?? INPUT.PAD_TRIGGER;
+  const down = new Set();
+  let axis = { x: 0, y: 0 };
+  let id = null; // name of the pad in use
+
+  const supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+
+  // First connected pad (browsers only expose pads after a button press)
+  function activePad() {
+    if (!supported) return null;
+    for (const pad of navigator.getGamepads()) {
+      if (pad && pad.connected) return pad;
+    }
+    return null;
+  }
+
+  /**
+   * Read the pad. Returns the button codes that went down since the last poll.
+   * @returns {string[]}
+   */
+  function poll() {
+    const pad = activePad();
+    const pressed = [];
+    if (!pad) {
+      down.clear();
+      axis = { x: 0, y: 0 };
+      id = null;
+      return pressed;
+    }
+    id = pad.id;
+    pad.buttons.forEach((b, i) => {
+      const code = PAD_BUTTONS[i];
+      if (!code) return;
+      // Analog triggers report `value`; digital buttons `pressed`
+      const isDown = b.pressed || b.value > triggerThreshold;
+      if (isDown && !down.has(code)) {
+        down.add(code);
+        pressed.push(code);
+      } else if (!isDown) {
+        down.delete(code);
+      }
+    });
+    axis = applyDeadZone(pad.axes[0] || 0, pad.axes[1] || 0, deadZone);
+    return pressed;
+  }
+
+  return {
+    poll,
+    isDown: (code) => down.has(code),
+    stick: () => axis,
+    connected: () => id,
+    setDeadZone: (v) => {
+      if (Number.isFinite(v) && v >= 0 && v < 1) deadZone = v;
+      return deadZone;
+    },
+    getDeadZone: () => deadZone,
+    clear: () => {
+      down.clear();
+      axis = { x: 0, y: 0 };
+    },
+  };
+}
@@ -1,21 +1,24 @@
 /**
- * Keyboard input handler for WASD (and arrow keys) with continuous movement.
+ * Keyboard backend: tracks which keys (KeyboardEvent.code) are held and reports
+ * presses. Which codes matter is up to the caller (see input/actions.js); those are
+ * latched and have their default action suppressed, everything else passes through.
  * Usage:
  *   import { createKeyboard } from './input/keyboard.js';
- *   const kb = createKeyboard();
- *   const { x, y } = kb.axis(); // raw axis (-1..1)
+ *   const kb = createKeyboard({ isTracked: (code) => bound.has(code) });
+ *   kb.onPress((code, e) => ...);
+ *   kb.isDown('KeyW');
  *   kb.destroy(); // when tearing down
+ *
+ * While disabled (e.g. console open) nothing is latched or reported, except codes for
+ * which `isGlobal` is true (the console toggle), which are reported even while typing
+ * unless they type a letter, digit or space into the focused field.
  */
-export function createKeyboard() {
-  const tracked = new Set([
-    'KeyW', 'KeyA', 'KeyS', 'KeyD',
-    'ArrowUp', 'ArrowLeft', 'ArrowDown', 'ArrowRight'
-  ]);
-
+export function createKeyboard({ isTracked = () => false, isGlobal = () => false } = {}) {
   const down = new Set();
+  const pressHandlers = new Set();
 
   let enabled = true;
-  
+
   // Treat events as "typing" when coming from form fields or contentEditable.
   // Also check the activeElement for robustness (some browsers may have window as the event target).
   function isTypingTarget(target) {
@@ -28,8 +31,23 @@ export function createKeyboard() {
     };
     return isEditable(el) || isEditable(active);
   }
-  
+
+  // Whether a key press enters a letter, digit or space (punctuation such as the default
+  // console key, Backquote, does not count)
+  function typesText(e) {
+    return !e.ctrlKey && !e.metaKey && !e.altKey && typeof e.key === 'string' && /^[\p{L}\p{N} ]$/u.test(e.key);
+  }
+
+  function emit(code, e) {
+    for (const fn of Array.from(pressHandlers)) fn(code, e);
+  }
+
   const onKeyDown = (e) => {
+    if (isGlobal(e.code) && !(typesText(e) && isTypingTarget(e.target))) {
+      e.preventDefault();
+      emit(e.code, e);
+      return;
+    }
     // If globally disabled (e.g., console open), ignore and don't block text input.
     if (!enabled) return;
 
@@ -37,65 +55,42 @@ export function createKeyboard() {
     if (isTypingTarget(e.target)) {
       return;
     }
-    if (tracked.has(e.code)) {
+    if (isTracked(e.code)) {
       down.add(e.code);
       e.preventDefault();
+      // Browser shortcuts (Ctrl+-, Cmd+0, ...) are not game input
+      if (!e.ctrlKey && !e.metaKey && !e.altKey) emit(e.code, e);
     }
   };
 
   const onKeyUp = (e) => {
-    // If globally disabled, ignore and don't block text input.
-    if (!enabled) return;
-
-    // While typing, ensure any previously latched movement key is released,
-    // but do not prevent default so text input receives the key.
-    if (isTypingTarget(e.target)) {
-      if (tracked.has(e.code)) {
-        down.delete(e.code);
-      }
-      return;
-    }
-    if (tracked.has(e.code)) {
+    // Releases always count so nothing stays latched across enable/disable
+    if (down.has(e.code)) {
       down.delete(e.code);
-      e.preventDefault();
+      if (enabled && !isTypingTarget(e.target)) e.preventDefault();
     }
   };
 
-  // Listener management (detach completely while console is open to avoid any interference)
-  let listening = false;
-  function addListeners() {
-    if (listening) return;
-    window.addEventListener('keydown', onKeyDown, { passive: false });
-    window.addEventListener('keyup', onKeyUp, { passive: false });
-    listening = true;
-  }
-  function removeListeners() {
-    if (!listening) return;
-    window.removeEventListener('keydown', onKeyDown);
-    window.removeEventListener('keyup', onKeyUp);
-    listening = false;
-  }
-  addListeners();
+  window.addEventListener('keydown', onKeyDown, { passive: false });
+  window.addEventListener('keyup', onKeyUp, { passive: false });
 
   function isDown(code) {
     return down.has(code);
   }
 
-  function axis() {
-    // Right positive X, Down positive Y (we will invert Y in movement if needed)
-    let x = 0;
-    let y = 0;
-
-    if (down.has('KeyA') || down.has('ArrowLeft')) x -= 1;
-    if (down.has('KeyD') || down.has('ArrowRight')) x += 1;
-    if (down.has('KeyW') || down.has('ArrowUp')) y -= 1;
-    if (down.has('KeyS') || down.has('ArrowDown')) y += 1;
-
-    return { x, y };
+  /**
+   * Call `fn(code, event)` on each tracked key press (auto-repeats included; see e.repeat).
+   * @returns {() => void} unsubscribe
+   */
+  function onPress(fn) {
+    pressHandlers.add(fn);
+    return () => pressHandlers.delete(fn);
   }
 
   function destroy() {
-    removeListeners();
+    window.removeEventListener('keydown', onKeyDown);
+    window.removeEventListener('keyup', onKeyUp);
+    pressHandlers.clear();
     down.clear();
   }
 
@@ -105,16 +100,15 @@ export function createKeyboard() {
 
   return {
     isDown,
-    axis,
+    onPress,
     clear,
     setEnabled: (v) => {
       const next = !!v;
       if (next === enabled) return;
       enabled = next;
-      if (enabled) addListeners();
-      else removeListeners();
+      down.clear();
     },
     isEnabled: () => enabled,
     destroy
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,152 @@
+/**
+ * Pointer (mouse/pen) input over the game canvas, mapped to world coordinates.
+ * Screen positions are CSS pixels within the canvas (the renderer's drawing space);
+ * world positions come from Camera.worldRect and zoom, so shake and look-ahead are
+ * accounted for. Touch pointers are left to the touch backend (input/touch.js).
+ * Usage:
+ *   import { createPointer } from './input/pointer.js';
+ *   const pointer = createPointer(canvas, { camera, renderer });
+ *   const hit = pointer.hover();   // {sx, sy, x, y, tx, ty} under the cursor, or null
+ *   const off = pointer.onClick((hit, e) => { if (e.button === 0) ... });
+ *   pointer.destroy(); // when tearing down
+ */
+import { TILE_SIZE } from '../config.js';
+
+// Pointer travel (CSS px) between press and release that still counts as a click
+const CLICK_SLOP = 4;
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {{camera:import('../render/camera.js').Camera, renderer:import('../render/renderer.js').Renderer}} deps
+ */
+export function createPointer(canvas, { camera, renderer }) {
+  let pos = null;   // {sx, sy} last position over the canvas; null when outside
+  let press = null; // {id, button, sx, sy, moved}
+  let enabled = true;
+  const clickHandlers = new Set();
+
+  // Client coordinates -> CSS px in the renderer's view (the element may be stretched)
+  function toScreen(e) {
+    const r = canvas.getBoundingClientRect();
+    const kx = r.width ? renderer.viewW / r.width : 1;
+    const ky = r.height ? renderer.viewH / r.height : 1;
+    return { sx: (e.clientX - r.left) * kx, sy: (e.clientY - r.top) * ky };
+  }
+
+  /**
+   * Screen CSS px -> world px.
+   */
+  function screenToWorld(sx, sy) {
+    const rect = camera.worldRect(renderer.viewW, renderer.viewH);
+    const zoom = camera.zoom || 1;
+    return { x: rect.x + sx / zoom, y: rect.y + sy / zoom };
+  }
+
+  /**
+   * World px -> screen CSS px.
+   */
+  function worldToScreen(x, y) {
+    const rect = camera.worldRect(renderer.viewW, renderer.viewH);
+    const zoom = camera.zoom || 1;
+    return { sx: (x - rect.x) * zoom, sy: (y - rect.y) * zoom };
+  }
+
+  /**
+   * Canvas backing-store px (CSS px x renderer DPR) -> world px.
+   */
+  function deviceToWorld(bx, by) {
+    const dpr = renderer.dpr || 1;
+    return screenToWorld(bx / dpr, by / dpr);
+  }
+
+  /**
+   * Everything about a screen point: screen and world px, and the tile under it.
+   * @returns {{sx:number, sy:number, x:number, y:number, tx:number, ty:number}}
+   */
+  function hitAt(sx, sy) {
+    const { x, y } = screenToWorld(sx, sy);
+    return { sx, sy, x, y, tx: Math.floor(x / TILE_SIZE), ty: Math.floor(y / TILE_SIZE) };
+  }
+
+  /**
+   * The point under the cursor, recomputed from the current camera (so it tracks the
+   * world while the camera moves under a still cursor). Null when outside or disabled.
+   */
+  function hover() {
+    return enabled && pos ? hitAt(pos.sx, pos.sy) : null;
+  }
+
+  const onMove = (e) => {
+    if (e.pointerType === 'touch') return;
+    pos = toScreen(e);
+    if (press && press.id === e.pointerId && !press.moved) {
+      press.moved = Math.hypot(pos.sx - press.sx, pos.sy - press.sy) >= CLICK_SLOP;
+    }
+  };
+
+  const onDown = (e) => {
+    if (!enabled || e.pointerType === 'touch') return;
+    pos = toScreen(e);
+    press = { id: e.pointerId, button: e.button, sx: pos.sx, sy: pos.sy, moved: false };
+  };
+
+  const onUp = (e) => {
+    const p = press;
+    press = null;
+    if (!enabled || !p || p.id !== e.pointerId || p.button !== e.button || p.moved) return;
+    const hit = hitAt(p.sx, p.sy);
+    for (const fn of Array.from(clickHandlers)) fn(hit, e);
+  };
+
+  const onLeave = () => {
+    pos = null;
+    press = null;
+  };
+
+  // Right clicks are game input, not a browser menu
+  const onContextMenu = (e) => e.preventDefault();
+
+  canvas.addEventListener('pointermove', onMove);
+  canvas.addEventListener('pointerdown', onDown);
+  canvas.addEventListener('pointerup', onUp);
+  canvas.addEventListener('pointerleave', onLeave);
+  canvas.addEventListener('pointercancel', onLeave);
+  canvas.addEventListener('contextmenu', onContextMenu);
+
+  /**
+   * Call `fn(hit, event)` when a button is pressed and released in place.
+   * @param {(hit:{sx:number, sy:number, x:number, y:number, tx:number, ty:number}, e:PointerEvent) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  function onClick(fn) {
+    clickHandlers.add(fn);
+    return () => clickHandlers.delete(fn);
+  }
+
+  function destroy() {
+    canvas.removeEventListener('pointermove', onMove);
+    canvas.removeEventListener('pointerdown', onDown);
+    canvas.removeEventListener('pointerup', onUp);
+    canvas.removeEventListener('pointerleave', onLeave);
+    canvas.removeEventListener('pointercancel', onLeave);
+    canvas.removeEventListener('contextmenu', onContextMenu);
+    clickHandlers.clear();
+    pos = null;
+    press = null;
+  }
+
+  return {
+    hover,
+    hitAt,
+    screenToWorld,
+    worldToScreen,
+    deviceToWorld,
+    onClick,
+    setEnabled: (v) => {
+      enabled = !!v;
+      if (!enabled) press = null;
+    },
+    isEnabled: () => enabled,
+    destroy
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Touch backend: a floating virtual joystick, on-screen action buttons and
+ * pinch-to-zoom on the game canvas. Nothing is shown until the first touch, so
+ * mouse-and-keyboard players (including on touch-capable laptops) never see it.
+ * Usage:
+ *   import { createTouch } from './input/touch.js';
+ *   const touch = createTouch(canvas, {
+ *     buttons: [{ action: 'console', label: '>_' }],
+ *     onAction: (action) => ...,
+ *     onPinch: (factor, sx, sy) => ...,
+ *   });
+ *   const { x, y } = touch.axis(); // -1..1, zero when idle or inside the dead zone
+ *
+ * A touch that starts in the left TOUCH.JOY_ZONE of the screen (with no other finger
+ * down) drives the joystick: the base jumps under the thumb and the knob's offset,
+ * over TOUCH.JOY_RADIUS, is the axis. Any two other fingers pinch.
+ */
+import { TOUCH } from '../config.js';
+import { applyDeadZone } from './gamepad.js';
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {{buttons?:Array<{action:string, label:string}>, onAction?:(action:string) => void,
+ *   onPinch?:(factor:number, sx:number, sy:number) => void, parent?:HTMLElement}} [opts]
+ */
+export function createTouch(canvas, opts = {}) {
+  const { buttons = [], onAction = () => {}, onPinch = () => {}, parent = document.body } = opts;
+  let active = false;
+  let axis = { x: 0, y: 0 };
+  let joy = null; // {id, x0, y0} thumb driving the joystick
+  /** @type {Map<number, {x:number, y:number}>} other fingers on the canvas */
+  const fingers = new Map();
+  let pinchDist = 0;
+
+  // UI (built on first touch)
+  let root = null;
+  let base = null;
+  let knob = null;
+
+  function build() {
+    root = document.createElement('div');
+    root.className = 'touch-ui';
+    base = document.createElement('div');
+    base.className = 'touch-joy';
+    knob = document.createElement('div');
+    knob.className = 'touch-knob';
+    base.appendChild(knob);
+    root.appendChild(base);
+    const bar = document.createElement('div');
+    bar.className = 'touch-buttons';
+    for (const { action, label } of buttons) {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'touch-button';
+      b.textContent = label;
+      b.setAttribute('aria-label', action);
+      b.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onAction(action);
+      });
+      bar.appendChild(b);
+    }
+    root.appendChild(bar);
+    parent.appendChild(root);
+    restBase();
+  }
+
+  const size = () => TOUCH.JOY_RADIUS * 2;
+
+  // Idle joystick sits in the bottom-left corner
+  function restBase() {
+    placeBase(TOUCH.JOY_RADIUS + 24, window.innerHeight - TOUCH.JOY_RADIUS - 24);
+    placeKnob(0, 0);
+    base.classList.remove('held');
+  }
+
+  function placeBase(x, y) {
+    base.style.width = base.style.height = `${size()}px`;
+    base.style.transform = `translate(${Math.round(x - TOUCH.JOY_RADIUS)}px, ${Math.round(y - TOUCH.JOY_RADIUS)}px)`;
+  }
+
+  function placeKnob(dx, dy) {
+    knob.style.transform = `translate(${Math.round(dx)}px, ${Math.round(dy)}px)`;
+  }
+
+  function activate() {
+    if (active) return;
+    active = true;
+    build();
+  }
+
+  // First touch anywhere turns the controls on
+  const onFirstTouch = (e) => {
+    if (e.pointerType !== 'touch') return;
+    activate();
+    window.removeEventListener('pointerdown', onFirstTouch, true);
+  };
+  window.addEventListener('pointerdown', onFirstTouch, true);
+
+  function pinchSpan() {
+    const [a, b] = Array.from(fingers.values());
+    return { d: Math.hypot(a.x - b.x, a.y - b.y), cx: (a.x + b.x) / 2, cy: (a.y + b.y) / 2 };
+  }
+
+  const onDown = (e) => {
+    if (e.pointerType !== 'touch') return;
+    e.preventDefault();
+    canvas.setPointerCapture(e.pointerId);
+    if (!joy && fingers.size === 0 && e.clientX < window.innerWidth * TOUCH.JOY_ZONE) {
+      joy = { id: e.pointerId, x0: e.clientX, y0: e.clientY };
+      placeBase(e.clientX, e.clientY);
+      base.classList.add('held');
+      return;
+    }
+    fingers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (fingers.size === 2) pinchDist = pinchSpan().d;
+  };
+
+  const onMove = (e) => {
+    if (e.pointerType !== 'touch') return;
+    if (joy && e.pointerId === joy.id) {
+      let dx = e.clientX - joy.x0;
+      let dy = e.clientY - joy.y0;
+      const len = Math.hypot(dx, dy);
+      if (len > TOUCH.JOY_RADIUS) {
+        dx *= TOUCH.JOY_RADIUS / len;
+        dy *= TOUCH.JOY_RADIUS / len;
+      }
+      placeKnob(dx, dy);
+      axis = applyDeadZone(dx / TOUCH.JOY_RADIUS, dy / TOUCH.JOY_RADIUS, TOUCH.JOY_DEAD_ZONE);
+      return;
+    }
+    const f = fingers.get(e.pointerId);
+    if (!f) return;
+    f.x = e.clientX;
+    f.y = e.clientY;
+    if (fingers.size === 2) {
+      const { d, cx, cy } = pinchSpan();
+      if (pinchDist > 0 && d > 0) onPinch(d / pinchDist, cx, cy);
+      pinchDist = d;
+    }
+  };
+
+  const onUp = (e) => {
+    if (e.pointerType !== 'touch') return;
+    if (joy && e.pointerId === joy.id) {
+      joy = null;
+      axis = { x: 0, y: 0 };
+      restBase();
+      return;
+    }
+    fingers.delete(e.pointerId);
+    pinchDist = fingers.size === 2 ? pinchSpan().d : 0;
+  };
+
+  canvas.addEventListener('pointerdown', onDown);
+  canvas.addEventListener('pointermove', onMove);
+  canvas.addEventListener('pointerup', onUp);
+  canvas.addEventListener('pointercancel', onUp);
+
+  const onResize = () => { if (active && !joy) restBase(); };
+  window.addEventListener('resize', onResize);
+
+  return {
+    axis: () => axis,
+    isActive: () => active,
+    /** Show the controls without waiting for a touch (e.g. from the console). */
+    activate,
+    destroy: () => {
+      window.removeEventListener('pointerdown', onFirstTouch, true);
+      window.removeEventListener('resize', onResize);
+      canvas.removeEventListener('pointerdown', onDown);
+      canvas.removeEventListener('pointermove', onMove);
+      canvas.removeEventListener('pointerup', onUp);
+      canvas.removeEventListener('pointercancel', onUp);
+      if (root) root.remove();
+      root = null;
+      active = false;
+    },
+  };
+}
@@ -1,15 +1,30 @@
-import { MAX_DT, TILE_SIZE } from './config.js';
-import { createKeyboard } from './input/keyboard.js';
+import { MAX_DT, TILE_SIZE, CHUNK_WORKERS, VIEW_CHUNK_MARGIN, ZOOM_STEP, MINIMAP } from './config.js';
+import { createInput } from './input/actions.js';
+import { createTouch } from './input/touch.js';
+import { createPointer } from './input/pointer.js';
 import { Camera } from './render/camera.js';
 import { Renderer } from './render/renderer.js';
+import { Minimap } from './render/minimap.js';
+import { drawPathOverlay } from './render/pathoverlay.js';
+import { Atlas } from './render/atlas.js';
 import { World } from './world/world.js';
-import { makeNoise } from './world/noise.js';
+import { SettlementNetwork } from './world/settlements.js';
+import { ExploredMap, exploredStorageKey, loadExplored, saveExplored } from './world/explored.js';
+import { ChunkWorkerPool } from './world/workerpool.js';
+import { createWorldNoise } from './world/generator.js';
 import { Player } from './entity/player.js';
+import { AutoWalker } from './entity/autowalk.js';
+import { EntityManager } from './entity/manager.js';
+import { FaunaSpawner } from './entity/fauna.js';
+import { SaveStore } from './save/savestore.js';
+import { SaveManager } from './save/savegame.js';
+import { readUrlState, UrlSync } from './save/urlstate.js';
 import { makeSeed, randomSeed, toUint32 } from './utils/prng.js';
-import { tryLoadBiomesFromCSV, classifyAxes } from './world/biomes.js';
+import { tryLoadBiomesFromCSV, classifyAxes, getActiveBiomes, getBiomeLoadReport, formatBiomeLoadError } from './world/biomes.js';
 
 /* Debug modules */
 import { DebugConsole } from './debug/console.js';
+import { TileInspector } from './debug/inspector.js';
 import { createCommandRegistry } from './debug/registry.js';
 import { createCommandContext } from './debug/context.js';
 import helpCmd from './debug/commands/help.js';
@@ -17,38 +32,144 @@ import tpCmd from './debug/commands/tp.js';
 import tileCmd from './debug/commands/tile.js';
 import findBiomeCmd from './debug/commands/findbiome.js';
 import viewCmd from './debug/commands/view.js';
+import cacheCmd from './debug/commands/cache.js';
+import riverCmd from './debug/commands/river.js';
+import biomesCmd from './debug/commands/biomes.js';
+import noclipCmd from './debug/commands/noclip.js';
+import zoomCmd from './debug/commands/zoom.js';
+import cameraCmd from './debug/commands/camera.js';
+import minimapCmd from './debug/commands/minimap.js';
+import mapCmd from './debug/commands/map.js';
+import inspectCmd from './debug/commands/inspect.js';
+import pathCmd from './debug/commands/path.js';
+import bindCmd from './debug/commands/bind.js';
+import unbindCmd from './debug/commands/unbind.js';
+import saveCmd from './debug/commands/save.js';
+import loadCmd from './debug/commands/load.js';
+import savesCmd from './debug/commands/saves.js';
+import deleteSaveCmd from './debug/commands/deletesave.js';
+import linkCmd from './debug/commands/link.js';
+import spawnCmd from './debug/commands/spawn.js';
+import entitiesCmd from './debug/commands/entities.js';
+import killCmd from './debug/commands/kill.js';
+import faunaCmd from './debug/commands/fauna.js';
+import decorCmd from './debug/commands/decor.js';
+import townsCmd from './debug/commands/towns.js';
 
 // DOM refs
 const canvas = document.getElementById('game');
+const minimapCanvas = document.getElementById('minimap');
+const atlasCanvas = document.getElementById('atlas');
 const seedOut = document.getElementById('seed-out');
 const fpsOut = document.getElementById('fps-out');
 const biomeOut = document.getElementById('biome-out');
 const posOut = document.getElementById('pos-out');
 const tileOut = document.getElementById('tile-out');
+const speedOut = document.getElementById('speed-out');
 
-// Seed handling via URL ?seed=... (string accepted)
-const url = new URL(window.location.href);
-const seedParam = url.searchParams.get('seed');
-const baseSeed = seedParam ? makeSeed(seedParam) : randomSeed();
+// Seed, position, view mode and zoom from the URL (?seed=...&tx=..&ty=..&view=..&zoom=..).
+// A random world gets a seed text too, so the link (and a save game) can bring it back.
+const urlState = readUrlState(window.location.href);
+const seedText = urlState.seed || String(randomSeed());
+const baseSeed = makeSeed(seedText);
 const elevSeed = toUint32(baseSeed ^ 0xA5A5A5A5);
 const moistSeed = toUint32(baseSeed ^ 0x3C6EF372);
-
-// Display seed (prefer the provided param; else numeric base)
-if (seedOut) seedOut.textContent = seedParam ? seedParam : String(baseSeed);
-
-// Noise fields and world
-const noise = makeNoise(elevSeed, moistSeed);
-const world = new World(noise);
-
-// Player and camera
-const player = new Player(0, 0);
+const riverSeed = toUint32(baseSeed ^ 0x1B873593);
+const faunaSeed = toUint32(baseSeed ^ 0x68E31DA4);
+const decorSeed = toUint32(baseSeed ^ 0x2F7D1C5B);
+const settleSeed = toUint32(baseSeed ^ 0x7B3A91E5);
+const seeds = { elevSeed, moistSeed, riverSeed };
+
+if (seedOut) seedOut.textContent = seedText;
+
+// Noise fields (with rivers) and world (with its decoration scatter)
+const noise = createWorldNoise(seeds);
+const world = new World(noise, { decorSeed });
+// Towns, camps and landmarks joined by roads; roads near the player are routed in the background
+const settlements = new SettlementNetwork(noise, settleSeed, { seeds });
+world.roads = settlements;
+const isBlockedTile = (tx, ty) => !world.isTilePassable(tx, ty);
+// Tile rules the player moves by (collision + movement cost); route searches wait on isLoaded
+const terrain = {
+  isBlocked: isBlockedTile,
+  speedAt: (tx, ty) => world.getTileSpeed(tx, ty),
+  isLoaded: (tx, ty) => world.isTileLoaded(tx, ty, true),
+};
+
+// Entities (the player is one of them) and the camera
+const entities = new EntityManager();
+const spawn = urlState.pos || { x: 0, y: 0 };
+const player = entities.add(new Player(spawn.x, spawn.y));
 const camera = new Camera(player.x, player.y);
+if (urlState.zoom) camera.setZoom(urlState.zoom);
+if (urlState.view) world.setViewMode(urlState.view);
+// Wildlife rolled per chunk from the seed; leaves with the chunk's cached data
+const fauna = new FaunaSpawner({ world, entities, seed: faunaSeed });
+world.onEvict = (cx, cy) => fauna.evict(cx, cy);
+// Click-to-move / `path` command: walks the player along an A* route
+const autowalk = new AutoWalker(player, terrain);
 
 // Renderer
 const renderer = new Renderer(canvas);
 
-// Input
-const kb = createKeyboard();
+// Explored area (persisted per seed) and the corner minimap
+const explored = new ExploredMap();
+const exploredKey = exploredStorageKey(seedText);
+loadExplored(explored, exploredKey);
+const minimap = minimapCanvas ? new Minimap(minimapCanvas, { world, explored }) : null;
+let exploredSaveTimer = 0;
+
+// Full-screen world atlas (M key); a click teleports there and closes it
+const atlas = atlasCanvas ? new Atlas(atlasCanvas, { noise, seeds }) : null;
+if (atlas) {
+  atlas.onPick = (x, y) => {
+    const res = ctx.teleportToPx(x, y);
+    atlas.close();
+    if (!res) {
+      debugConsole.log('map: destination is blocked and no passable tile is nearby.');
+      return;
+    }
+    const { tx, ty } = ctx.toTile(res.x, res.y);
+    debugConsole.log(`Teleported to px=(${Math.round(res.x)}, ${Math.round(res.y)}) tile=(${tx}, ${ty})` +
+      (res.nudged ? ' (nearest passable tile)' : ''));
+  };
+}
+
+// Save slots in IndexedDB; autosaves on an interval and when the page is hidden or closed
+const saves = new SaveManager({
+  store: new SaveStore(),
+  seed: seedText,
+  player, camera, world, explored, minimap,
+  teleport: (x, y) => ctx.teleportToPx(x, y),
+});
+
+// Keeps the address bar a permalink to this spot (`link` prints it)
+const urlSync = new UrlSync(() => ({
+  seed: seedText, x: player.x, y: player.y, view: world.getViewMode(), zoom: camera.zoom,
+}));
+
+// Input: named actions bound to keys and gamepad buttons (see input/actions.js)
+const input = createInput();
+// Touch: joystick feeds the same axis; buttons fire actions; pinch zooms the camera
+const touch = createTouch(canvas, {
+  buttons: [{ action: 'console', label: '>_' }, { action: 'map', label: 'Map' }],
+  onAction: (action) => input.trigger(action),
+  onPinch: (factor) => camera.zoomBy(factor),
+});
+input.addAxisSource(touch.axis);
+const pointer = createPointer(canvas, { camera, renderer });
+
+// Hover tile inspector (same data as the `tile` command); a left click pins a tile
+const inspector = new TileInspector({ describe: (tx, ty) => ctx.describeTile(tx, ty) });
+// Right click walks the player there
+pointer.onClick((hit, e) => {
+  if (e.button === 0) inspector.click(hit);
+  else if (e.button === 2) {
+    autowalk.goTo(hit.tx, hit.ty, (res) => {
+      if (!res.ok) debugConsole.log(`path: no route to tile (${hit.tx}, ${hit.ty}) (${res.reason}).`);
+    });
+  }
+});
 
 // Resize handling
 function handleResize() {
@@ -56,6 +177,8 @@ function handleResize() {
   const cssH = canvas.clientHeight || window.innerHeight;
   const dpr = window.devicePixelRatio || 1;
   renderer.resize(cssW, cssH, dpr);
+  if (minimap) minimap.resize(dpr);
+  if (atlas) atlas.resize(cssW, cssH, dpr);
 }
 window.addEventListener('resize', handleResize);
 window.addEventListener('orientationchange', handleResize);
@@ -65,6 +188,7 @@ let last = performance.now();
 let fpsEMA = 60;
 
 // HUD update (biome, position, tile)
+const hudTile = { tx: NaN, ty: NaN };
 function updateHUD() {
   // Position and tile coords
   const px = Math.round(player.x);
@@ -76,12 +200,19 @@ function updateHUD() {
 
   if (posOut) posOut.textContent = `${px}, ${py}`;
   if (tileOut) tileOut.textContent = `${tx}, ${ty}`;
+  // Current / top speed on this tile, and the terrain multiplier
+  if (speedOut) {
+    speedOut.textContent = `${Math.round(player.currentSpeed)} / ${Math.round(player.effectiveSpeed)} (x${player.terrainFactor.toFixed(2)})`;
+  }
 
-  // Biome classification based on integer tile
-  if (biomeOut && typeof noise.sampleAxes === 'function') {
+  // Biome classification based on integer tile (only when the player enters another tile)
+  if (biomeOut && typeof noise.sampleAxes === 'function' && (tx !== hudTile.tx || ty !== hudTile.ty)) {
+    hudTile.tx = tx;
+    hudTile.ty = ty;
     const axes = noise.sampleAxes(tx, ty);
     const cls = classifyAxes(axes);
-    biomeOut.textContent = cls.label;
+    const river = noise.rivers ? noise.rivers.riverAt(tx, ty) : null;
+    biomeOut.textContent = river && river.order ? `${cls.label} · river (order ${river.order})` : cls.label;
   }
 }
 
@@ -93,18 +224,51 @@ function frame(now) {
   if (dt > MAX_DT) dt = MAX_DT;
 
   // Update
-  let axis = kb.axis();
+  input.update();
+  let axis = input.axis();
 
-  // When debug console is open, freeze player movement (ignore game input)
-  if (debugConsole && typeof debugConsole.isOpen === 'function' && debugConsole.isOpen()) {
+  // When debug console or atlas is open, freeze player movement (ignore game input)
+  const atlasOpen = !!atlas && atlas.isOpen;
+  if (atlasOpen || (debugConsole && typeof debugConsole.isOpen === 'function' && debugConsole.isOpen())) {
     axis = { x: 0, y: 0 };
   }
+  // Auto-walk steers unless the player takes over (which cancels it); the atlas pauses it
+  if (autowalk.active && !atlasOpen) {
+    if (axis.x || axis.y) autowalk.cancel();
+    else axis = autowalk.update(dt) || axis;
+  }
 
-  player.update(dt, axis);
-  camera.follow(player.x, player.y);
+  player.intent = axis;
+  fauna.update(player.x, player.y);
+  settlements.update(player.x, player.y);
+  entities.update(dt, { terrain, player });
+  camera.update(dt, player);
+  world.setFocus(player.x, player.y);
+
+  // Render (the atlas covers the screen; the world view and its cache wait underneath)
+  if (atlasOpen) {
+    atlas.render(player);
+  } else {
+    renderer.render(world, camera, entities);
+    drawPathOverlay(renderer.ctx, autowalk, camera.worldRect(renderer.viewW, renderer.viewH), camera.zoom);
+    inspector.render(renderer.ctx, pointer, pointer.hover(), camera.zoom, { w: renderer.viewW, h: renderer.viewH });
+
+    // Keep the chunk cache within budget (evicts stale, far-away chunks)
+    world.prune(camera.worldRect(renderer.viewW, renderer.viewH), VIEW_CHUNK_MARGIN, renderer.lodStep);
+  }
 
-  // Render
-  renderer.render(world, camera, player);
+  // Minimap reveals the player's surroundings; the mask is saved periodically
+  if (minimap) {
+    minimap.update(player);
+    if (!atlasOpen) minimap.render(player, camera.worldRect(renderer.viewW, renderer.viewH));
+  }
+  exploredSaveTimer += dt;
+  if (explored.dirty && exploredSaveTimer >= MINIMAP.SAVE_INTERVAL) {
+    exploredSaveTimer = 0;
+    saveExplored(explored, exploredKey);
+  }
+  saves.update(dt);
+  urlSync.update(dt);
 
   // HUD
   updateHUD();
@@ -118,14 +282,20 @@ function frame(now) {
   requestAnimationFrame(frame);
 }
 
-// Avoid dt spike after tab visibility changes
+// Avoid dt spike after tab visibility changes; autosave when the tab is hidden
+// (mobile browsers may discard it without an unload)
 document.addEventListener('visibilitychange', () => {
   last = performance.now();
+  if (document.visibilityState === 'hidden') saves.autosave();
 });
 
 // Cleanup on unload
 window.addEventListener('beforeunload', () => {
-  kb.destroy();
+  if (explored.dirty) saveExplored(explored, exploredKey);
+  saves.autosave();
+  input.destroy();
+  touch.destroy();
+  pointer.destroy();
 });
 
 // ---------------- Debug console bootstrap (modular) ----------------
@@ -136,7 +306,7 @@ const registry = createCommandRegistry();
 {
  const debugInputEl = document.getElementById('debug-input');
  if (debugInputEl) {
-   const clearKeys = () => { if (kb && typeof kb.clear === 'function') kb.clear(); };
+   const clearKeys = () => input.clear();
    debugInputEl.addEventListener('focus', clearKeys);
    debugInputEl.addEventListener('blur', clearKeys);
  }
@@ -145,13 +315,13 @@ const registry = createCommandRegistry();
 // Sync keyboard enable/disable with console visibility (and clear latched keys)
 window.addEventListener('debugconsole:toggle', (ev) => {
  const open = !!(ev && ev.detail && ev.detail.open);
- if (typeof kb.setEnabled === 'function') kb.setEnabled(!open);
- if (typeof kb.clear === 'function') kb.clear();
+ input.setEnabled(!open);
+ input.clear();
 });
 
 // Build command context
 const ctx = createCommandContext({
-  player, camera, world, noise, renderer,
+  player, camera, world, noise, renderer, minimap, atlas, inspector, autowalk, entities, fauna, settlements, input, saves, urlSync,
   print: (line) => debugConsole.log(line),
 });
 
@@ -161,19 +331,72 @@ registry
   .register(tpCmd)
   .register(tileCmd)
   .register(findBiomeCmd)
-  .register(viewCmd);
-
-// Toggle with Backquote
-window.addEventListener('keydown', (e) => {
-  if (e.code === 'Backquote') {
-    e.preventDefault();
-    debugConsole.toggle();
-    const isOpen = debugConsole && typeof debugConsole.isOpen === 'function' ? debugConsole.isOpen() : false;
-    // Enable/disable game keyboard handler in lockstep with console state
-    if (typeof kb.setEnabled === 'function') kb.setEnabled(!isOpen);
-    // Clear any latched movement to avoid sticky input regardless of state
-    if (typeof kb.clear === 'function') kb.clear();
-  }
+  .register(viewCmd)
+  .register(cacheCmd)
+  .register(riverCmd)
+  .register(biomesCmd)
+  .register(noclipCmd)
+  .register(zoomCmd)
+  .register(cameraCmd)
+  .register(minimapCmd)
+  .register(mapCmd)
+  .register(inspectCmd)
+  .register(pathCmd)
+  .register(bindCmd)
+  .register(unbindCmd)
+  .register(saveCmd)
+  .register(loadCmd)
+  .register(savesCmd)
+  .register(deleteSaveCmd)
+  .register(linkCmd)
+  .register(spawnCmd)
+  .register(entitiesCmd)
+  .register(killCmd)
+  .register(faunaCmd)
+  .register(decorCmd)
+  .register(townsCmd);
+
+// Zoom: mouse wheel over the canvas, or the zoom actions (+/- keys, 0 resets)
+canvas.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  // deltaY is ~100 per notch on most mice; trackpads send smaller steps
+  const notches = e.deltaMode === 1 ? e.deltaY / 3 : e.deltaY / 100;
+  camera.zoomBy(Math.pow(ZOOM_STEP, -notches));
+}, { passive: false });
+
+// Actions (default keys in input/actions.js; rebind with the `bind` command).
+// While the atlas is open, zoom and cancel act on it instead.
+input.onAction('zoomIn', () => {
+  if (atlas && atlas.isOpen) atlas.zoomBy(ZOOM_STEP);
+  else camera.zoomBy(ZOOM_STEP);
+}, { repeat: true });
+input.onAction('zoomOut', () => {
+  if (atlas && atlas.isOpen) atlas.zoomBy(1 / ZOOM_STEP);
+  else camera.zoomBy(1 / ZOOM_STEP);
+}, { repeat: true });
+input.onAction('zoomReset', () => {
+  if (!atlas || !atlas.isOpen) camera.setZoom(1);
+});
+input.onAction('map', () => {
+  if (!atlas) return;
+  if (atlas.isOpen) atlas.close();
+  else atlas.open(player.x, player.y);
+  input.clear();
+});
+input.onAction('minimap', () => { if (minimap) minimap.toggle(); });
+input.onAction('inspect', () => inspector.toggle());
+input.onAction('cancel', () => {
+  if (atlas && atlas.isOpen) atlas.close();
+  else if (inspector.pinned) inspector.unpin();
+  else if (autowalk.active) autowalk.cancel();
+});
+
+// The console toggle also works while typing in it
+input.onAction('console', () => {
+  debugConsole.toggle();
+  // Game input is off while the console is open; clear latched movement either way
+  input.setEnabled(!debugConsole.isOpen());
+  input.clear();
 });
 
 // Execute lines coming from console input
@@ -186,6 +409,39 @@ debugConsole.onLine((line) => registry.execute(line, ctx));
     // eslint-disable-next-line no-console
     console.log(`Biomes loaded: ${list.length} prototypes`);
   }).catch(() => {});
+  // Surface CSV problems in the debug console; open it when rows were rejected
+  const report = getBiomeLoadReport();
+  if (report.errors.length) {
+    if (report.errors.some(e => e.level === 'error') && !debugConsole.isOpen()) {
+      debugConsole.toggle(true);
+      input.setEnabled(false);
+    }
+    debugConsole.log(report.ok
+      ? `Biome CSV loaded with ${report.errors.length} problem(s):`
+      : 'Biome CSV not loaded, using built-in prototypes:');
+    for (const e of report.errors) debugConsole.log('  ' + formatBiomeLoadError(e, report.url));
+    // eslint-disable-next-line no-console
+    console.warn('Biome CSV problems', report.errors);
+  }
+  // Chunk workers get the seeds and the biome list that is active now
+  if (CHUNK_WORKERS > 0 && typeof Worker !== 'undefined') {
+    try {
+      world.setWorkerPool(new ChunkWorkerPool({ seeds, biomes: getActiveBiomes() }));
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.warn('Chunk workers unavailable, generating on main thread.', err);
+    }
+  }
+  // Don't spawn inside blocked terrain (the URL position may be in water)
+  ctx.teleportToPx(player.x, player.y);
+  // Finish a `load` that reloaded the page for its seed
+  try {
+    const res = await saves.resumePending();
+    if (res) debugConsole.log(`load: restored "${res.save.slot}".`);
+  } catch (err) {
+    debugConsole.log(`load: failed: ${err && err.message ? err.message : err}`);
+  }
+  urlSync.flush();
   last = performance.now();
   requestAnimationFrame(frame);
 })();
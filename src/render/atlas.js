@@ -0,0 +1,563 @@
+import { TILE_SIZE, ATLAS, GRADIENTS, ZOOM_STEP } from '../config.js';
+import { hexToRgb } from '../world/chunk.js';
+import { generateOverviewIds } from '../world/chunkdata.js';
+import { getActiveBiomes, getBiomeById, classifyAxes } from '../world/biomes.js';
+import { latitudeFactor } from '../world/noise.js';
+import { ChunkWorkerPool } from '../world/workerpool.js';
+
+// Coarser scales tried (each 2x) for a stand-in while a block is still sampling
+const FALLBACK_LEVELS = 5;
+
+const BACKGROUND = '#0b0d12';
+const FONT = '12px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+
+function blockKey(step, bx, by) {
+  return `${step}:${bx},${by}`;
+}
+
+/**
+ * Tiles per sample drawn at a scale (tiles per screen px): the smallest power of two
+ * not below it, so a block never holds more samples than the pixels it covers.
+ * @param {number} scale
+ */
+export function atlasStepForScale(scale) {
+  return Math.pow(2, Math.max(0, Math.ceil(Math.log2(Math.max(1, scale)) - 1e-9)));
+}
+
+function mixRgb(a, b, t) {
+  return `rgb(${Math.round(a[0] + (b[0] - a[0]) * t)},${Math.round(a[1] + (b[1] - a[1]) * t)},${Math.round(a[2] + (b[2] - a[2]) * t)})`;
+}
+
+/**
+ * Full-screen world atlas: a coarse overview around a center with pan, zoom and
+ * click-to-pick.
+ *
+ * The view is tiled into blocks of ATLAS.BLOCK x ATLAS.BLOCK samples, one sample per
+ * `step` tiles (see atlasStepForScale). Blocks are sampled off the main thread by a
+ * small worker pool of its own (biome ids only, see generateOverviewIds), nearest to
+ * the center first; blocks four times coarser are requested ahead of them so a rough
+ * picture appears at once, and any cached coarser block stands in until the fine one
+ * arrives. Without workers, blocks are sampled on the main thread within ATLAS.BUILD_MS
+ * per frame. Either way opening or panning the atlas never blocks a frame for long.
+ */
+export class Atlas {
+  /**
+   * @param {HTMLCanvasElement} canvas full-screen overlay canvas
+   * @param {{noise:any, seeds?:{elevSeed:number,moistSeed:number,riverSeed:number}|null}} deps
+   *   seeds let workers rebuild the same sampler; without them blocks are sampled here
+   */
+  constructor(canvas, { noise, seeds = null }) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.noise = noise;
+    this.seeds = seeds;
+    this.isOpen = false;
+    this.scale = ATLAS.SCALE; // tiles per CSS px
+    this.centerX = 0; // tiles
+    this.centerY = 0;
+    this.viewW = 0; // CSS px
+    this.viewH = 0;
+    this.dpr = 1;
+    /** @type {{x:number, y:number}|null} world px position marked on the map */
+    this.player = null;
+    /** @type {((x:number, y:number) => void)|null} called with world px of a click */
+    this.onPick = null;
+
+    /** @type {Map<string, {canvas:HTMLCanvasElement, counts:Map<number, number>, lastUsed:number}>} */
+    this.blocks = new Map();
+    /** @type {Map<string, number>} block key -> worker job id */
+    this.pending = new Map();
+    /** @type {ChunkWorkerPool|null} */
+    this.pool = null;
+    this.poolFailed = false;
+    this.biomes = getActiveBiomes();
+    this.frame = 0;
+    this.step = 1; // sample step of the last render
+    this.progress = { ready: 0, total: 0 };
+
+    this.hover = null; // {sx, sy} CSS px
+    this._hoverTile = null; // {tx, ty, label, since}; label is null until looked up
+    this._drag = null;
+    this._bindPointer();
+  }
+
+  /**
+   * Match the overlay to the viewport.
+   */
+  resize(cssW, cssH, dpr) {
+    this.viewW = cssW;
+    this.viewH = cssH;
+    this.dpr = Math.max(1, dpr || 1);
+    this.canvas.width = Math.round(cssW * this.dpr);
+    this.canvas.height = Math.round(cssH * this.dpr);
+  }
+
+  /**
+   * Show the atlas centered on a world position.
+   * @param {number} x world px
+   * @param {number} y world px
+   */
+  open(x, y) {
+    this.centerX = x / TILE_SIZE;
+    this.centerY = y / TILE_SIZE;
+    this.isOpen = true;
+    this.canvas.style.display = 'block';
+  }
+
+  close() {
+    this.isOpen = false;
+    this._drag = null;
+    this.hover = null;
+    this.canvas.style.display = 'none';
+    // Queued blocks are dropped; ones already sampling are still cached on arrival
+    if (this.pool) {
+      for (const key of Array.from(this.pending.keys())) {
+        if (this.pool.cancel(key)) this.pending.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Set tiles per screen pixel, clamped to [ATLAS.MIN_SCALE, ATLAS.MAX_SCALE].
+   * @returns {number} the applied scale
+   */
+  setScale(scale) {
+    if (Number.isFinite(scale) && scale > 0) {
+      this.scale = Math.min(ATLAS.MAX_SCALE, Math.max(ATLAS.MIN_SCALE, scale));
+    }
+    return this.scale;
+  }
+
+  /**
+   * Magnify by `factor` (> 1 zooms in) keeping the tile under a screen point fixed.
+   */
+  zoomAt(factor, sx, sy) {
+    const before = this.tileAt(sx, sy);
+    this.setScale(this.scale / factor);
+    this.centerX = before.tx - (sx - this.viewW / 2) * this.scale;
+    this.centerY = before.ty - (sy - this.viewH / 2) * this.scale;
+  }
+
+  /** Magnify around the screen center. */
+  zoomBy(factor) {
+    this.zoomAt(factor, this.viewW / 2, this.viewH / 2);
+  }
+
+  /**
+   * World tile (fractional) under a screen point in CSS px.
+   */
+  tileAt(sx, sy) {
+    return {
+      tx: this.centerX + (sx - this.viewW / 2) * this.scale,
+      ty: this.centerY + (sy - this.viewH / 2) * this.scale,
+    };
+  }
+
+  _bindPointer() {
+    const c = this.canvas;
+    const local = (e) => {
+      const r = c.getBoundingClientRect();
+      return { sx: e.clientX - r.left, sy: e.clientY - r.top };
+    };
+    c.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      const p = local(e);
+      this._drag = { id: e.pointerId, sx: p.sx, sy: p.sy, cx: this.centerX, cy: this.centerY, moved: false };
+      c.setPointerCapture(e.pointerId);
+    });
+    c.addEventListener('pointermove', (e) => {
+      const p = local(e);
+      this.hover = p;
+      const d = this._drag;
+      if (!d || d.id !== e.pointerId) return;
+      const dx = p.sx - d.sx;
+      const dy = p.sy - d.sy;
+      // A few pixels of jitter still count as a click
+      if (!d.moved && Math.hypot(dx, dy) < 4) return;
+      d.moved = true;
+      this.centerX = d.cx - dx * this.scale;
+      this.centerY = d.cy - dy * this.scale;
+    });
+    c.addEventListener('pointerup', (e) => {
+      const d = this._drag;
+      if (!d || d.id !== e.pointerId) return;
+      this._drag = null;
+      if (d.moved || !this.onPick) return;
+      const p = local(e);
+      const { tx, ty } = this.tileAt(p.sx, p.sy);
+      this.onPick(tx * TILE_SIZE, ty * TILE_SIZE);
+    });
+    c.addEventListener('pointercancel', () => { this._drag = null; });
+    c.addEventListener('pointerleave', () => { this.hover = null; });
+    c.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const p = local(e);
+      const notches = e.deltaMode === 1 ? e.deltaY / 3 : e.deltaY / 100;
+      this.zoomAt(Math.pow(ZOOM_STEP, -notches), p.sx, p.sy);
+    }, { passive: false });
+  }
+
+  // ---------------------------- Blocks ----------------------------
+
+  _ensurePool() {
+    if (this.pool || this.poolFailed || !this.seeds || ATLAS.WORKERS <= 0 || typeof Worker === 'undefined') {
+      return this.pool;
+    }
+    try {
+      const pool = new ChunkWorkerPool({ seeds: this.seeds, biomes: this.biomes, size: ATLAS.WORKERS });
+      // Coarse stand-ins first, then nearest to the view center (in screen px)
+      pool.priority = (job) => {
+        const half = ATLAS.BLOCK * job.step / 2;
+        const dx = (job.tx0 + half - this.centerX) / this.scale;
+        const dy = (job.ty0 + half - this.centerY) / this.scale;
+        return (job.step > this.step ? 0 : 1e12) + dx * dx + dy * dy;
+      };
+      pool.onResult = (job, data) => {
+        if (this.pending.get(job.key) !== job.id) return;
+        this.pending.delete(job.key);
+        this._store(job.key, data);
+      };
+      pool.onError = (job) => {
+        this.pending.delete(job.key);
+      };
+      pool.onFailed = (message) => {
+        if (this.pool !== pool) return;
+        // eslint-disable-next-line no-console
+        console.warn(`Atlas workers unavailable, sampling on main thread: ${message}`);
+        this.pool = null;
+        this.poolFailed = true;
+        this.pending.clear();
+      };
+      this.pool = pool;
+    } catch (err) {
+      this.poolFailed = true;
+    }
+    return this.pool;
+  }
+
+  _store(key, data) {
+    const n = data.size * data.size;
+    const rgba = new Uint8ClampedArray(n * 4);
+    const counts = new Map();
+    let lastId = -1;
+    let rgb = null;
+    for (let i = 0, o = 0; i < n; i++, o += 4) {
+      const id = data.ids[i];
+      if (id !== lastId) {
+        rgb = hexToRgb(getBiomeById(id)?.color || '#888888');
+        lastId = id;
+      }
+      rgba[o] = rgb[0]; rgba[o + 1] = rgb[1]; rgba[o + 2] = rgb[2]; rgba[o + 3] = 255;
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = data.size;
+    canvas.height = data.size;
+    canvas.getContext('2d').putImageData(new ImageData(rgba, data.size, data.size), 0, 0);
+    const block = { canvas, counts, lastUsed: this.frame };
+    this.blocks.set(key, block);
+    return block;
+  }
+
+  /** Drop every cached block (e.g. after a biome reload). */
+  invalidate() {
+    this.blocks.clear();
+    this.pending.clear();
+    if (this.pool) {
+      this.pool.cancelAll();
+      this.pool.setBiomes(this.biomes);
+    }
+  }
+
+  // Queue missing blocks with the pool, or sample some now without one
+  _request(missing, wanted) {
+    const pool = this._ensurePool();
+    if (pool) {
+      for (const key of Array.from(this.pending.keys())) {
+        if (!wanted.has(key) && pool.cancel(key)) this.pending.delete(key);
+      }
+      for (const m of missing) {
+        if (this.pending.has(m.key)) continue;
+        const span = ATLAS.BLOCK * m.step;
+        const id = pool.request({ key: m.key, type: 'overview', tx0: m.bx * span, ty0: m.by * span, size: ATLAS.BLOCK, step: m.step });
+        if (id) this.pending.set(m.key, id);
+      }
+      return;
+    }
+    missing.sort((a, b) => (b.step - a.step) || (a.d2 - b.d2));
+    const t0 = performance.now();
+    for (const m of missing) {
+      const span = ATLAS.BLOCK * m.step;
+      this._store(m.key, generateOverviewIds(m.bx * span, m.by * span, ATLAS.BLOCK, m.step, this.noise, this.biomes));
+      if (performance.now() - t0 >= ATLAS.BUILD_MS) break;
+    }
+  }
+
+  _evict() {
+    if (this.blocks.size <= ATLAS.MAX_BLOCKS) return;
+    const entries = Array.from(this.blocks.entries()).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    const drop = this.blocks.size - Math.floor(ATLAS.MAX_BLOCKS * 0.9);
+    for (let i = 0; i < drop; i++) {
+      if (entries[i][1].lastUsed === this.frame) break;
+      this.blocks.delete(entries[i][0]);
+    }
+  }
+
+  // ---------------------------- Drawing ----------------------------
+
+  /**
+   * Draw the atlas and advance block sampling. Call once per frame while open.
+   * @param {{x:number, y:number}} [player] marked on the map and the latitude bar
+   */
+  render(player) {
+    if (!this.isOpen) return;
+    this.frame++;
+    if (player) this.player = player;
+    if (getActiveBiomes() !== this.biomes) {
+      this.biomes = getActiveBiomes();
+      this.invalidate();
+    }
+
+    const ctx = this.ctx;
+    const W = this.viewW;
+    const H = this.viewH;
+    ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.fillStyle = BACKGROUND;
+    ctx.fillRect(0, 0, W, H);
+
+    const scale = this.scale;
+    const step = atlasStepForScale(scale);
+    this.step = step;
+    const toX = (tx) => Math.floor(W / 2 + (tx - this.centerX) / scale);
+    const toY = (ty) => Math.floor(H / 2 + (ty - this.centerY) / scale);
+    const left = this.centerX - (W / 2) * scale;
+    const top = this.centerY - (H / 2) * scale;
+    const right = left + W * scale;
+    const bottom = top + H * scale;
+
+    const wanted = new Set();
+    const missing = [];
+    const want = (s, bx, by) => {
+      const key = blockKey(s, bx, by);
+      wanted.add(key);
+      const span = ATLAS.BLOCK * s;
+      const dx = (bx + 0.5) * span - this.centerX;
+      const dy = (by + 0.5) * span - this.centerY;
+      missing.push({ key, step: s, bx, by, d2: dx * dx + dy * dy });
+    };
+
+    // Rough picture first: blocks four times coarser covering the view
+    const coarse = step * 4;
+    const cspan = ATLAS.BLOCK * coarse;
+    for (let by = Math.floor(top / cspan); by <= Math.floor(bottom / cspan); by++) {
+      for (let bx = Math.floor(left / cspan); bx <= Math.floor(right / cspan); bx++) {
+        if (!this.blocks.has(blockKey(coarse, bx, by))) want(coarse, bx, by);
+      }
+    }
+
+    const span = ATLAS.BLOCK * step;
+    const counts = new Map();
+    let ready = 0;
+    let total = 0;
+    for (let by = Math.floor(top / span); by <= Math.floor(bottom / span); by++) {
+      for (let bx = Math.floor(left / span); bx <= Math.floor(right / span); bx++) {
+        total++;
+        const sx = toX(bx * span);
+        const sy = toY(by * span);
+        const w = toX((bx + 1) * span) - sx;
+        const h = toY((by + 1) * span) - sy;
+        const block = this.blocks.get(blockKey(step, bx, by));
+        if (block) {
+          ready++;
+          block.lastUsed = this.frame;
+          ctx.drawImage(block.canvas, sx, sy, w, h);
+          for (const [id, n] of block.counts) counts.set(id, (counts.get(id) || 0) + n);
+          continue;
+        }
+        want(step, bx, by);
+        // Stand-in: the matching part of the nearest cached coarser block
+        for (let k = 1; k <= FALLBACK_LEVELS; k++) {
+          const ps = step << k;
+          const pspan = ATLAS.BLOCK * ps;
+          const pbx = Math.floor(bx * span / pspan);
+          const pby = Math.floor(by * span / pspan);
+          const parent = this.blocks.get(blockKey(ps, pbx, pby));
+          if (!parent) continue;
+          parent.lastUsed = this.frame;
+          const size = span / ps;
+          ctx.drawImage(parent.canvas, (bx * span - pbx * pspan) / ps, (by * span - pby * pspan) / ps, size, size, sx, sy, w, h);
+          break;
+        }
+      }
+    }
+    this.progress.ready = ready;
+    this.progress.total = total;
+
+    this._request(missing, wanted);
+    this._evict();
+
+    if (this.player) this._drawPlayer(toX(this.player.x / TILE_SIZE), toY(this.player.y / TILE_SIZE));
+    this._drawLatitude(W, H);
+    this._drawLegend(counts, H);
+    this._drawHeader(W);
+    this._drawHover();
+  }
+
+  _drawPlayer(x, y) {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = 'rgba(0,0,0,0.8)';
+    ctx.stroke();
+  }
+
+  _panel(x, y, w, h) {
+    const ctx = this.ctx;
+    ctx.fillStyle = 'rgba(0,0,0,0.6)';
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+  }
+
+  _drawHeader(W) {
+    const ctx = this.ctx;
+    const { ready, total } = this.progress;
+    const text = `Atlas  1 px = ${this.scale < 10 ? this.scale.toFixed(1) : Math.round(this.scale)} tiles` +
+      (ready < total ? `  sampling ${Math.round(100 * ready / total)}%` : '') +
+      '  |  drag to pan, wheel to zoom, click to teleport, M or Esc to close';
+    ctx.font = FONT;
+    const w = Math.ceil(ctx.measureText(text).width) + 16;
+    const x = Math.max(8, Math.floor((W - w) / 2));
+    this._panel(x, 8, w, 24);
+    ctx.fillStyle = '#e6e6e6';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillText(text, x + 8, 20);
+  }
+
+  // Biomes in view by share of the sampled blocks
+  _drawLegend(counts, H) {
+    const ctx = this.ctx;
+    let sum = 0;
+    for (const n of counts.values()) sum += n;
+    const rows = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, ATLAS.LEGEND_ROWS);
+    const lineH = 16;
+    const w = 220;
+    const h = 24 + Math.max(1, rows.length) * lineH + 6;
+    const x = 8;
+    const y = H - h - 8;
+    this._panel(x, y, w, h);
+    ctx.font = FONT;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#8ecbff';
+    ctx.fillText('Biomes in view', x + 8, y + 14);
+    if (!rows.length) {
+      ctx.fillStyle = '#9aa0a6';
+      ctx.fillText('sampling...', x + 8, y + 24 + lineH / 2);
+      return;
+    }
+    rows.forEach(([id, n], i) => {
+      const b = getBiomeById(id);
+      const ry = y + 24 + i * lineH;
+      ctx.fillStyle = b?.color || '#888888';
+      ctx.fillRect(x + 8, ry + 3, 10, 10);
+      ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+      ctx.strokeRect(x + 8.5, ry + 3.5, 9, 9);
+      ctx.fillStyle = '#e6e6e6';
+      ctx.textAlign = 'left';
+      ctx.fillText(b?.label || `#${id}`, x + 24, ry + lineH / 2);
+      ctx.textAlign = 'right';
+      ctx.fillText(`${(100 * n / sum).toFixed(1)}%`, x + w - 8, ry + lineH / 2);
+    });
+  }
+
+  // North-south gradients (GRADIENTS) over the rows in view, with tile-y ticks
+  _drawLatitude(W, H) {
+    const ctx = this.ctx;
+    const barW = 12;
+    const x = W - 8 - 2 * barW - 64;
+    const y0 = 44;
+    const y1 = H - 8;
+    const h = y1 - y0;
+    if (h < 80) return;
+    this._panel(x - 8, y0 - 6, 2 * barW + 64 + 16, h + 12);
+
+    const cold = [59, 111, 216];
+    const warm = [224, 83, 58];
+    const fresh = [216, 232, 200];
+    const salty = [47, 143, 168];
+    for (let y = y0 + 16; y < y1 - 16; y += 2) {
+      const ty = this.centerY + (y - this.viewH / 2) * this.scale;
+      ctx.fillStyle = mixRgb(cold, warm, latitudeFactor(ty, GRADIENTS.TEMP_LAT_GRAD_TILES));
+      ctx.fillRect(x, y, barW, 2);
+      ctx.fillStyle = mixRgb(fresh, salty, latitudeFactor(ty, GRADIENTS.SAL_LAT_GRAD_TILES));
+      ctx.fillRect(x + barW, y, barW, 2);
+    }
+
+    ctx.font = FONT;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#8ecbff';
+    ctx.fillText('N  warm/salt', x - 2, y0 + 6);
+    ctx.fillText('S', x - 2, y1 - 8);
+    ctx.fillStyle = '#e6e6e6';
+    const ticks = 5;
+    for (let i = 0; i <= ticks; i++) {
+      const y = Math.round(y0 + 24 + (h - 48) * i / ticks);
+      const ty = this.centerY + (y - this.viewH / 2) * this.scale;
+      ctx.fillRect(x + 2 * barW, y, 4, 1);
+      ctx.fillText(`${Math.round(ty)}`, x + 2 * barW + 8, y);
+    }
+
+    // Player latitude
+    if (this.player) {
+      const py = Math.floor(this.viewH / 2 + (this.player.y / TILE_SIZE - this.centerY) / this.scale);
+      if (py >= y0 + 16 && py < y1 - 16) {
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.moveTo(x - 1, py);
+        ctx.lineTo(x - 7, py - 4);
+        ctx.lineTo(x - 7, py + 4);
+        ctx.closePath();
+        ctx.fill();
+      }
+    }
+  }
+
+  _drawHover() {
+    if (!this.hover || this._drag?.moved) return;
+    const { sx, sy } = this.hover;
+    const t = this.tileAt(sx, sy);
+    const tx = Math.floor(t.tx);
+    const ty = Math.floor(t.ty);
+    const now = performance.now();
+    if (!this._hoverTile || this._hoverTile.tx !== tx || this._hoverTile.ty !== ty) {
+      this._hoverTile = { tx, ty, label: null, since: now };
+    }
+    // Same river-aware sampler as the world, so the label matches the `tile` command.
+    // Tracing rivers far from the player can take a few ms, so only once the cursor rests.
+    const hover = this._hoverTile;
+    if (hover.label === null && now - hover.since >= ATLAS.HOVER_MS) {
+      hover.label = typeof this.noise.sampleAxes === 'function' ? classifyAxes(this.noise.sampleAxes(tx, ty)).label : '';
+    }
+    const ctx = this.ctx;
+    const text = `${tx}, ${ty}${hover.label ? `  ${hover.label}` : ''}`;
+    ctx.font = FONT;
+    const w = Math.ceil(ctx.measureText(text).width) + 12;
+    const x = Math.min(sx + 14, this.viewW - w - 4);
+    const y = Math.min(sy + 14, this.viewH - 24);
+    this._panel(x, y, w, 20);
+    ctx.fillStyle = '#e6e6e6';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillText(text, x + 6, y + 10);
+  }
+}
@@ -1,16 +1,201 @@
+import { ZOOM_MIN, ZOOM_MAX, CAMERA } from '../config.js';
+
+/**
+ * Critically damped approach of `current` toward `goal` (the usual SmoothDamp spring).
+ * Stable for any dt, so clamped or uneven frames do not overshoot.
+ * @param {{v:number}} state velocity carried between calls (updated in place)
+ * @returns {number} the new position
+ */
+function smoothDamp(current, goal, state, smoothTime, dt) {
+  const omega = 2 / smoothTime;
+  const x = omega * dt;
+  const exp = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+  const change = current - goal;
+  const temp = (state.v + omega * change) * dt;
+  state.v = (state.v - omega * temp) * exp;
+  return goal + (change + temp) * exp;
+}
+
+// Move `focus` just enough that `target` lies within +-half of it
+function deadZone(focus, target, half) {
+  if (target > focus + half) return target - half;
+  if (target < focus - half) return target + half;
+  return focus;
+}
+
 /**
- * Camera tracks a world-space position (center of the viewport).
+ * Camera tracks a world-space position (center of the viewport) and a zoom factor
+ * (screen CSS pixels per world pixel; < 1 shows more of the world).
  * Provides helper to compute the visible world rect for a given canvas size (in CSS pixels).
+ *
+ * update() follows a target each frame: a dead-zone rectangle around the focus absorbs
+ * small movements, the goal leads the target along its velocity, and the position
+ * approaches the goal with critically damped smoothing. follow() snaps instead (teleports).
+ * shake() and impulse() add a transient offset on top; it is included in worldRect().
  */
 export class Camera {
-  constructor(x = 0, y = 0) {
+  constructor(x = 0, y = 0, zoom = 1) {
     this.x = x;
     this.y = y;
+    this.zoom = zoom;
+
+    // Tunables (see CAMERA in config.js)
+    this.smoothTime = CAMERA.SMOOTH_TIME;
+    this.deadZoneW = CAMERA.DEAD_ZONE_W;
+    this.deadZoneH = CAMERA.DEAD_ZONE_H;
+    this.lookAhead = CAMERA.LOOK_AHEAD;
+    this.lookAheadMax = CAMERA.LOOK_AHEAD_MAX;
+    this.shakeEnabled = true;
+
+    // Follow state
+    this.focusX = x; // dead-zone anchor (world px)
+    this.focusY = y;
+    this.leadX = 0;  // eased look-ahead (world px)
+    this.leadY = 0;
+    this._velX = { v: 0 };
+    this._velY = { v: 0 };
+
+    // Shake and impulse state; offsetX/Y is their sum in world px
+    this.trauma = 0;
+    this._shakeT = 0;
+    this._shakePhase = [0, 0, 0, 0];
+    this.kickX = 0;
+    this.kickY = 0;
+    this._kickVelX = { v: 0 };
+    this._kickVelY = { v: 0 };
+    this.offsetX = 0;
+    this.offsetY = 0;
   }
 
+  /**
+   * Snap to a position, dropping any follow lag and look-ahead.
+   */
   follow(targetX, targetY) {
     this.x = targetX;
     this.y = targetY;
+    this.focusX = targetX;
+    this.focusY = targetY;
+    this.leadX = 0;
+    this.leadY = 0;
+    this._velX.v = 0;
+    this._velY.v = 0;
+  }
+
+  /**
+   * Advance the follow behaviours toward a moving target.
+   * @param {number} dt seconds
+   * @param {{x:number, y:number, vx?:number, vy?:number}} target world px (velocity in px/s)
+   */
+  update(dt, target) {
+    if (!(dt > 0)) return;
+    const z = this.zoom || 1;
+
+    this.focusX = deadZone(this.focusX, target.x, this.deadZoneW / 2 / z);
+    this.focusY = deadZone(this.focusY, target.y, this.deadZoneH / 2 / z);
+
+    // Lead along the velocity, capped in screen space and eased so stops don't jerk back
+    let lx = 0;
+    let ly = 0;
+    if (this.lookAhead > 0) {
+      lx = (target.vx || 0) * this.lookAhead;
+      ly = (target.vy || 0) * this.lookAhead;
+      const max = this.lookAheadMax / z;
+      const len = Math.hypot(lx, ly);
+      if (len > max) {
+        lx *= max / len;
+        ly *= max / len;
+      }
+    }
+    const ease = 1 - Math.exp(-dt / CAMERA.LOOK_AHEAD_EASE);
+    this.leadX += (lx - this.leadX) * ease;
+    this.leadY += (ly - this.leadY) * ease;
+
+    const gx = this.focusX + this.leadX;
+    const gy = this.focusY + this.leadY;
+    if (this.smoothTime > 0) {
+      this.x = smoothDamp(this.x, gx, this._velX, this.smoothTime, dt);
+      this.y = smoothDamp(this.y, gy, this._velY, this.smoothTime, dt);
+    } else {
+      this.x = gx;
+      this.y = gy;
+      this._velX.v = 0;
+      this._velY.v = 0;
+    }
+
+    this._updateOffset(dt);
+  }
+
+  /**
+   * Add screen shake. Trauma (0..1) accumulates and decays at CAMERA.SHAKE_DECAY per
+   * second; the offset grows with trauma squared, so small hits stay subtle.
+   * @param {number} [amount] trauma to add
+   */
+  shake(amount = 0.5) {
+    if (!this.shakeEnabled || !(amount > 0)) return;
+    if (this.trauma === 0) {
+      this._shakePhase = this._shakePhase.map(() => Math.random() * Math.PI * 2);
+    }
+    this.trauma = Math.min(1, this.trauma + amount);
+  }
+
+  /**
+   * Kick the view in a direction; it springs back within about CAMERA.IMPULSE_TIME.
+   * @param {number} dx peak displacement (screen px)
+   * @param {number} dy
+   */
+  impulse(dx, dy) {
+    if (!this.shakeEnabled) return;
+    // A critically damped spring starting at rest peaks at v0 / (omega * e)
+    const k = (2 / CAMERA.IMPULSE_TIME) * Math.E;
+    this._kickVelX.v += (dx || 0) * k;
+    this._kickVelY.v += (dy || 0) * k;
+  }
+
+  _updateOffset(dt) {
+    if (!this.shakeEnabled) {
+      this.trauma = 0;
+      this.kickX = this.kickY = 0;
+      this._kickVelX.v = this._kickVelY.v = 0;
+    }
+    this.kickX = smoothDamp(this.kickX, 0, this._kickVelX, CAMERA.IMPULSE_TIME, dt);
+    this.kickY = smoothDamp(this.kickY, 0, this._kickVelY, CAMERA.IMPULSE_TIME, dt);
+
+    let sx = 0;
+    let sy = 0;
+    if (this.trauma > 0) {
+      this._shakeT += dt;
+      const t = this._shakeT * CAMERA.SHAKE_FREQ;
+      const p = this._shakePhase;
+      const amp = CAMERA.SHAKE_MAX * this.trauma * this.trauma;
+      // Two incommensurate sines per axis read as irregular wobble
+      sx = amp * (0.6 * Math.sin(t + p[0]) + 0.4 * Math.sin(t * 2.31 + p[1]));
+      sy = amp * (0.6 * Math.sin(t * 1.13 + p[2]) + 0.4 * Math.sin(t * 2.87 + p[3]));
+      this.trauma = Math.max(0, this.trauma - CAMERA.SHAKE_DECAY * dt);
+    }
+
+    const z = this.zoom || 1;
+    this.offsetX = (sx + this.kickX) / z;
+    this.offsetY = (sy + this.kickY) / z;
+  }
+
+  /**
+   * Set the zoom factor, clamped to [ZOOM_MIN, ZOOM_MAX].
+   * @param {number} zoom
+   * @returns {number} the applied zoom
+   */
+  setZoom(zoom) {
+    if (Number.isFinite(zoom) && zoom > 0) {
+      this.zoom = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, zoom));
+    }
+    return this.zoom;
+  }
+
+  /**
+   * Multiply the zoom factor (e.g. 1.25 to zoom in, 0.8 to zoom out).
+   * @param {number} factor
+   */
+  zoomBy(factor) {
+    return this.setZoom(this.zoom * factor);
   }
 
   /**
@@ -20,11 +205,13 @@ export class Camera {
    * @returns {{x:number,y:number,w:number,h:number}}
    */
   worldRect(viewW, viewH) {
+    const w = viewW / this.zoom;
+    const h = viewH / this.zoom;
     return {
-      x: this.x - viewW / 2,
-      y: this.y - viewH / 2,
-      w: viewW,
-      h: viewH
+      x: this.x + this.offsetX - w / 2,
+      y: this.y + this.offsetY - h / 2,
+      w,
+      h
     };
   }
-}
\ No newline at end of file
+}
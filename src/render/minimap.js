@@ -0,0 +1,207 @@
+import { TILE_SIZE, CHUNK_SIZE, MINIMAP } from '../config.js';
+import { chunkKey, chunkRGBA } from '../world/chunk.js';
+import { getActiveBiomes } from '../world/biomes.js';
+
+/**
+ * Corner minimap centered on the player.
+ *
+ * Each explored chunk gets a thumbnail with one pixel per explored-mask cell, taken
+ * from coarse level-of-detail chunk data (biome colors and rivers) that the world
+ * generates in its worker pool (or a few per frame without one). Cells that were never
+ * explored stay transparent over the fog color. Thumbnails are rebuilt when a chunk's
+ * mask changes or the biome list is reloaded, and dropped once they fall well outside
+ * the minimap.
+ */
+export class Minimap {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {{world:import('../world/world.js').World, explored:import('../world/explored.js').ExploredMap}} deps
+   */
+  constructor(canvas, { world, explored }) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.world = world;
+    this.explored = explored;
+    this.size = MINIMAP.SIZE;
+    this.radius = MINIMAP.RADIUS;
+    this.revealRadius = MINIMAP.REVEAL_RADIUS;
+    this.visible = true;
+    this.dpr = 1;
+    this.heading = -Math.PI / 2; // radians, last direction of travel (north at start)
+
+    /** @type {Map<string, {canvas:HTMLCanvasElement, rgba:Uint8ClampedArray, version:number, lastUsed:number}>} */
+    this.thumbs = new Map();
+    this.biomes = getActiveBiomes();
+    this.frame = 0;
+    this.resize(1);
+  }
+
+  /**
+   * Match the backing store to the device pixel ratio.
+   * @param {number} dpr
+   */
+  resize(dpr) {
+    this.dpr = Math.max(1, dpr || 1);
+    this.canvas.width = Math.round(this.size * this.dpr);
+    this.canvas.height = Math.round(this.size * this.dpr);
+    this.canvas.style.width = `${this.size}px`;
+    this.canvas.style.height = `${this.size}px`;
+  }
+
+  /** @param {boolean} on */
+  setVisible(on) {
+    this.visible = !!on;
+    this.canvas.style.display = this.visible ? '' : 'none';
+  }
+
+  toggle() {
+    this.setVisible(!this.visible);
+    return this.visible;
+  }
+
+  /**
+   * Set how many tiles the minimap shows from the player to its edge.
+   * @returns {number} the applied radius
+   */
+  setRadius(tiles) {
+    if (Number.isFinite(tiles) && tiles > 0) {
+      this.radius = Math.round(Math.min(MINIMAP.MAX_RADIUS, Math.max(MINIMAP.MIN_RADIUS, tiles)));
+    }
+    return this.radius;
+  }
+
+  /** Drop all thumbnails (rebuilt on the next frames). */
+  invalidate() {
+    this.thumbs.clear();
+  }
+
+  /**
+   * Reveal the area around the player and track its heading. Call once per frame.
+   * @param {{x:number, y:number, vx?:number, vy?:number}} player
+   */
+  update(player) {
+    this.explored.reveal(player.x / TILE_SIZE, player.y / TILE_SIZE, this.revealRadius);
+    const vx = player.vx || 0;
+    const vy = player.vy || 0;
+    if (vx * vx + vy * vy > 1) this.heading = Math.atan2(vy, vx);
+  }
+
+  // Thumbnail for an explored chunk; null until its data is ready (or the build budget is spent)
+  _thumb(cx, cy, mask, budget) {
+    const key = chunkKey(cx, cy);
+    let thumb = this.thumbs.get(key);
+    if (!thumb) {
+      if (budget.left <= 0) return null;
+      const data = this.world.requestChunkData(cx, cy, this.explored.cell);
+      if (!data) return null;
+      budget.left--;
+      const canvas = document.createElement('canvas');
+      canvas.width = data.size;
+      canvas.height = data.size;
+      thumb = { canvas, rgba: chunkRGBA(data, 'biomes'), version: -1, lastUsed: 0 };
+      this.thumbs.set(key, thumb);
+    }
+    if (thumb.version !== mask.version) {
+      // Unexplored cells become transparent so the fog shows through
+      const rgba = new Uint8ClampedArray(thumb.rgba);
+      const n = thumb.canvas.width * thumb.canvas.height;
+      for (let i = 0; i < n; i++) {
+        if (!(mask.bits[i >> 3] & (1 << (i & 7)))) rgba[i * 4 + 3] = 0;
+      }
+      thumb.canvas.getContext('2d').putImageData(new ImageData(rgba, thumb.canvas.width, thumb.canvas.height), 0, 0);
+      thumb.version = mask.version;
+    }
+    thumb.lastUsed = this.frame;
+    return thumb.canvas;
+  }
+
+  /**
+   * Draw the minimap.
+   * @param {{x:number, y:number}} player
+   * @param {{x:number, y:number, w:number, h:number}} [viewRect] camera rect in world px, outlined
+   */
+  render(player, viewRect) {
+    if (!this.visible) return;
+    this.frame++;
+    if (getActiveBiomes() !== this.biomes) {
+      this.biomes = getActiveBiomes();
+      this.invalidate();
+    }
+
+    const ctx = this.ctx;
+    const size = this.size;
+    ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.fillStyle = MINIMAP.FOG_COLOR;
+    ctx.fillRect(0, 0, size, size);
+
+    // Screen px per tile; the player's tile position maps to the center
+    const ppt = size / (2 * this.radius);
+    const ptx = player.x / TILE_SIZE;
+    const pty = player.y / TILE_SIZE;
+    const toX = (tx) => Math.floor(size / 2 + (tx - ptx) * ppt);
+    const toY = (ty) => Math.floor(size / 2 + (ty - pty) * ppt);
+
+    const minCx = Math.floor((ptx - this.radius) / CHUNK_SIZE);
+    const maxCx = Math.floor((ptx + this.radius) / CHUNK_SIZE);
+    const minCy = Math.floor((pty - this.radius) / CHUNK_SIZE);
+    const maxCy = Math.floor((pty + this.radius) / CHUNK_SIZE);
+    const budget = { left: MINIMAP.BUILDS_PER_FRAME };
+
+    // Nearest chunks first so the budget fills in around the player
+    const order = [];
+    for (let cy = minCy; cy <= maxCy; cy++) {
+      for (let cx = minCx; cx <= maxCx; cx++) {
+        const mask = this.explored.getChunk(cx, cy);
+        if (!mask) continue;
+        const dx = (cx + 0.5) * CHUNK_SIZE - ptx;
+        const dy = (cy + 0.5) * CHUNK_SIZE - pty;
+        order.push({ cx, cy, mask, d2: dx * dx + dy * dy });
+      }
+    }
+    order.sort((a, b) => a.d2 - b.d2);
+    for (const { cx, cy, mask } of order) {
+      const thumb = this._thumb(cx, cy, mask, budget);
+      if (!thumb) continue;
+      const sx = toX(cx * CHUNK_SIZE);
+      const sy = toY(cy * CHUNK_SIZE);
+      ctx.drawImage(thumb, sx, sy, toX((cx + 1) * CHUNK_SIZE) - sx, toY((cy + 1) * CHUNK_SIZE) - sy);
+    }
+
+    // Forget thumbnails that have been out of range for a while
+    if (this.thumbs.size > order.length + 64) {
+      for (const [key, thumb] of this.thumbs) {
+        if (this.frame - thumb.lastUsed > 120) this.thumbs.delete(key);
+      }
+    }
+
+    // Camera view outline
+    if (viewRect) {
+      const x0 = toX(viewRect.x / TILE_SIZE);
+      const y0 = toY(viewRect.y / TILE_SIZE);
+      const x1 = toX((viewRect.x + viewRect.w) / TILE_SIZE);
+      const y1 = toY((viewRect.y + viewRect.h) / TILE_SIZE);
+      if (x1 - x0 > 2 && x1 - x0 < size * 2) {
+        ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x0 + 0.5, y0 + 0.5, x1 - x0 - 1, y1 - y0 - 1);
+      }
+    }
+
+    // Player arrow pointing along the heading
+    ctx.save();
+    ctx.translate(size / 2, size / 2);
+    ctx.rotate(this.heading);
+    ctx.beginPath();
+    ctx.moveTo(6, 0);
+    ctx.lineTo(-4, -4);
+    ctx.lineTo(-2, 0);
+    ctx.lineTo(-4, 4);
+    ctx.closePath();
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(0,0,0,0.7)';
+    ctx.stroke();
+    ctx.restore();
+  }
+}
@@ -0,0 +1,38 @@
+import { TILE_SIZE, PATH } from '../config.js';
+
+/**
+ * Draw an auto-walk route over the world: a line from the entity through the
+ * remaining waypoints and a ring on the goal tile (the ring alone while searching).
+ * @param {CanvasRenderingContext2D} ctx game canvas context in CSS pixel space
+ * @param {import('../entity/autowalk.js').AutoWalker} walker
+ * @param {{x:number, y:number, w:number, h:number}} rect camera world rect
+ * @param {number} zoom screen px per world px
+ */
+export function drawPathOverlay(ctx, walker, rect, zoom) {
+  if (!walker.active || !walker.target) return;
+  const toX = (x) => (x - rect.x) * zoom;
+  const toY = (y) => (y - rect.y) * zoom;
+
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  ctx.strokeStyle = PATH.COLOR;
+  if (walker.state === 'walking' && walker.waypoints.length) {
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(toX(walker.entity.x), toY(walker.entity.y));
+    for (const wp of walker.waypoints) ctx.lineTo(toX(wp.x), toY(wp.y));
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  const gx = toX((walker.target.tx + 0.5) * TILE_SIZE);
+  const gy = toY((walker.target.ty + 0.5) * TILE_SIZE);
+  const r = Math.max(4, TILE_SIZE * zoom * 0.6);
+  ctx.globalAlpha = walker.state === 'searching' ? 0.5 + 0.5 * Math.sin(performance.now() / 120) : 1;
+  ctx.beginPath();
+  ctx.arc(gx, gy, r, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
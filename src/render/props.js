@@ -0,0 +1,123 @@
+import { CHUNK_PIXEL_SIZE, TILE_SIZE } from '../config.js';
+
+// Palettes per prop type; a prop's tone picks one so neighbours vary
+const COLORS = {
+  pine: ['#1f4a2c', '#24553a', '#2b5e34'],
+  oak: ['#3d6b2f', '#4a7a34', '#567f2c'],
+  boulder: ['#7a7670', '#8a857c', '#6b6a66'],
+  shrub: ['#3f6a34', '#4d7438', '#5a7a3a'],
+  cattail: ['#6b4a2b', '#7a5530'],
+  pitcher: ['#a8473a', '#b8743a', '#8f3f4a'],
+  grass: ['#6f8f3a', '#7f9a44', '#8aa04a'],
+  seaoats: ['#d9c98f', '#cdbb7a'],
+};
+const STEM = '#5a7a34';
+const TRUNK = '#4a3523';
+
+/**
+ * Draw the decoration props of the chunks in view (see world/decor.js). Only chunks
+ * whose tile data is cached are drawn, so this never generates on the main thread.
+ * Props on road tiles are left out (roads are cleared).
+ * @param {CanvasRenderingContext2D} ctx game canvas context in CSS pixel space
+ * @param {import('../world/world.js').World} world
+ * @param {{x:number, y:number, w:number, h:number}} rect camera world rect
+ * @param {number} zoom screen px per world px
+ */
+export function drawProps(ctx, world, rect, zoom) {
+  // Props overhang their tile by up to about a tile
+  const pad = TILE_SIZE * 2;
+  const x0 = rect.x - pad;
+  const y0 = rect.y - pad;
+  const x1 = rect.x + rect.w + pad;
+  const y1 = rect.y + rect.h + pad;
+  ctx.save();
+  ctx.lineCap = 'round';
+  for (let cy = Math.floor(y0 / CHUNK_PIXEL_SIZE); cy <= Math.floor(y1 / CHUNK_PIXEL_SIZE); cy++) {
+    for (let cx = Math.floor(x0 / CHUNK_PIXEL_SIZE); cx <= Math.floor(x1 / CHUNK_PIXEL_SIZE); cx++) {
+      const props = world.peekChunkProps(cx, cy);
+      if (!props) continue;
+      for (const p of props.list) {
+        if (p.x < x0 || p.x > x1 || p.y < y0 || p.y > y1) continue;
+        if (world.roads && world.roads.isRoad(Math.floor(p.x / TILE_SIZE), Math.floor(p.y / TILE_SIZE))) continue;
+        drawProp(ctx, p, (p.x - rect.x) * zoom, (p.y - rect.y) * zoom, p.size * zoom);
+      }
+    }
+  }
+  ctx.restore();
+}
+
+// One prop with its foot at screen (sx, sy), `s` screen px across
+function drawProp(ctx, p, sx, sy, s) {
+  const palette = COLORS[p.type];
+  const color = palette[Math.floor(p.tone * palette.length)];
+  const h = s / 2;
+  switch (p.type) {
+    case 'pine':
+      ctx.fillStyle = TRUNK;
+      ctx.fillRect(sx - s * 0.08, sy - s * 0.2, s * 0.16, s * 0.3);
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(sx, sy - s * 1.1);
+      ctx.lineTo(sx + h * 0.8, sy - s * 0.15);
+      ctx.lineTo(sx - h * 0.8, sy - s * 0.15);
+      ctx.closePath();
+      ctx.fill();
+      break;
+    case 'oak':
+      ctx.fillStyle = TRUNK;
+      ctx.fillRect(sx - s * 0.08, sy - s * 0.3, s * 0.16, s * 0.4);
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(sx, sy - s * 0.65, h, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+    case 'boulder':
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.ellipse(sx, sy - h * 0.5, h, h * 0.7, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+      break;
+    case 'shrub':
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(sx - h * 0.35, sy - h * 0.5, h * 0.55, 0, Math.PI * 2);
+      ctx.arc(sx + h * 0.35, sy - h * 0.5, h * 0.55, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+    case 'cattail':
+      ctx.strokeStyle = STEM;
+      ctx.lineWidth = Math.max(1, s * 0.08);
+      ctx.fillStyle = color;
+      for (const dx of [-0.3, 0, 0.3]) {
+        const top = sy - s * (0.9 - Math.abs(dx) * 0.5);
+        ctx.beginPath();
+        ctx.moveTo(sx + dx * h, sy);
+        ctx.lineTo(sx + dx * h, top);
+        ctx.stroke();
+        ctx.fillRect(sx + dx * h - s * 0.07, top, s * 0.14, s * 0.25);
+      }
+      break;
+    case 'pitcher':
+      ctx.fillStyle = color;
+      for (const dx of [-0.4, 0, 0.4]) {
+        ctx.fillRect(sx + dx * h - s * 0.08, sy - s * (0.8 - Math.abs(dx) * 0.4), s * 0.16, s * (0.8 - Math.abs(dx) * 0.4));
+      }
+      break;
+    case 'grass':
+    case 'seaoats':
+      ctx.strokeStyle = color;
+      ctx.lineWidth = Math.max(1, s * 0.07);
+      ctx.beginPath();
+      for (const dx of [-0.5, -0.15, 0.2, 0.5]) {
+        ctx.moveTo(sx + dx * h * 0.5, sy);
+        ctx.lineTo(sx + dx * h, sy - s * (0.7 - Math.abs(dx) * 0.4));
+      }
+      ctx.stroke();
+      break;
+    default:
+      break;
+  }
+}
@@ -1,7 +1,22 @@
-import { CLEAR_COLOR, VIEW_CHUNK_MARGIN, PLAYER_SIZE } from '../config.js';
+import { CLEAR_COLOR, VIEW_CHUNK_MARGIN, CHUNK_PIXEL_SIZE, TILE_SIZE, LOD_LEVELS, DECOR } from '../config.js';
+import { drawEntities } from './sprites.js';
+import { drawProps } from './props.js';
+import { drawRoads } from './roads.js';
 
 /**
- * Renderer manages canvas sizing, pixel ratio, and drawing world and player.
+ * Chunk raster detail (tiles per sample) to draw at a zoom factor; see LOD_LEVELS.
+ * @param {number} zoom screen px per world px
+ */
+export function lodStepForZoom(zoom) {
+  const tilePx = TILE_SIZE * zoom;
+  for (const level of LOD_LEVELS) {
+    if (tilePx >= level.minTilePx) return level.step;
+  }
+  return LOD_LEVELS[LOD_LEVELS.length - 1].step;
+}
+
+/**
+ * Renderer manages canvas sizing, pixel ratio, and drawing the world and its entities.
  */
 export class Renderer {
   /**
@@ -16,6 +31,8 @@ export class Renderer {
     this.viewW = 0; // in CSS pixels
     this.viewH = 0; // in CSS pixels
     this.dpr = 1;
+    this.lodStep = 1; // chunk detail level used by the last render()
+    this.showProps = DECOR.VISIBLE; // decoration layer (biome view, close zoom only)
   }
 
   /**
@@ -52,12 +69,12 @@ export class Renderer {
   }
 
   /**
-   * Render the world and the player.
+   * Render the world and the entities in view.
    * @param {import('../world/world.js').World} world
    * @param {import('./camera.js').Camera} camera
-   * @param {{x:number,y:number}} player
+   * @param {import('../entity/manager.js').EntityManager} entities
    */
-  render(world, camera, player) {
+  render(world, camera, entities) {
     const { ctx, viewW, viewH } = this;
 
     // Reset transform to CSS pixel space
@@ -68,24 +85,31 @@ export class Renderer {
     ctx.fillStyle = CLEAR_COLOR;
     ctx.fillRect(0, 0, viewW, viewH);
 
-    // Camera rect in world pixels (CSS pixel units)
+    // Camera rect in world pixels; screen = (world - rect) * zoom
     const rect = camera.worldRect(viewW, viewH);
+    const zoom = camera.zoom || 1;
+    const step = lodStepForZoom(zoom);
+    this.lodStep = step;
 
-    // Draw visible chunk canvases
+    // Draw visible chunk canvases (one pixel per sample, so always draw at chunk size).
+    // Edges are snapped per chunk so neighbours never gap.
     world.forEachVisibleChunk(rect, VIEW_CHUNK_MARGIN, ({ cx, cy, origin }) => {
-      const chunkCanvas = world.getChunkCanvas(cx, cy);
-      const sx = Math.floor(origin.x - rect.x);
-      const sy = Math.floor(origin.y - rect.y);
-      ctx.drawImage(chunkCanvas, sx, sy);
+      const chunkCanvas = world.getChunkCanvas(cx, cy, step);
+      const sx = Math.floor((origin.x - rect.x) * zoom);
+      const sy = Math.floor((origin.y - rect.y) * zoom);
+      const ex = Math.floor((origin.x + CHUNK_PIXEL_SIZE - rect.x) * zoom);
+      const ey = Math.floor((origin.y + CHUNK_PIXEL_SIZE - rect.y) * zoom);
+      ctx.drawImage(chunkCanvas, sx, sy, ex - sx, ey - sy);
     });
 
-    // Draw player as centered square
-    const half = PLAYER_SIZE / 2;
-    const px = Math.floor(player.x - rect.x - half);
-    const py = Math.floor(player.y - rect.y - half);
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(px, py, PLAYER_SIZE, PLAYER_SIZE);
-    ctx.strokeStyle = 'rgba(0,0,0,0.6)';
-    ctx.strokeRect(px + 0.5, py + 0.5, PLAYER_SIZE - 1, PLAYER_SIZE - 1);
+    // Roads and settlements, then decoration props once tiles are large enough to show
+    // them, over the biome colors
+    if (world.getViewMode() === 'biomes') {
+      if (world.roads) drawRoads(ctx, world.roads, rect, zoom);
+      if (this.showProps && TILE_SIZE * zoom >= DECOR.MIN_TILE_PX) drawProps(ctx, world, rect, zoom);
+    }
+
+    // Entities (the player included), by layer then y
+    drawEntities(ctx, entities.visible(rect), rect, zoom);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,77 @@
+import { ROADS, TILE_SIZE } from '../config.js';
+
+const FONT = '12px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+const EDGE = 'rgba(40,30,20,0.45)';
+// Marker fill per site kind
+const SITE_COLORS = { town: '#f2e6c9', camp: '#e0b36a', landmark: '#c9c9d6' };
+const LABEL_MIN_ZOOM = 0.5; // camps and landmarks are labelled from this zoom; towns always
+
+/**
+ * Draw the finished roads and the placed sites in view (see world/settlements.js):
+ * roads as smoothed lines ROADS.HALF_WIDTH tiles either side of their center line,
+ * sites as markers with their names.
+ * @param {CanvasRenderingContext2D} ctx game canvas context in CSS pixel space
+ * @param {import('../world/settlements.js').SettlementNetwork} network
+ * @param {{x:number, y:number, w:number, h:number}} rect camera world rect
+ * @param {number} zoom screen px per world px
+ */
+export function drawRoads(ctx, network, rect, zoom) {
+  const { roads, sites } = network.visible(rect, TILE_SIZE * 4);
+  const scale = TILE_SIZE * zoom; // screen px per tile
+  const width = Math.max(1.5, 2 * ROADS.HALF_WIDTH * scale);
+  ctx.save();
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  // Darker verges first, so crossing roads merge
+  for (const [color, w] of [[EDGE, width + Math.max(1, scale * 0.3)], [ROADS.COLOR, width]]) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = w;
+    ctx.beginPath();
+    for (const road of roads) {
+      road.points.forEach((p, i) => {
+        const sx = (p.x * TILE_SIZE - rect.x) * zoom;
+        const sy = (p.y * TILE_SIZE - rect.y) * zoom;
+        if (i) ctx.lineTo(sx, sy);
+        else ctx.moveTo(sx, sy);
+      });
+    }
+    ctx.stroke();
+  }
+
+  ctx.font = FONT;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.lineWidth = 1;
+  const size = Math.max(6, Math.min(16, scale * 1.5));
+  for (const site of sites) {
+    const sx = Math.floor(((site.tx + 0.5) * TILE_SIZE - rect.x) * zoom);
+    const sy = Math.floor(((site.ty + 0.5) * TILE_SIZE - rect.y) * zoom);
+    const h = size / 2;
+    ctx.fillStyle = SITE_COLORS[site.kind];
+    ctx.strokeStyle = 'rgba(0,0,0,0.7)';
+    ctx.beginPath();
+    if (site.kind === 'town') ctx.rect(sx - h, sy - h, size, size);
+    else if (site.kind === 'camp') {
+      ctx.moveTo(sx, sy - h);
+      ctx.lineTo(sx + h, sy + h);
+      ctx.lineTo(sx - h, sy + h);
+      ctx.closePath();
+    } else {
+      ctx.moveTo(sx, sy - h);
+      ctx.lineTo(sx + h, sy);
+      ctx.lineTo(sx, sy + h);
+      ctx.lineTo(sx - h, sy);
+      ctx.closePath();
+    }
+    ctx.fill();
+    ctx.stroke();
+    if (site.kind !== 'town' && zoom < LABEL_MIN_ZOOM) continue;
+    ctx.strokeStyle = 'rgba(0,0,0,0.8)';
+    ctx.lineWidth = 3;
+    ctx.strokeText(site.name, sx, sy - h - 2);
+    ctx.fillStyle = '#f5f1e6';
+    ctx.fillText(site.name, sx, sy - h - 2);
+    ctx.lineWidth = 1;
+  }
+  ctx.restore();
+}
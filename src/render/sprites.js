@@ -0,0 +1,39 @@
+/**
+ * Draw entities from their shape component, in the order given (EntityManager.visible()
+ * sorts by layer and y).
+ * @param {CanvasRenderingContext2D} ctx game canvas context in CSS pixel space
+ * @param {import('../entity/entity.js').Entity[]} list
+ * @param {{x:number, y:number, w:number, h:number}} rect camera world rect
+ * @param {number} zoom screen px per world px
+ */
+export function drawEntities(ctx, list, rect, zoom) {
+  ctx.save();
+  ctx.lineWidth = 1;
+  for (const e of list) {
+    const { kind, size: worldSize, color, stroke = null, minPx = 2 } = e.shape;
+    const size = Math.max(minPx, Math.round(worldSize * zoom));
+    const half = size / 2;
+    const sx = Math.floor((e.x - rect.x) * zoom - half);
+    const sy = Math.floor((e.y - rect.y) * zoom - half);
+    ctx.fillStyle = color;
+    if (stroke) ctx.strokeStyle = stroke;
+    if (kind === 'circle') {
+      ctx.beginPath();
+      ctx.arc(sx + half, sy + half, half, 0, Math.PI * 2);
+      ctx.fill();
+      if (stroke) ctx.stroke();
+    } else if (kind === 'triangle') {
+      ctx.beginPath();
+      ctx.moveTo(sx + half, sy);
+      ctx.lineTo(sx + size, sy + size);
+      ctx.lineTo(sx, sy + size);
+      ctx.closePath();
+      ctx.fill();
+      if (stroke) ctx.stroke();
+    } else {
+      ctx.fillRect(sx, sy, size, size);
+      if (stroke) ctx.strokeRect(sx + 0.5, sy + 0.5, size - 1, size - 1);
+    }
+  }
+  ctx.restore();
+}
@@ -0,0 +1,274 @@
+import { SAVE, TILE_SIZE } from '../config.js';
+import { buildPermalink } from './urlstate.js';
+
+/**
+ * Save games: what is captured, how it is restored, and slot management on top of
+ * a SaveStore.
+ *
+ * A save holds the seed string, the player, the view mode, camera and minimap settings
+ * and the world state that the seed alone does not reproduce (currently the explored
+ * mask). Records carry `format` and `version`; upgradeSave() checks them and is where
+ * older versions get migrated. Loading a save made for another seed reloads the page
+ * with that seed and finishes the load on startup (resumePending()).
+ */
+export const SAVE_VERSION = 1;
+
+const FORMAT = 'tileworld-save';
+const PENDING_KEY = 'tileworld.pendingLoad';
+const SLOT_RE = /^[\w.-]{1,32}$/;
+
+/** Slot names: letters, digits, _ . - (up to 32). */
+export function isValidSlot(slot) {
+  return SLOT_RE.test(String(slot));
+}
+
+/**
+ * Check a save record (from storage or an imported file) and bring it up to the
+ * current version.
+ * @throws {Error} when it is not a save, is malformed or comes from a newer build
+ */
+export function upgradeSave(data) {
+  if (!data || typeof data !== 'object' || data.format !== FORMAT) throw new Error('not a save file');
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error('save has no valid version');
+  if (data.version > SAVE_VERSION) {
+    throw new Error(`save version ${data.version} is newer than this build supports (${SAVE_VERSION})`);
+  }
+  if (typeof data.seed !== 'string' || !data.seed) throw new Error('save has no seed');
+  if (!data.player || !Number.isFinite(data.player.x) || !Number.isFinite(data.player.y)) {
+    throw new Error('save has no player position');
+  }
+  // Migrations from older versions go here, one version at a time
+  return data;
+}
+
+export class SaveManager {
+  /**
+   * @param {{store:import('./savestore.js').SaveStore, seed:string, player:any, camera:any,
+   *   world:any, explored:import('../world/explored.js').ExploredMap, minimap?:any,
+   *   teleport:(x:number, y:number) => any}} deps
+   */
+  constructor({ store, seed, player, camera, world, explored, minimap = null, teleport }) {
+    this.store = store;
+    this.seed = seed;
+    this.player = player;
+    this.camera = camera;
+    this.world = world;
+    this.explored = explored;
+    this.minimap = minimap;
+    this.teleport = teleport;
+    this.autosaveInterval = SAVE.AUTOSAVE_INTERVAL; // s, 0 = off
+    this.timer = 0;
+    this.leaving = false; // set when reloading into another seed (skips the unload autosave)
+  }
+
+  /**
+   * Snapshot of the current game as a save record.
+   * @param {string} slot
+   */
+  capture(slot) {
+    const { player, camera, minimap } = this;
+    return {
+      format: FORMAT,
+      version: SAVE_VERSION,
+      slot,
+      savedAt: Date.now(),
+      seed: this.seed,
+      player: { x: player.x, y: player.y, noclip: !!player.noclip },
+      view: this.world.getViewMode(),
+      camera: {
+        zoom: camera.zoom,
+        smoothTime: camera.smoothTime,
+        deadZoneW: camera.deadZoneW,
+        deadZoneH: camera.deadZoneH,
+        lookAhead: camera.lookAhead,
+        lookAheadMax: camera.lookAheadMax,
+        shakeEnabled: camera.shakeEnabled,
+      },
+      minimap: minimap ? { visible: minimap.visible, radius: minimap.radius } : null,
+      // State the seed does not reproduce
+      world: { explored: this.explored.toJSON() },
+    };
+  }
+
+  /**
+   * Restore a record made for this seed. Unknown or invalid settings keep their
+   * current values.
+   */
+  apply(save) {
+    const { player, camera, minimap } = this;
+    player.noclip = !!save.player.noclip;
+    try {
+      if (save.view) this.world.setViewMode(save.view);
+    } catch {
+      // Mode from a newer build: keep the current one
+    }
+    const c = save.camera || {};
+    if (Number.isFinite(c.zoom)) camera.setZoom(c.zoom);
+    for (const key of ['smoothTime', 'deadZoneW', 'deadZoneH', 'lookAhead', 'lookAheadMax']) {
+      if (Number.isFinite(c[key]) && c[key] >= 0) camera[key] = c[key];
+    }
+    if (typeof c.shakeEnabled === 'boolean') camera.shakeEnabled = c.shakeEnabled;
+    if (minimap && save.minimap) {
+      minimap.setVisible(save.minimap.visible !== false);
+      minimap.setRadius(save.minimap.radius);
+    }
+    if (save.world && save.world.explored && this.explored.load(save.world.explored)) {
+      this.explored.dirty = true;
+      if (minimap) minimap.invalidate();
+    }
+    return this.teleport(save.player.x, save.player.y);
+  }
+
+  /**
+   * Save the current game to a slot.
+   * @returns {Promise<any>} the record written
+   */
+  async save(slot = SAVE.QUICK_SLOT) {
+    if (!isValidSlot(slot)) throw new Error(`invalid slot name "${slot}"`);
+    const record = this.capture(slot);
+    await this.store.put(record);
+    this.timer = 0;
+    return record;
+  }
+
+  /**
+   * Load a slot (the most recent save without one). A save for another seed reloads
+   * the page into that world; `reload` is true and the load completes after it.
+   * @returns {Promise<{save:any, reload:boolean, teleported:any}|null>} null if there is no such save
+   */
+  async load(slot = null) {
+    const record = slot ? await this.store.get(slot) : (await this.store.list())[0];
+    if (!record) return null;
+    const save = upgradeSave(record);
+    if (save.seed !== this.seed) {
+      this._reloadInto(save);
+      return { save, reload: true, teleported: null };
+    }
+    return { save, reload: false, teleported: this.apply(save) };
+  }
+
+  _reloadInto(save) {
+    this.leaving = true;
+    sessionStorage.setItem(PENDING_KEY, save.slot);
+    const c = save.camera || {};
+    window.location.assign(buildPermalink(window.location.href, {
+      seed: save.seed, x: save.player.x, y: save.player.y, view: save.view, zoom: c.zoom,
+    }));
+  }
+
+  /**
+   * Finish a load that reloaded the page for its seed.
+   * @returns {Promise<{save:any, teleported:any}|null>} null when none was pending
+   */
+  async resumePending() {
+    let slot = null;
+    try {
+      slot = sessionStorage.getItem(PENDING_KEY);
+      sessionStorage.removeItem(PENDING_KEY);
+    } catch {
+      return null;
+    }
+    if (!slot) return null;
+    const record = await this.store.get(slot);
+    if (!record) throw new Error(`slot "${slot}" disappeared during the reload`);
+    const save = upgradeSave(record);
+    // Never bounce between worlds
+    if (save.seed !== this.seed) throw new Error(`slot "${slot}" is for seed "${save.seed}"`);
+    return { save, teleported: this.apply(save) };
+  }
+
+  /** All saves, most recent first. */
+  list() {
+    return this.store.list();
+  }
+
+  /** @returns {Promise<boolean>} whether the slot existed */
+  remove(slot) {
+    return this.store.delete(slot);
+  }
+
+  /**
+   * Offer a save as a JSON file download.
+   */
+  download(save) {
+    const blob = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `tileworld-${save.seed}-${save.slot}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
+
+  /**
+   * Store a save from JSON text (an exported file) in a slot.
+   * @param {string} text
+   * @param {string|null} [slot] defaults to the slot it was exported from
+   * @returns {Promise<any>} the stored record
+   */
+  async importText(text, slot = null) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('file is not valid JSON');
+    }
+    const save = upgradeSave(data);
+    save.slot = slot || (isValidSlot(save.slot) ? save.slot : 'import');
+    if (!isValidSlot(save.slot)) throw new Error(`invalid slot name "${save.slot}"`);
+    await this.store.put(save);
+    return save;
+  }
+
+  /**
+   * Ask the user for a file (needs a recent user gesture, e.g. the console Enter key).
+   * @returns {Promise<string|null>} its text, or null if nothing was chosen
+   */
+  pickFile() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'application/json,.json';
+      input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (!file) resolve(null);
+        else file.text().then(resolve, () => resolve(null));
+      });
+      input.click();
+    });
+  }
+
+  /**
+   * Write the autosave slot (errors are logged, not thrown).
+   */
+  autosave() {
+    if (this.leaving) return Promise.resolve(null);
+    this.timer = 0;
+    return this.save(SAVE.AUTO_SLOT).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.warn('Autosave failed', err);
+      return null;
+    });
+  }
+
+  /**
+   * Advance the autosave timer. Call once per frame.
+   * @param {number} dt seconds
+   */
+  update(dt) {
+    if (!(this.autosaveInterval > 0)) return;
+    this.timer += dt;
+    if (this.timer >= this.autosaveInterval) this.autosave();
+  }
+}
+
+/**
+ * One-line description of a save for listings.
+ */
+export function describeSave(save) {
+  const when = new Date(save.savedAt || 0).toLocaleString();
+  const tx = Math.floor(save.player.x / TILE_SIZE);
+  const ty = Math.floor(save.player.y / TILE_SIZE);
+  return `${save.slot.padEnd(12)} ${when}  seed ${save.seed}  tile (${tx}, ${ty})  v${save.version}`;
+}
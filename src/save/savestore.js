@@ -0,0 +1,95 @@
+/**
+ * Save slot storage in IndexedDB (database `tileworld`, object store `saves`, one
+ * record per slot name). Where IndexedDB is unavailable (some private modes, Node)
+ * slots live in memory for the session instead.
+ */
+const DB_NAME = 'tileworld';
+const DB_VERSION = 1;
+const STORE = 'saves';
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export class SaveStore {
+  constructor() {
+    /** @type {Promise<IDBDatabase|null>|null} */
+    this._db = null;
+    /** @type {Map<string, any>} fallback when IndexedDB cannot be opened */
+    this.memory = new Map();
+    this.persistent = typeof indexedDB !== 'undefined';
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = !this.persistent ? Promise.resolve(null) : new Promise((resolve) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'slot' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          // eslint-disable-next-line no-console
+          console.warn('IndexedDB unavailable, saves last for this session only.', req.error);
+          this.persistent = false;
+          resolve(null);
+        };
+      });
+    }
+    return this._db;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db ? db.transaction(STORE, mode).objectStore(STORE) : null;
+  }
+
+  /**
+   * Write a save record (its `slot` field is the key).
+   * @param {{slot:string}} record
+   */
+  async put(record) {
+    const store = await this._store('readwrite');
+    if (!store) {
+      this.memory.set(record.slot, structuredClone(record));
+      return;
+    }
+    await request(store.put(record));
+  }
+
+  /**
+   * @param {string} slot
+   * @returns {Promise<any|null>}
+   */
+  async get(slot) {
+    const store = await this._store('readonly');
+    if (!store) return this.memory.has(slot) ? structuredClone(this.memory.get(slot)) : null;
+    return (await request(store.get(slot))) ?? null;
+  }
+
+  /**
+   * Every record, most recently saved first.
+   * @returns {Promise<any[]>}
+   */
+  async list() {
+    const store = await this._store('readonly');
+    const all = store ? await request(store.getAll()) : Array.from(this.memory.values());
+    return all.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+  }
+
+  /**
+   * @param {string} slot
+   * @returns {Promise<boolean>} whether the slot existed
+   */
+  async delete(slot) {
+    const existed = (await this.get(slot)) !== null;
+    const store = await this._store('readwrite');
+    if (!store) this.memory.delete(slot);
+    else await request(store.delete(slot));
+    return existed;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Shareable URL state: the query string carries the seed, the player's position, the
+ * view mode and the zoom, e.g. ?seed=my-world&tx=120&ty=-48&view=elev&zoom=0.5.
+ * readUrlState() parses it at startup; UrlSync keeps the address bar current with
+ * history.replaceState (throttled, and only when the link changes).
+ *
+ * Position is read from x / y (world px) or, without those, tx / ty (tile, centered).
+ * Links are written with tx / ty; view and zoom are left out at their defaults.
+ * Other query parameters are kept as they are.
+ */
+import { TILE_SIZE, URL_STATE } from '../config.js';
+import { VIEW_MODES } from '../world/world.js';
+
+const DEFAULT_VIEW = 'biomes';
+
+function readNumber(params, key) {
+  const raw = params.get(key);
+  if (raw == null || raw.trim() === '') return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parse the game state out of a URL. Missing or invalid values are null.
+ * @param {string} href
+ * @returns {{seed:string|null, pos:{x:number, y:number}|null, view:string|null, zoom:number|null}}
+ */
+export function readUrlState(href) {
+  const params = new URL(href).searchParams;
+  const seed = params.get('seed') || null;
+
+  let pos = null;
+  const x = readNumber(params, 'x');
+  const y = readNumber(params, 'y');
+  const tx = readNumber(params, 'tx');
+  const ty = readNumber(params, 'ty');
+  if (x !== null && y !== null) pos = { x, y };
+  else if (tx !== null && ty !== null) pos = { x: (Math.floor(tx) + 0.5) * TILE_SIZE, y: (Math.floor(ty) + 0.5) * TILE_SIZE };
+
+  const viewRaw = String(params.get('view') || '').toLowerCase();
+  const view = VIEW_MODES.has(viewRaw) ? viewRaw : null;
+
+  const zoomRaw = readNumber(params, 'zoom');
+  const zoom = zoomRaw !== null && zoomRaw > 0 ? zoomRaw : null;
+
+  return { seed, pos, view, zoom };
+}
+
+/**
+ * A link to `base` (its path and unrelated parameters) showing the given state.
+ * @param {string} base
+ * @param {{seed:string, x:number, y:number, view?:string, zoom?:number}} state
+ * @returns {string}
+ */
+export function buildPermalink(base, { seed, x, y, view = DEFAULT_VIEW, zoom = 1 }) {
+  const url = new URL(base);
+  const params = url.searchParams;
+  params.set('seed', seed);
+  params.delete('x');
+  params.delete('y');
+  params.set('tx', String(Math.floor(x / TILE_SIZE)));
+  params.set('ty', String(Math.floor(y / TILE_SIZE)));
+  if (view && view !== DEFAULT_VIEW) params.set('view', view);
+  else params.delete('view');
+  const z = Math.round(zoom * 1000) / 1000;
+  if (Number.isFinite(z) && z > 0 && z !== 1) params.set('zoom', String(z));
+  else params.delete('zoom');
+  url.hash = '';
+  return url.toString();
+}
+
+export class UrlSync {
+  /**
+   * @param {() => {seed:string, x:number, y:number, view?:string, zoom?:number}} getState
+   * @param {{interval?:number}} [opts] interval: seconds between address bar updates
+   */
+  constructor(getState, { interval = URL_STATE.INTERVAL } = {}) {
+    this.getState = getState;
+    this.interval = interval;
+    this.timer = 0;
+    this.enabled = typeof history !== 'undefined' && typeof history.replaceState === 'function';
+  }
+
+  /** The link for the current state. */
+  permalink() {
+    return buildPermalink(window.location.href, this.getState());
+  }
+
+  /** Write the current state to the address bar now (no history entry is added). */
+  flush() {
+    this.timer = 0;
+    if (!this.enabled) return;
+    const href = this.permalink();
+    if (href === window.location.href) return;
+    try {
+      history.replaceState(history.state, '', href);
+    } catch {
+      // Some browsers rate-limit replaceState; the next flush catches up
+    }
+  }
+
+  /**
+   * Advance the throttle timer. Call once per frame.
+   * @param {number} dt seconds
+   */
+  update(dt) {
+    this.timer += dt;
+    if (this.timer >= this.interval) this.flush();
+  }
+}
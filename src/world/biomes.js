@@ -6,27 +6,27 @@
  * - Classify each tile by nearest prototype in weighted 7D space.
  * - Prototypes come from an embedded default set (from biomes.csv) and
  *   can be hot-reloaded from ./src/world/biomes.csv at runtime.
- * - Colors: fixed palette per prototype id for clear map differentiation.
+ * - Colors: fixed palette per prototype id for clear map differentiation,
+ *   overridable per row with the CSV `color` column.
+ * - Optional per-biome `radius` and `weight_<axis>` columns let a prototype claim
+ *   a wider (radius > 1) or tighter (< 1) region; `passable`/`speed` describe
+ *   how the terrain can be crossed.
+ *
+ * CSV schema (header row required for v2; columns may appear in any order):
+ *   id,label,real_world_anchor,temp,moist,elev,rough,sal,fert,fire
+ *     [,color][,radius][,weight_temp..weight_fire][,passable][,speed]
+ * Fields may be double-quoted (commas and "" escapes inside quotes). Lines
+ * starting with # are comments. A file without a header is read as the v1
+ * positional layout (first ten columns).
  */
 
 import { CLASSIFY_WEIGHTS } from '../config.js';
+import { classifyBrute, getClassifier } from './classifier.js';
 
 // ---------------------------- Utilities ----------------------------
 
 function clamp01(x) { return x < 0 ? 0 : x > 1 ? 1 : x; }
 
-function weightedDist2(a, b, w) {
-  let d = 0;
-  d += w.temp  * (a.temp  - b.temp)  * (a.temp  - b.temp);
-  d += w.moist * (a.moist - b.moist) * (a.moist - b.moist);
-  d += w.elev  * (a.elev  - b.elev)  * (a.elev  - b.elev);
-  d += w.rough * (a.rough - b.rough) * (a.rough - b.rough);
-  d += w.sal   * (a.sal   - b.sal)   * (a.sal   - b.sal);
-  d += w.fert  * (a.fert  - b.fert)  * (a.fert  - b.fert);
-  d += w.fire  * (a.fire  - b.fire)  * (a.fire  - b.fire);
-  return d;
-}
-
 // ---------------------------- Default prototypes (from CSV) ----------------------------
 
 const DEFAULT_COLORS_BY_ID = {
@@ -46,6 +46,16 @@ const DEFAULT_COLORS_BY_ID = {
   14: '#6e8b5e', // Maritime Forest & Scrub - dull green
 };
 
+// Movement speed multipliers (1 = normal), matching biomes.csv; impassable biomes
+// are never walked, so they keep 1
+const DEFAULT_SPEED_BY_ID = {
+  1: 0.80, 2: 0.70, 3: 0.90, 4: 0.85, 5: 1.10, 6: 1.00, 7: 0.55,
+  8: 1.20, 9: 0.60, 10: 0.75, 13: 0.85, 14: 0.80,
+};
+
+// Open water (delta bayous, estuary) can't be walked, matching biomes.csv
+const DEFAULT_IMPASSABLE_IDS = new Set([11, 12]);
+
 const DEFAULT_ALABAMA_BIOMES = [
   { id: 1,  label: 'Appalachian Highlands Forest',  anchor: 'Talladega/Cheaha uplands',                 temp:0.45, moist:0.55, elev:0.85, rough:0.75, sal:0.00, fert:0.50, fire:0.20 },
   { id: 2,  label: 'Sandstone Canyon & Falls',      anchor: 'Sipsey-style gorges & waterfalls',        temp:0.50, moist:0.70, elev:0.60, rough:0.80, sal:0.00, fert:0.60, fire:0.10 },
@@ -61,69 +71,272 @@ const DEFAULT_ALABAMA_BIOMES = [
   { id: 12, label: 'Tidal Salt Marsh & Estuary',    anchor: 'Brackish marsh margins',                  temp:0.90, moist:1.00, elev:0.05, rough:0.10, sal:0.60, fert:0.50, fire:0.00 },
   { id: 13, label: 'Coastal Dune & Beach',          anchor: 'Barrier-island dune/beach systems',       temp:0.95, moist:0.60, elev:0.05, rough:0.25, sal:1.00, fert:0.15, fire:0.00 },
   { id: 14, label: 'Maritime Forest & Scrub',       anchor: 'Back-dune oak/pine thickets',             temp:0.90, moist:0.70, elev:0.08, rough:0.20, sal:0.40, fert:0.40, fire:0.00 },
-].map(b => ({ ...b, color: DEFAULT_COLORS_BY_ID[b.id] || '#888888' }));
+].map(b => ({ ...b, color: DEFAULT_COLORS_BY_ID[b.id] || '#888888', radius: 1, weights: null, passable: !DEFAULT_IMPASSABLE_IDS.has(b.id), speed: DEFAULT_SPEED_BY_ID[b.id] ?? 1 }));
 
 // Active list can be replaced by CSV at runtime.
 let ACTIVE_BIOMES = DEFAULT_ALABAMA_BIOMES;
 
+/**
+ * Current prototype list used by classifyAxes() when no list is passed.
+ */
+export function getActiveBiomes() {
+  return ACTIVE_BIOMES;
+}
+
+// id -> prototype lookup, rebuilt whenever the active list changes
+let BY_ID_LIST = null;
+let BY_ID = new Map();
+
+/**
+ * Look up a prototype by id in the active list (null if unknown).
+ * @param {number} id
+ */
+export function getBiomeById(id) {
+  if (BY_ID_LIST !== ACTIVE_BIOMES) {
+    BY_ID = new Map(ACTIVE_BIOMES.map(b => [b.id, b]));
+    BY_ID_LIST = ACTIVE_BIOMES;
+  }
+  return BY_ID.get(id) || null;
+}
+
+/**
+ * Replace the active prototype list (e.g. inside a chunk worker, with the list
+ * shipped from the main thread). Empty or invalid lists are ignored.
+ * @param {Array} list
+ */
+export function setActiveBiomes(list) {
+  if (Array.isArray(list) && list.length) {
+    ACTIVE_BIOMES = list;
+  }
+  return ACTIVE_BIOMES;
+}
+
 // ---------------------------- CSV loading (optional) ----------------------------
 
-function parseBiomesCSV(text) {
-  const lines = text.split(/\r?\n/).filter(l => l.trim().length > 0);
-  if (!lines.length) return [];
-
-  const header = lines[0].toLowerCase();
-  const startIdx = header.startsWith('id,label,real_world_anchor') ? 1 : 0;
-
-  const out = [];
-  for (let i = startIdx; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.startsWith('#')) continue;
-    const parts = line.split(',');
-    if (parts.length < 10) continue;
-
-    const id = Number(parts[0]);
-    const label = parts[1];
-    const anchor = parts[2];
-
-    const temp  = Number(parts[3]);
-    const moist = Number(parts[4]);
-    const elev  = Number(parts[5]);
-    const rough = Number(parts[6]);
-    const sal   = Number(parts[7]);
-    const fert  = Number(parts[8]);
-    const fire  = Number(parts[9]);
-
-    out.push({
-      id, label, anchor,
-      temp: clamp01(temp),
-      moist: clamp01(moist),
-      elev: clamp01(elev),
-      rough: clamp01(rough),
-      sal: clamp01(sal),
-      fert: clamp01(fert),
-      fire: clamp01(fire),
-      color: DEFAULT_COLORS_BY_ID[id] || '#888888',
+const AXIS_NAMES = ['temp', 'moist', 'elev', 'rough', 'sal', 'fert', 'fire'];
+const V1_COLUMNS = ['id', 'label', 'real_world_anchor', ...AXIS_NAMES];
+const COLUMN_ALIASES = { anchor: 'real_world_anchor', name: 'label', colour: 'color' };
+
+/**
+ * Split CSV text into records of fields, honoring double quotes.
+ * Each record carries the 1-based line it starts on.
+ * @returns {{records:Array<{line:number,fields:string[]}>, errors:Array<{line:number,level:string,message:string}>}}
+ */
+function tokenizeCSV(text) {
+  const records = [];
+  const errors = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+  let quoteLine = 0;
+
+  const endRecord = () => {
+    fields.push(field);
+    const blank = fields.length === 1 && fields[0].trim() === '';
+    const comment = fields[0].trimStart().startsWith('#');
+    if (!blank && !comment) records.push({ line: startLine, fields: fields.map(f => f.trim()) });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+      quoteLine = line;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    errors.push({ line: quoteLine, level: 'error', message: 'unterminated quoted field' });
+  }
+  if (field !== '' || fields.length) endRecord();
+  return { records, errors };
+}
+
+function parseBool(v) {
+  const s = String(v).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y'].includes(s)) return true;
+  if (['0', 'false', 'no', 'n'].includes(s)) return false;
+  return null;
+}
+
+/**
+ * Parse biomes CSV text (v1 or v2 schema, see top of file).
+ * Rows with errors are skipped; problems are collected with line numbers.
+ * @returns {{biomes:Array, errors:Array<{line:number,level:'error'|'warning',message:string}>}}
+ */
+export function parseBiomesCSV(text) {
+  const { records, errors } = tokenizeCSV(String(text || ''));
+  const biomes = [];
+  if (!records.length) {
+    errors.push({ line: 0, level: 'error', message: 'no biome rows found' });
+    return { biomes, errors };
+  }
+
+  // Header (v2) or positional v1 layout
+  let columns = V1_COLUMNS;
+  let rows = records;
+  if (records[0].fields[0].toLowerCase() === 'id') {
+    columns = records[0].fields.map(f => {
+      const c = f.toLowerCase().replace(/\s+/g, '_');
+      return COLUMN_ALIASES[c] || c.replace(/^w_/, 'weight_');
     });
+    rows = records.slice(1);
+    for (const req of ['id', 'label', ...AXIS_NAMES]) {
+      if (!columns.includes(req)) {
+        errors.push({ line: records[0].line, level: 'error', message: `missing required column "${req}"` });
+      }
+    }
+    if (errors.some(e => e.level === 'error')) return { biomes, errors };
   }
-  return out;
+
+  const seen = new Set();
+  for (const rec of rows) {
+    const { line, fields } = rec;
+    const rowErrors = [];
+    const err = (message) => rowErrors.push({ line, level: 'error', message });
+    const warn = (message) => errors.push({ line, level: 'warning', message });
+
+    if (fields.length > columns.length) {
+      warn(`${fields.length} fields but ${columns.length} columns; extra fields ignored`);
+    }
+    const row = {};
+    columns.forEach((c, i) => { row[c] = fields[i] ?? ''; });
+
+    const id = Number(row.id);
+    if (row.id === '' || !Number.isInteger(id) || id < 0 || id > 65535) err(`invalid id "${row.id}"`);
+    else if (seen.has(id)) err(`duplicate id ${id}`);
+
+    const label = row.label;
+    if (!label) err('missing label');
+
+    const b = { id, label, anchor: row.real_world_anchor || '' };
+    for (const a of AXIS_NAMES) {
+      const v = Number(row[a]);
+      if (row[a] === '' || !Number.isFinite(v)) {
+        err(`${a}: "${row[a]}" is not a number`);
+        continue;
+      }
+      if (v < 0 || v > 1) warn(`${a}=${v} outside 0..1, clamped`);
+      b[a] = clamp01(v);
+    }
+
+    b.color = DEFAULT_COLORS_BY_ID[id] || '#888888';
+    if (row.color) {
+      if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(row.color)) b.color = row.color;
+      else warn(`invalid color "${row.color}", using default`);
+    }
+
+    b.radius = 1;
+    if (row.radius) {
+      const r = Number(row.radius);
+      if (Number.isFinite(r) && r > 0) b.radius = r;
+      else warn(`invalid radius "${row.radius}", using 1`);
+    }
+
+    b.weights = null;
+    for (const a of AXIS_NAMES) {
+      const raw = row[`weight_${a}`];
+      if (!raw) continue;
+      const v = Number(raw);
+      if (Number.isFinite(v) && v >= 0) (b.weights ||= {})[a] = v;
+      else warn(`invalid weight_${a} "${raw}", ignored`);
+    }
+
+    b.passable = !DEFAULT_IMPASSABLE_IDS.has(id);
+    if (row.passable) {
+      const v = parseBool(row.passable);
+      if (v === null) warn(`invalid passable "${row.passable}", using ${b.passable ? 'yes' : 'no'}`);
+      else b.passable = v;
+    }
+
+    b.speed = DEFAULT_SPEED_BY_ID[id] ?? 1;
+    if (row.speed) {
+      const v = Number(row.speed);
+      if (Number.isFinite(v) && v >= 0) b.speed = v;
+      else warn(`invalid speed "${row.speed}", using ${b.speed}`);
+    }
+
+    if (rowErrors.length) {
+      errors.push(...rowErrors);
+      continue;
+    }
+    seen.add(id);
+    biomes.push(b);
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { biomes, errors };
+}
+
+// Outcome of the most recent tryLoadBiomesFromCSV() call; source is the CSV the
+// active list came from (null = built-in defaults), kept across failed loads.
+let LAST_LOAD = { url: null, source: null, ok: false, count: 0, errors: [] };
+
+/**
+ * Report of the most recent CSV load:
+ * { url, source, ok, count, errors:[{line,level,message}] }.
+ */
+export function getBiomeLoadReport() {
+  return LAST_LOAD;
+}
+
+/**
+ * One-line description of a load problem, e.g. "biomes.csv:7: error: temp: "x" is not a number".
+ */
+export function formatBiomeLoadError(e, url = LAST_LOAD.url) {
+  const file = url ? String(url).split('/').pop() : 'biomes';
+  return `${file}${e.line ? `:${e.line}` : ''}: ${e.level}: ${e.message}`;
 }
 
 /**
  * Try to load ./src/world/biomes.csv at runtime. On success, swaps ACTIVE_BIOMES.
  * Returns the loaded list or the current ACTIVE_BIOMES if fetch fails.
+ * Parse problems (with line numbers) are available from getBiomeLoadReport().
  */
 export async function tryLoadBiomesFromCSV(url = './src/world/biomes.csv') {
+  LAST_LOAD = { url, source: LAST_LOAD.source, ok: false, count: 0, errors: [] };
   try {
     const res = await fetch(url, { cache: 'no-cache' });
-    if (!res.ok) return ACTIVE_BIOMES;
+    if (!res.ok) {
+      LAST_LOAD.errors.push({ line: 0, level: 'error', message: `HTTP ${res.status} fetching ${url}` });
+      return ACTIVE_BIOMES;
+    }
     const text = await res.text();
-    const parsed = parseBiomesCSV(text);
-    if (parsed.length) {
-      ACTIVE_BIOMES = parsed;
+    const { biomes, errors } = parseBiomesCSV(text);
+    LAST_LOAD.errors = errors;
+    if (biomes.length) {
+      ACTIVE_BIOMES = biomes;
+      LAST_LOAD.ok = true;
+      LAST_LOAD.source = url;
+      LAST_LOAD.count = biomes.length;
     }
     return ACTIVE_BIOMES;
-  } catch {
+  } catch (err) {
+    LAST_LOAD.errors.push({ line: 0, level: 'error', message: err && err.message ? err.message : String(err) });
     return ACTIVE_BIOMES;
   }
 }
@@ -132,21 +345,33 @@ export async function tryLoadBiomesFromCSV(url = './src/world/biomes.csv') {
 
 /**
  * Return the nearest biome prototype to the provided axes.
+ * Uses the cached precomputed classifier (see classifier.js); the result is
+ * identical to classifyAxesBrute().
  * @param {{temp:number,moist:number,elev:number,rough:number,sal:number,fert:number,fire:number}} axes
  * @param {Array} list optional list to search (defaults to ACTIVE_BIOMES)
  * @returns {{id:number,label:string,anchor:string,color:string,dist:number}}
  */
 export function classifyAxes(axes, list = ACTIVE_BIOMES, weights = CLASSIFY_WEIGHTS) {
-  let best = null;
-  let bestD = Infinity;
-  for (const b of list) {
-    const d = weightedDist2(axes, b, weights);
-    if (d < bestD) {
-      bestD = d;
-      best = b;
-    }
-  }
-  return { id: best.id, label: best.label, anchor: best.anchor, color: best.color, dist: bestD };
+  const { index, dist } = getClassifier(list, weights).nearest(axes);
+  const best = list[index];
+  return { id: best.id, label: best.label, anchor: best.anchor, color: best.color, dist };
+}
+
+/**
+ * Biome id only (no result object); the hot path for chunk generation.
+ */
+export function classifyAxesId(axes, list = ACTIVE_BIOMES, weights = CLASSIFY_WEIGHTS) {
+  return getClassifier(list, weights).classifyId(axes);
+}
+
+/**
+ * Linear scan over every prototype. Kept as the reference for verifying the
+ * fast classifier (`biomes verify`).
+ */
+export function classifyAxesBrute(axes, list = ACTIVE_BIOMES, weights = CLASSIFY_WEIGHTS) {
+  const { index, dist } = classifyBrute(axes, list, weights);
+  const best = list[index];
+  return { id: best.id, label: best.label, anchor: best.anchor, color: best.color, dist };
 }
 
 export function colorForAxes(axes, list = ACTIVE_BIOMES, weights = CLASSIFY_WEIGHTS) {
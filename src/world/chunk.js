@@ -1,11 +1,12 @@
-import { TILE_SIZE, CHUNK_SIZE, CHUNK_PIXEL_SIZE } from '../config.js';
-import { colorForAxes, colorFor } from './biomes.js';
+import { CHUNK_PIXEL_SIZE, RIVERS } from '../config.js';
+import { getBiomeById } from './biomes.js';
 
 /**
- * Stable cache key for chunk coordinates.
+ * Stable cache key for chunk coordinates; coarse level-of-detail rasters get a
+ * `@step` suffix.
  */
-export function chunkKey(cx, cy) {
-  return `${cx},${cy}`;
+export function chunkKey(cx, cy, step = 1) {
+  return step === 1 ? `${cx},${cy}` : `${cx},${cy}@${step}`;
 }
 
 /**
@@ -18,77 +19,78 @@ export function chunkWorldOriginPx(cx, cy) {
   };
 }
 
+// Parse '#rrggbb' (or '#rgb') into [r,g,b]; unknown formats map to gray.
+const RGB_CACHE = new Map();
+export function hexToRgb(hex) {
+  let rgb = RGB_CACHE.get(hex);
+  if (rgb) return rgb;
+  let h = String(hex || '').trim().replace(/^#/, '');
+  if (h.length === 3) h = h[0] + h[0] + h[1] + h[1] + h[2] + h[2];
+  const n = /^[0-9a-f]{6}$/i.test(h) ? Number.parseInt(h, 16) : 0x888888;
+  rgb = [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  RGB_CACHE.set(hex, rgb);
+  return rgb;
+}
+
+/**
+ * Colorize chunk data to one RGBA pixel per tile.
+ * - 'biomes' uses the active prototype color for each tile's biome id, and
+ *   RIVERS.COLOR for river water
+ * - any axis name renders that axis in grayscale: 0 (black) .. 1 (white)
+ * @param {{size:number,ids:Uint16Array,axes:Record<string,Uint8Array>}} data
+ * @param {string} viewMode
+ * @returns {Uint8ClampedArray}
+ */
+export function chunkRGBA(data, viewMode = 'biomes') {
+  const n = data.size * data.size;
+  const rgba = new Uint8ClampedArray(n * 4);
+  const gray = viewMode !== 'biomes' ? data.axes[viewMode] : null;
+
+  for (let i = 0, o = 0; i < n; i++, o += 4) {
+    if (gray) {
+      const v = gray[i];
+      rgba[o] = v; rgba[o + 1] = v; rgba[o + 2] = v;
+    } else if (viewMode === 'biomes') {
+      const hex = data.water[i] ? RIVERS.COLOR : (getBiomeById(data.ids[i])?.color || '#888888');
+      const [r, g, b] = hexToRgb(hex);
+      rgba[o] = r; rgba[o + 1] = g; rgba[o + 2] = b;
+    }
+    rgba[o + 3] = 255;
+  }
+  return rgba;
+}
+
 /**
- * Generate an offscreen canvas for a chunk by rasterizing biome colors per tile.
- * Prefers multi-axis classification when available; falls back to elevation/moisture.
- * @param {number} cx Chunk X index (integer)
- * @param {number} cy Chunk Y index (integer)
- * @param {{elevation?:(x:number,y:number)=>number, moisture?:(x:number,y:number)=>number, sampleAxes?:(x:number,y:number)=>{temp:number,moist:number,elev:number,rough:number,sal:number,fert:number,fire:number}}} noise
+ * Paint chunk data into a chunk canvas with one pixel per sample (per tile at step 1).
+ * The renderer scales it up to CHUNK_PIXEL_SIZE without smoothing, so a cached chunk
+ * costs 16 KB rather than a full-size 1024 x 1024 backing store.
+ * @param {{size:number,step?:number,ids:Uint16Array,axes:Record<string,Uint8Array>}} data
+ * @param {string} viewMode
  * @returns {HTMLCanvasElement}
  */
-export function generateChunkCanvas(cx, cy, noise, viewMode = 'biomes') {
+export function paintChunkCanvas(data, viewMode = 'biomes') {
   const canvas = document.createElement('canvas');
-  canvas.width = CHUNK_PIXEL_SIZE;
-  canvas.height = CHUNK_PIXEL_SIZE;
+  canvas.width = data.size;
+  canvas.height = data.size;
+  canvas.getContext('2d').putImageData(new ImageData(chunkRGBA(data, viewMode), data.size, data.size), 0, 0);
+  return canvas;
+}
 
+/**
+ * Small checkerboard shown in place of chunks still being generated.
+ * Draw it scaled to CHUNK_PIXEL_SIZE.
+ * @returns {HTMLCanvasElement}
+ */
+export function createPlaceholderCanvas() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 8;
+  canvas.height = 8;
   const ctx = canvas.getContext('2d', { alpha: false });
-  ctx.imageSmoothingEnabled = false;
-
-  // Local helpers (kept inside to avoid extra exports)
-  const clamp01 = (x) => x < 0 ? 0 : x > 1 ? 1 : x;
-  const grayHex = (v) => {
-    const i = Math.max(0, Math.min(255, Math.round(v * 255)));
-    const h = i.toString(16).padStart(2, '0');
-    return `#${h}${h}${h}`;
-  };
-  const fallbackAxes = (elev, moist) => {
-    elev = clamp01(elev);
-    moist = clamp01(moist);
-    return {
-      temp: 0.6 * (1 - elev) + 0.4 * moist,
-      moist,
-      elev,
-      rough: Math.abs(elev - 0.5) * 0.8,
-      sal: 0.2 * (1 - elev),
-      fert: 0.6 * (1 - Math.abs(elev - 0.4)) + 0.2 * moist,
-      fire: 0.6 * (1 - moist),
-    };
-  };
-
-  // Iterate all tiles in the chunk
-  for (let ty = 0; ty < CHUNK_SIZE; ty++) {
-    for (let tx = 0; tx < CHUNK_SIZE; tx++) {
-      const wtx = cx * CHUNK_SIZE + tx; // world tile x
-      const wty = cy * CHUNK_SIZE + ty; // world tile y
-
-      // Build full axes vector either via multi-axis sampler or fallback from elev/moist
-      let axes;
-      if (typeof noise.sampleAxes === 'function') {
-        axes = noise.sampleAxes(wtx, wty);
-      } else if (typeof noise.elevation === 'function' && typeof noise.moisture === 'function') {
-        const e = noise.elevation(wtx, wty);
-        const m = noise.moisture(wtx, wty);
-        axes = fallbackAxes(e, m);
-      } else {
-        axes = { temp: 0.5, moist: 0.5, elev: 0.5, rough: 0.5, sal: 0.5, fert: 0.5, fire: 0.5 };
-      }
-
-      let color;
-      if (viewMode === 'biomes') {
-        // Standard biome classification color
-        // If we only had elev/moist, colorFor(e,m) matches colorForAxes(fallbackAxes(e,m))
-        color = colorForAxes(axes);
-      } else {
-        // Grayscale by selected axis: temp|moist|elev|rough|sal|fert|fire
-        const v = Number(axes?.[viewMode]);
-        const vv = Number.isFinite(v) ? clamp01(v) : 0;
-        color = grayHex(vv);
-      }
-
-      ctx.fillStyle = color || '#888888';
-      ctx.fillRect(tx * TILE_SIZE, ty * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      ctx.fillStyle = (x + y) & 1 ? '#121826' : '#0e1420';
+      ctx.fillRect(x, y, 1, 1);
     }
   }
-
   return canvas;
-}
\ No newline at end of file
+}
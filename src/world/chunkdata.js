@@ -0,0 +1,160 @@
+/**
+ * Headless chunk data: per-tile biome ids and quantized axis values.
+ *
+ * DOM-free on purpose: used by the main thread, chunk workers and plain Node
+ * tooling alike, e.g.
+ *   import { makeNoise } from './src/world/noise.js';
+ *   import { generateChunkData, readTile } from './src/world/chunkdata.js';
+ *   const data = generateChunkData(0, 0, makeNoise(1, 2));
+ *   readTile(data, 10, 20); // { id, axes: { temp, moist, ... } }
+ *
+ * Layout: row-major, index = ly * CHUNK_SIZE + lx (local tile coords).
+ * - ids:   Uint16Array biome id per tile (classified from full-precision axes)
+ * - axes:  one Uint8Array per axis, value quantized to 0..255
+ * - water: Uint8Array river order per tile (0 = dry land; see rivers.js)
+ */
+import { CHUNK_SIZE } from '../config.js';
+import { classifyAxesId, getActiveBiomes } from './biomes.js';
+
+/** Axis names in canonical order. */
+export const AXES = ['temp', 'moist', 'elev', 'rough', 'sal', 'fert', 'fire'];
+
+const clamp01 = (x) => x < 0 ? 0 : x > 1 ? 1 : x;
+
+/** Quantize an axis value (0..1) to a byte. */
+export function quantize(v) {
+  return Math.round(clamp01(Number.isFinite(v) ? v : 0) * 255);
+}
+
+/** Inverse of quantize(). */
+export function dequantize(q) {
+  return q / 255;
+}
+
+function fallbackAxes(elev, moist) {
+  elev = clamp01(elev);
+  moist = clamp01(moist);
+  return {
+    temp: 0.6 * (1 - elev) + 0.4 * moist,
+    moist,
+    elev,
+    rough: Math.abs(elev - 0.5) * 0.8,
+    sal: 0.2 * (1 - elev),
+    fert: 0.6 * (1 - Math.abs(elev - 0.4)) + 0.2 * moist,
+    fire: 0.6 * (1 - moist),
+  };
+}
+
+/**
+ * Sample full-precision axes for a world tile. Prefers the multi-axis sampler;
+ * falls back to elevation/moisture, then to a neutral vector.
+ */
+export function sampleTileAxes(noise, tx, ty) {
+  if (typeof noise.sampleAxes === 'function') {
+    return noise.sampleAxes(tx, ty);
+  }
+  if (typeof noise.elevation === 'function' && typeof noise.moisture === 'function') {
+    return fallbackAxes(noise.elevation(tx, ty), noise.moisture(tx, ty));
+  }
+  return { temp: 0.5, moist: 0.5, elev: 0.5, rough: 0.5, sal: 0.5, fert: 0.5, fire: 0.5 };
+}
+
+/**
+ * Generate tile data for a chunk.
+ * With step > 1 only every step-th tile on each axis is sampled, giving a coarse
+ * (CHUNK_SIZE/step)^2 raster for zoomed-out rendering; the full-resolution data
+ * (step 1) is what gameplay queries use.
+ * @param {number} cx Chunk X index (integer)
+ * @param {number} cy Chunk Y index (integer)
+ * @param {{elevation?:(x:number,y:number)=>number, moisture?:(x:number,y:number)=>number, sampleAxes?:(x:number,y:number)=>{temp:number,moist:number,elev:number,rough:number,sal:number,fert:number,fire:number}}} noise
+ * @param {Array} [list] biome prototypes (defaults to the active list)
+ * @param {number} [step] tiles per sample (divides CHUNK_SIZE)
+ * @returns {{cx:number,cy:number,size:number,step:number,ids:Uint16Array,axes:Record<string,Uint8Array>,water:Uint8Array}}
+ */
+export function generateChunkData(cx, cy, noise, list = getActiveBiomes(), step = 1) {
+  const size = CHUNK_SIZE / step;
+  const n = size * size;
+  const ids = new Uint16Array(n);
+  const axes = {};
+  for (const a of AXES) axes[a] = new Uint8Array(n);
+
+  if (typeof noise.sampleAxesGrid === 'function') {
+    // Batched path: all axes for the whole chunk at once
+    const grid = noise.sampleAxesGrid(cx * CHUNK_SIZE, cy * CHUNK_SIZE, size, size, step);
+    const v = {};
+    for (let i = 0; i < n; i++) {
+      for (const a of AXES) v[a] = grid[a][i];
+      ids[i] = classifyAxesId(v, list);
+      for (const a of AXES) axes[a][i] = quantize(v[a]);
+    }
+  } else {
+    for (let ly = 0; ly < size; ly++) {
+      for (let lx = 0; lx < size; lx++) {
+        const v = sampleTileAxes(noise, cx * CHUNK_SIZE + lx * step, cy * CHUNK_SIZE + ly * step);
+        const i = ly * size + lx;
+        ids[i] = classifyAxesId(v, list);
+        for (const a of AXES) axes[a][i] = quantize(v[a]);
+      }
+    }
+  }
+
+  // River water (copied: the rivers module keeps its own cached raster)
+  const water = noise.rivers ? noise.rivers.chunkRaster(cx, cy, step).order.slice() : new Uint8Array(n);
+
+  return { cx, cy, size, step, ids, axes, water };
+}
+
+/**
+ * Biome ids for a size x size grid of samples taken every `step` tiles from
+ * (tx0, ty0), for zoomed-out overviews such as the atlas. Unlike chunk data the grid
+ * is not tied to chunk bounds; river water and corridors are left out (see
+ * withRivers `base`), since tracing rivers at this scale would dominate the cost.
+ * @returns {{tx0:number,ty0:number,size:number,step:number,ids:Uint16Array}}
+ */
+export function generateOverviewIds(tx0, ty0, size, step, noise, list = getActiveBiomes()) {
+  const sampler = noise.base || noise;
+  const n = size * size;
+  const ids = new Uint16Array(n);
+  if (typeof sampler.sampleAxesGrid === 'function') {
+    const grid = sampler.sampleAxesGrid(tx0, ty0, size, size, step);
+    const v = {};
+    for (let i = 0; i < n; i++) {
+      for (const a of AXES) v[a] = grid[a][i];
+      ids[i] = classifyAxesId(v, list);
+    }
+  } else {
+    for (let j = 0; j < size; j++) {
+      for (let i = 0; i < size; i++) {
+        ids[j * size + i] = classifyAxesId(sampleTileAxes(sampler, tx0 + i * step, ty0 + j * step), list);
+      }
+    }
+  }
+  return { tx0, ty0, size, step, ids };
+}
+
+/**
+ * Read one tile from chunk data (local coords). Axes are dequantized to 0..1.
+ * @returns {{id:number, water:number, axes:{temp:number,moist:number,elev:number,rough:number,sal:number,fert:number,fire:number}}}
+ */
+export function readTile(data, lx, ly) {
+  const i = ly * data.size + lx;
+  const axes = {};
+  for (const a of AXES) axes[a] = dequantize(data.axes[a][i]);
+  return { id: data.ids[i], water: data.water[i], axes };
+}
+
+/**
+ * Approximate memory held by chunk data, in bytes.
+ */
+export function chunkDataBytes(data) {
+  let bytes = data.ids.byteLength + data.water.byteLength;
+  for (const a of AXES) bytes += data.axes[a].byteLength;
+  return bytes;
+}
+
+/**
+ * ArrayBuffers to list as transferables when posting chunk data between threads.
+ */
+export function chunkDataTransferables(data) {
+  return [data.ids.buffer, data.water.buffer, ...AXES.map(a => data.axes[a].buffer)];
+}
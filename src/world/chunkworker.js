@@ -0,0 +1,64 @@
+/**
+ * Chunk generation worker (module worker, spawned by ChunkWorkerPool).
+ *
+ * Messages in:
+ *  - { type: 'init', seeds: { elevSeed, moistSeed, riverSeed }, biomes }
+ *  - { type: 'biomes', biomes }
+ *  - { type: 'generate', id, cx, cy, step }
+ *  - { type: 'overview', id, tx0, ty0, size, step }  (biome ids only, see generateOverviewIds)
+ *  - { type: 'site', id, rx, ry, seed }                (a region's settlement, see placeSite)
+ * Messages out:
+ *  - { type: 'ready' }                  (after init)
+ *  - { type: 'chunk', id, data }        (chunk data buffers are transferred)
+ *  - { type: 'overview', id, data }
+ *  - { type: 'site', id, data }         (the site, or null)
+ *  - { type: 'error', id, message }
+ */
+import { createWorldNoise } from './generator.js';
+import { setActiveBiomes } from './biomes.js';
+import { generateChunkData, generateOverviewIds, chunkDataTransferables } from './chunkdata.js';
+import { placeSite } from './settlements.js';
+
+let noise = null;
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  switch (msg.type) {
+    case 'init':
+      noise = createWorldNoise(msg.seeds);
+      setActiveBiomes(msg.biomes);
+      self.postMessage({ type: 'ready' });
+      break;
+    case 'biomes':
+      setActiveBiomes(msg.biomes);
+      break;
+    case 'generate':
+      try {
+        if (!noise) throw new Error('chunk worker used before init');
+        const data = generateChunkData(msg.cx, msg.cy, noise, undefined, msg.step || 1);
+        self.postMessage({ type: 'chunk', id: msg.id, data }, chunkDataTransferables(data));
+      } catch (err) {
+        self.postMessage({ type: 'error', id: msg.id, message: err && err.message ? err.message : String(err) });
+      }
+      break;
+    case 'overview':
+      try {
+        if (!noise) throw new Error('chunk worker used before init');
+        const data = generateOverviewIds(msg.tx0, msg.ty0, msg.size, msg.step, noise);
+        self.postMessage({ type: 'overview', id: msg.id, data }, [data.ids.buffer]);
+      } catch (err) {
+        self.postMessage({ type: 'error', id: msg.id, message: err && err.message ? err.message : String(err) });
+      }
+      break;
+    case 'site':
+      try {
+        if (!noise) throw new Error('chunk worker used before init');
+        self.postMessage({ type: 'site', id: msg.id, data: placeSite(noise, msg.seed, msg.rx, msg.ry) });
+      } catch (err) {
+        self.postMessage({ type: 'error', id: msg.id, message: err && err.message ? err.message : String(err) });
+      }
+      break;
+    default:
+      break;
+  }
+};
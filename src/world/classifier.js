@@ -0,0 +1,308 @@
+/**
+ * Nearest-prototype search for biome classification.
+ *
+ * classifyBrute() is the reference: a linear scan with biomeDist2(). createClassifier()
+ * packs a (list, weights) pair into flat arrays under a k-d tree of candidate cells and
+ * returns exactly the same prototype (ties included) much faster. getClassifier() caches one per list; a new
+ * list (CSV reload) or a change to the weight values rebuilds it on next use.
+ */
+
+export const CLASSIFY_AXES = ['temp', 'moist', 'elev', 'rough', 'sal', 'fert', 'fire'];
+
+// ---------------------------- Distance ----------------------------
+
+// Squared weighted distance; bw (optional) scales the global weights per axis.
+function weightedDist2(a, b, w, bw) {
+  if (bw) {
+    let d = 0;
+    d += w.temp  * (bw.temp  ?? 1) * (a.temp  - b.temp)  * (a.temp  - b.temp);
+    d += w.moist * (bw.moist ?? 1) * (a.moist - b.moist) * (a.moist - b.moist);
+    d += w.elev  * (bw.elev  ?? 1) * (a.elev  - b.elev)  * (a.elev  - b.elev);
+    d += w.rough * (bw.rough ?? 1) * (a.rough - b.rough) * (a.rough - b.rough);
+    d += w.sal   * (bw.sal   ?? 1) * (a.sal   - b.sal)   * (a.sal   - b.sal);
+    d += w.fert  * (bw.fert  ?? 1) * (a.fert  - b.fert)  * (a.fert  - b.fert);
+    d += w.fire  * (bw.fire  ?? 1) * (a.fire  - b.fire)  * (a.fire  - b.fire);
+    return d;
+  }
+  let d = 0;
+  d += w.temp  * (a.temp  - b.temp)  * (a.temp  - b.temp);
+  d += w.moist * (a.moist - b.moist) * (a.moist - b.moist);
+  d += w.elev  * (a.elev  - b.elev)  * (a.elev  - b.elev);
+  d += w.rough * (a.rough - b.rough) * (a.rough - b.rough);
+  d += w.sal   * (a.sal   - b.sal)   * (a.sal   - b.sal);
+  d += w.fert  * (a.fert  - b.fert)  * (a.fert  - b.fert);
+  d += w.fire  * (a.fire  - b.fire)  * (a.fire  - b.fire);
+  return d;
+}
+
+/**
+ * Distance from axes to a prototype, honoring its optional weights and radius.
+ */
+export function biomeDist2(a, b, w) {
+  const d = weightedDist2(a, b, w, b.weights);
+  return b.radius && b.radius !== 1 ? d / (b.radius * b.radius) : d;
+}
+
+/**
+ * Reference linear scan: index of the nearest prototype (first one on ties).
+ * @returns {{index:number, dist:number}}
+ */
+export function classifyBrute(axes, list, weights) {
+  let index = -1;
+  let dist = Infinity;
+  for (let i = 0; i < list.length; i++) {
+    const d = biomeDist2(axes, list[i], weights);
+    if (d < dist) {
+      dist = d;
+      index = i;
+    }
+  }
+  return { index, dist };
+}
+
+// ---------------------------- Candidate tree ----------------------------
+
+const LEAF_CANDIDATES = 2; // a cell with more candidates than this is split when a query lands in it ...
+const MAX_DEPTH = 40;      // ... unless it is this deep ...
+const MAX_NODES = 1 << 16; // ... or the tree has this many nodes
+// Lists this short are scored in full: walking the tree costs more than it saves
+const SCAN_MAX = 64;
+// Bounds are padded by a hair before a prototype is ruled out, so rounding can never drop a tie
+const SLACK = 1 + 1e-9;
+
+/**
+ * Build a classifier for a prototype list and weight set.
+ *
+ * Prototype axes and their effective per-axis weights (global x per-biome) are packed
+ * into flat typed arrays, and the axes cube [0, 1]^7 is covered by a k-d tree of cells.
+ * Each cell keeps only the prototypes that can be nearest somewhere inside it: one is
+ * dropped when even its closest approach to the cell is farther than the farthest
+ * point of the cell from some other prototype, and a child cell starts from its
+ * parent's candidates. The tree is refined where queries land: a query that reaches a
+ * cell with more than LEAF_CANDIDATES halves it along its widest weighted side (up to
+ * MAX_DEPTH and MAX_NODES), so the parts of the cube the world actually samples end up
+ * finely cut. The query then scores the few candidates of its cell, starting from the
+ * previous answer (neighbouring tiles usually share a biome) and abandoning a candidate
+ * as soon as its partial sum exceeds the best so far. Axes outside [0, 1] fall back to
+ * scoring every prototype, as do lists of SCAN_MAX or fewer.
+ *
+ * @param {Array} list biome prototypes
+ * @param {Record<string, number>} weights per-axis weights (CLASSIFY_WEIGHTS shape)
+ * @returns {{list:Array, weights:Record<string,number>, stats:()=>{nodes:number, depth:number}, nearest:(axes:any)=>{index:number,dist:number}, classifyId:(axes:any)=>number}}
+ */
+export function createClassifier(list, weights) {
+  // Snapshot the weights: later edits to the source object must trigger a rebuild
+  const w = {};
+  for (const k of CLASSIFY_AXES) w[k] = weights[k];
+  const SIDE = CLASSIFY_AXES.map((k) => Math.sqrt(w[k])); // weighted length of a unit side
+
+  const n = list.length;
+  const P = new Float64Array(n * 7);
+  const W = new Float64Array(n * 7);
+  const R2 = new Float64Array(n);
+  // R2 padded by a hair for the early-exit test, so rounding can never prune a tie
+  const LIM = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const b = list[i];
+    const bw = b.weights;
+    for (let k = 0; k < 7; k++) {
+      const key = CLASSIFY_AXES[k];
+      P[i * 7 + k] = b[key];
+      // Same product biomeDist2 forms, so distances match the linear scan bit for bit
+      W[i * 7 + k] = bw ? w[key] * (bw[key] ?? 1) : w[key];
+    }
+    R2[i] = b.radius && b.radius !== 1 ? b.radius * b.radius : 1;
+    LIM[i] = R2[i] === 1 ? 1 : R2[i] * (1 + 1e-12);
+  }
+
+  // Prototypes of `from` that can be nearest somewhere in the box lo..hi
+  const near = new Float64Array(n);
+  function filter(from, lo, hi) {
+    let bound = Infinity;
+    for (let j = 0; j < from.length; j++) {
+      const i = from[j];
+      const o = i * 7;
+      let dn = 0;
+      let df = 0;
+      for (let k = 0; k < 7; k++) {
+        const p = P[o + k];
+        const a = lo[k] - p;
+        const b = p - hi[k];
+        const gap = a > 0 ? a : b > 0 ? b : 0;
+        const far = a < b ? -a : -b;
+        dn += W[o + k] * gap * gap;
+        df += W[o + k] * far * far;
+      }
+      near[j] = dn / R2[i];
+      df /= R2[i];
+      if (df < bound) bound = df;
+    }
+    bound *= SLACK;
+    let count = 0;
+    for (let j = 0; j < from.length; j++) if (near[j] <= bound) count++;
+    if (count === from.length) return from;
+    const out = new Uint16Array(count);
+    for (let j = 0, c = 0; j < from.length; j++) if (near[j] <= bound) out[c++] = from[j];
+    return out;
+  }
+
+  // Nodes: an inner node splits AXIS at SPLIT into LEFT (below) and LEFT + 1; a leaf
+  // (LEFT = -1) holds its candidates in CAND
+  const AXIS = [];
+  const SPLIT = [];
+  const LEFT = [];
+  const CAND = [];
+  let maxDepth = 0;
+  function addNode(cand) {
+    AXIS.push(0);
+    SPLIT.push(0);
+    LEFT.push(-1);
+    CAND.push(cand);
+    return AXIS.length - 1;
+  }
+  const lo = new Float64Array(7);
+  const hi = new Float64Array(7);
+  lo.fill(0);
+  hi.fill(1);
+  const all = Uint16Array.from({ length: n }, (_, i) => i);
+  const indexed = n > SCAN_MAX;
+  if (indexed) addNode(filter(all, lo, hi));
+
+  // Leaf cell holding the query point q (a length-7 array in [0, 1]), refining on the way
+  function leafFor(q) {
+    lo.fill(0);
+    hi.fill(1);
+    let id = 0;
+    for (let depth = 0; ; depth++) {
+      let left = LEFT[id];
+      if (left < 0) {
+        const cand = CAND[id];
+        if (cand.length <= LEAF_CANDIDATES || depth >= MAX_DEPTH || AXIS.length + 2 > MAX_NODES) return cand;
+        // Halve the widest weighted side
+        let axis = 0;
+        for (let k = 1; k < 7; k++) {
+          if ((hi[k] - lo[k]) * SIDE[k] > (hi[axis] - lo[axis]) * SIDE[axis]) axis = k;
+        }
+        const mid = (lo[axis] + hi[axis]) / 2;
+        const top = hi[axis];
+        hi[axis] = mid;
+        left = addNode(filter(cand, lo, hi));
+        hi[axis] = top;
+        const bottom = lo[axis];
+        lo[axis] = mid;
+        addNode(filter(cand, lo, hi));
+        lo[axis] = bottom;
+        AXIS[id] = axis;
+        SPLIT[id] = mid;
+        LEFT[id] = left;
+        CAND[id] = null;
+        if (depth + 1 > maxDepth) maxDepth = depth + 1;
+      }
+      const axis = AXIS[id];
+      if (q[axis] < SPLIT[id]) {
+        hi[axis] = SPLIT[id];
+        id = left;
+      } else {
+        lo[axis] = SPLIT[id];
+        id = left + 1;
+      }
+    }
+  }
+
+  let last = 0;
+  let bestI = -1;
+  let bestD = Infinity;
+  const Q = new Float64Array(7);
+
+  // Full distance for prototype i (summed in biomeDist2's axis order)
+  function dist(i, t, m, e, r, s, f, fi) {
+    const o = i * 7;
+    let d = 0;
+    let x;
+    x = t  - P[o];     d += W[o]     * x * x;
+    x = m  - P[o + 1]; d += W[o + 1] * x * x;
+    x = e  - P[o + 2]; d += W[o + 2] * x * x;
+    x = r  - P[o + 3]; d += W[o + 3] * x * x;
+    x = s  - P[o + 4]; d += W[o + 4] * x * x;
+    x = f  - P[o + 5]; d += W[o + 5] * x * x;
+    x = fi - P[o + 6]; d += W[o + 6] * x * x;
+    return R2[i] !== 1 ? d / R2[i] : d;
+  }
+
+  function search(q) {
+    bestI = -1;
+    bestD = Infinity;
+    if (!n) return;
+    const t = q.temp, m = q.moist, e = q.elev, r = q.rough, s = q.sal, f = q.fert, fi = q.fire;
+    bestI = last;
+    bestD = dist(last, t, m, e, r, s, f, fi);
+
+    Q[0] = t; Q[1] = m; Q[2] = e; Q[3] = r; Q[4] = s; Q[5] = f; Q[6] = fi;
+    let inside = indexed;
+    for (let k = 0; k < 7; k++) {
+      if (!(Q[k] >= 0 && Q[k] <= 1)) inside = false;
+    }
+    const cand = inside ? leafFor(Q) : all;
+    for (let j = 0; j < cand.length; j++) {
+      const i = cand[j];
+      if (i === last) continue;
+      // Compare partial sums against the bound scaled back by this prototype's radius
+      const lim = bestD * LIM[i];
+      const o = i * 7;
+      let d = 0;
+      let x;
+      x = t  - P[o];     d += W[o]     * x * x; if (d > lim) continue;
+      x = m  - P[o + 1]; d += W[o + 1] * x * x; if (d > lim) continue;
+      x = e  - P[o + 2]; d += W[o + 2] * x * x; if (d > lim) continue;
+      x = r  - P[o + 3]; d += W[o + 3] * x * x; if (d > lim) continue;
+      x = s  - P[o + 4]; d += W[o + 4] * x * x; if (d > lim) continue;
+      x = f  - P[o + 5]; d += W[o + 5] * x * x; if (d > lim) continue;
+      x = fi - P[o + 6]; d += W[o + 6] * x * x;
+      if (R2[i] !== 1) d /= R2[i];
+      // Ties go to the earlier prototype, as in the linear scan
+      if (d < bestD || (d === bestD && i < bestI)) {
+        bestD = d;
+        bestI = i;
+      }
+    }
+    last = bestI;
+  }
+
+  function nearest(axes) {
+    search(axes);
+    return { index: bestI, dist: bestD };
+  }
+
+  function classifyId(axes) {
+    search(axes);
+    return bestI >= 0 ? list[bestI].id : -1;
+  }
+
+  function stats() {
+    return { nodes: AXIS.length, depth: maxDepth };
+  }
+
+  return { list, weights: w, stats, nearest, classifyId };
+}
+
+// list -> classifier (weights are re-checked on every lookup)
+const CACHE = new WeakMap();
+
+function sameWeights(a, b) {
+  for (const k of CLASSIFY_AXES) {
+    if (a[k] !== b[k]) return false;
+  }
+  return true;
+}
+
+/**
+ * Cached classifier for a list; rebuilt when the list or the weight values change.
+ */
+export function getClassifier(list, weights) {
+  let c = CACHE.get(list);
+  if (!c || !sameWeights(c.weights, weights)) {
+    c = createClassifier(list, weights);
+    CACHE.set(list, c);
+  }
+  return c;
+}
@@ -0,0 +1,147 @@
+/**
+ * Tile collision for axis-aligned boxes in world pixel space.
+ *
+ * Boxes are centered on (x, y) with half extent `half` and cover [x-half, x+half)
+ * on each axis. Movement is resolved one axis at a time (x, then y), so a box pushed
+ * diagonally into a wall slides along it. Only tiles the box newly enters are tested;
+ * a box that already overlaps a blocked tile (after a biome reload, say) can still
+ * walk out of it.
+ */
+import { TILE_SIZE } from '../config.js';
+
+// Inclusive tile range covered by [lo, hi)
+function tileSpan(lo, hi) {
+  return [Math.floor(lo / TILE_SIZE), Math.ceil(hi / TILE_SIZE) - 1];
+}
+
+function columnBlocked(tx, ty0, ty1, isBlocked) {
+  for (let ty = ty0; ty <= ty1; ty++) {
+    if (isBlocked(tx, ty)) return true;
+  }
+  return false;
+}
+
+function rowBlocked(ty, tx0, tx1, isBlocked) {
+  for (let tx = tx0; tx <= tx1; tx++) {
+    if (isBlocked(tx, ty)) return true;
+  }
+  return false;
+}
+
+/**
+ * Move a box by (dx, dy), stopping at blocked tiles and sliding along them.
+ * @param {number} x box center x (px)
+ * @param {number} y box center y (px)
+ * @param {number} dx
+ * @param {number} dy
+ * @param {number} half half of the box size (px)
+ * @param {(tx:number, ty:number) => boolean} isBlocked
+ * @returns {{x:number, y:number, hitX:boolean, hitY:boolean}}
+ */
+export function resolveMove(x, y, dx, dy, half, isBlocked) {
+  let hitX = false;
+  let hitY = false;
+
+  if (dx !== 0) {
+    const [ty0, ty1] = tileSpan(y - half, y + half);
+    if (dx > 0) {
+      const from = tileSpan(x - half, x + half)[1];
+      const to = tileSpan(x + dx - half, x + dx + half)[1];
+      for (let tx = from + 1; tx <= to; tx++) {
+        if (columnBlocked(tx, ty0, ty1, isBlocked)) {
+          dx = tx * TILE_SIZE - half - x;
+          hitX = true;
+          break;
+        }
+      }
+    } else {
+      const from = tileSpan(x - half, x + half)[0];
+      const to = tileSpan(x + dx - half, x + dx + half)[0];
+      for (let tx = from - 1; tx >= to; tx--) {
+        if (columnBlocked(tx, ty0, ty1, isBlocked)) {
+          dx = (tx + 1) * TILE_SIZE + half - x;
+          hitX = true;
+          break;
+        }
+      }
+    }
+    x += dx;
+  }
+
+  if (dy !== 0) {
+    const [tx0, tx1] = tileSpan(x - half, x + half);
+    if (dy > 0) {
+      const from = tileSpan(y - half, y + half)[1];
+      const to = tileSpan(y + dy - half, y + dy + half)[1];
+      for (let ty = from + 1; ty <= to; ty++) {
+        if (rowBlocked(ty, tx0, tx1, isBlocked)) {
+          dy = ty * TILE_SIZE - half - y;
+          hitY = true;
+          break;
+        }
+      }
+    } else {
+      const from = tileSpan(y - half, y + half)[0];
+      const to = tileSpan(y + dy - half, y + dy + half)[0];
+      for (let ty = from - 1; ty >= to; ty--) {
+        if (rowBlocked(ty, tx0, tx1, isBlocked)) {
+          dy = (ty + 1) * TILE_SIZE + half - y;
+          hitY = true;
+          break;
+        }
+      }
+    }
+    y += dy;
+  }
+
+  return { x, y, hitX, hitY };
+}
+
+/**
+ * Whether a box overlaps any blocked tile.
+ */
+export function boxBlocked(x, y, half, isBlocked) {
+  const [tx0, tx1] = tileSpan(x - half, x + half);
+  const [ty0, ty1] = tileSpan(y - half, y + half);
+  for (let ty = ty0; ty <= ty1; ty++) {
+    if (rowBlocked(ty, tx0, tx1, isBlocked)) return true;
+  }
+  return false;
+}
+
+// Closest unblocked tile on the square ring of radius r around (tx, ty), if nearer than best.d
+function scanRing(tx, ty, r, isBlocked, best) {
+  for (let oy = -r; oy <= r; oy++) {
+    const edge = oy === -r || oy === r;
+    for (let ox = -r; ox <= r; ox += edge ? 1 : 2 * r) {
+      const d = ox * ox + oy * oy;
+      if (d < best.d && !isBlocked(tx + ox, ty + oy)) {
+        best.d = d;
+        best.tx = tx + ox;
+        best.ty = ty + oy;
+      }
+    }
+  }
+}
+
+/**
+ * Nearest passable tile to (tx, ty) by Euclidean distance, searching square rings outward.
+ * @param {number} tx
+ * @param {number} ty
+ * @param {(tx:number, ty:number) => boolean} isBlocked
+ * @param {number} [maxRadius] rings to search (tiles)
+ * @returns {{tx:number, ty:number}|null}
+ */
+export function findNearestPassable(tx, ty, isBlocked, maxRadius = 64) {
+  if (!isBlocked(tx, ty)) return { tx, ty };
+  const best = { tx, ty, d: Infinity };
+  for (let r = 1; r <= maxRadius; r++) {
+    scanRing(tx, ty, r, isBlocked, best);
+    if (best.d === Infinity) continue;
+    // Outer rings can still hold a closer tile than this ring's corners
+    const reach = Math.min(Math.ceil(Math.sqrt(best.d)), maxRadius);
+    for (let r2 = r + 1; r2 <= reach; r2++) scanRing(tx, ty, r2, isBlocked, best);
+    return { tx: best.tx, ty: best.ty };
+  }
+  return null;
+}
@@ -0,0 +1,124 @@
+/**
+ * Decoration scatter: trees, rocks and plants placed over the tiles of a chunk.
+ *
+ * Props come from a jittered grid in world tile space: every DECOR.CELL_TILES cell
+ * holds at most one prop, at a point hashed from the cell's world coordinates. Cells
+ * divide CHUNK_SIZE, so each point (and the tile it stands on) belongs to exactly one
+ * chunk and is decided from that chunk's tile data alone; neighbouring chunks agree
+ * at their borders without seeing each other. Which prop (if any) comes from the
+ * tile's biome and axes: pine density follows `fire`, hardwoods want `moist` without
+ * fire, boulders follow `rough`, cattails need high `moist`, and so on.
+ * DOM-free, like chunkdata.js.
+ */
+import { CHUNK_SIZE, DECOR, TILE_SIZE } from '../config.js';
+import { hash2i, toUint32 } from '../utils/prng.js';
+import { dequantize } from './chunkdata.js';
+import { isPassable } from './terrain.js';
+
+/** Prop kinds: size range (world px) and whether they block their tile. */
+export const PROP_TYPES = {
+  pine: { size: [12, 18], blocks: true },
+  oak: { size: [14, 22], blocks: true },
+  boulder: { size: [6, 13], blocks: true },
+  shrub: { size: [6, 10], blocks: false },
+  cattail: { size: [8, 12], blocks: false },
+  pitcher: { size: [6, 9], blocks: false },
+  grass: { size: [6, 10], blocks: false },
+  seaoats: { size: [8, 12], blocks: false },
+};
+
+// Per-biome weights (biome ids from biomes.csv); missing ids use the fallback
+const PINE = { 5: 1, 6: 0.9, 4: 0.5, 1: 0.4, 14: 0.4, 2: 0.3, 3: 0.3 };
+const OAK = { 9: 0.9, 1: 0.8, 4: 0.7, 14: 0.6, 3: 0.5, 2: 0.4, 10: 0.2, 8: 0.1 };
+const CATTAIL = { 7: 1, 11: 1, 9: 0.8, 12: 0.8, 10: 0.3 };
+const SHRUB = { 14: 0.5, 6: 0.3, 5: 0.15, 13: 0.05 };
+const GRASS = { 8: 0.5, 5: 0.3, 6: 0.2, 13: 0 };
+
+// Estimated heap size of one prop object (five fields and the object header)
+const PROP_BYTES = 64;
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+/**
+ * Chance of each prop kind for a tile, in the order they are rolled.
+ * @param {number} id biome id
+ * @param {{moist:number, rough:number, fert:number, fire:number}} a axes (0..1)
+ * @returns {Array<[string, number]>}
+ */
+function propChances(id, a) {
+  return [
+    ['boulder', clamp01((a.rough - 0.2) * 4) * 0.5],
+    ['pine', (PINE[id] || 0) * (0.1 + 0.5 * a.fire)],
+    ['oak', (OAK[id] || 0) * (0.1 + 0.4 * a.moist * (1 - a.fire))],
+    ['cattail', a.moist > 0.65 ? (CATTAIL[id] ?? 0.2) * (a.moist - 0.65) * 2 : 0],
+    ['pitcher', id === 7 ? 0.3 : 0],
+    ['shrub', (SHRUB[id] || 0) * (0.3 + 0.7 * a.fert)],
+    ['seaoats', id === 13 ? 0.5 : id === 12 ? 0.1 : 0],
+    ['grass', (GRASS[id] ?? 0.1) * a.fert],
+  ];
+}
+
+/**
+ * Props of a chunk (full-resolution tile data only).
+ * @param {{cx:number, cy:number, ids:Uint16Array, water:Uint8Array, axes:Record<string, Uint8Array>}} data
+ * @param {number} seed
+ * @returns {{list:Array<{type:string, x:number, y:number, size:number, tone:number}>, blocked:Uint8Array}}
+ *   list: props with world px centers; blocked: 1 where a blocking prop stands (per tile)
+ */
+export function generateProps(data, seed) {
+  const cell = DECOR.CELL_TILES;
+  const list = [];
+  const blocked = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+  const seed2 = toUint32(seed ^ 0x9E3779B9);
+  const gx0 = (data.cx * CHUNK_SIZE) / cell;
+  const gy0 = (data.cy * CHUNK_SIZE) / cell;
+  const per = CHUNK_SIZE / cell;
+  for (let gy = gy0; gy < gy0 + per; gy++) {
+    for (let gx = gx0; gx < gx0 + per; gx++) {
+      const h = hash2i(gx, gy, seed);
+      // Point within the cell (tiles), then the tile it lands on
+      const px = (gx + (h & 0xff) / 256) * cell;
+      const py = (gy + ((h >>> 8) & 0xff) / 256) * cell;
+      const lx = Math.floor(px) - data.cx * CHUNK_SIZE;
+      const ly = Math.floor(py) - data.cy * CHUNK_SIZE;
+      const i = ly * CHUNK_SIZE + lx;
+      const id = data.ids[i];
+      if (data.water[i] || !isPassable(id, 0)) continue;
+      const axes = {
+        moist: dequantize(data.axes.moist[i]),
+        rough: dequantize(data.axes.rough[i]),
+        fert: dequantize(data.axes.fert[i]),
+        fire: dequantize(data.axes.fire[i]),
+      };
+      let roll = ((h >>> 16) & 0xffff) / 65536;
+      let type = null;
+      for (const [kind, p] of propChances(id, axes)) {
+        if (roll < p) {
+          type = kind;
+          break;
+        }
+        roll -= p;
+      }
+      if (!type) continue;
+      const h2 = hash2i(gx, gy, seed2);
+      const [s0, s1] = PROP_TYPES[type].size;
+      list.push({
+        type,
+        x: px * TILE_SIZE,
+        y: py * TILE_SIZE,
+        size: s0 + (s1 - s0) * ((h2 & 0xffff) / 65536),
+        tone: (h2 >>> 16) / 65536,
+      });
+      if (PROP_TYPES[type].blocks) blocked[i] = 1;
+    }
+  }
+  return { list, blocked };
+}
+
+/**
+ * Estimated memory of a chunk's props, counted in the chunk cache budget.
+ * @param {{list:Array, blocked:Uint8Array}} props
+ */
+export function propsBytes(props) {
+  return props.blocked.byteLength + props.list.length * PROP_BYTES;
+}
@@ -0,0 +1,242 @@
+import { CHUNK_SIZE, MINIMAP } from '../config.js';
+import { chunkKey } from './chunk.js';
+
+/**
+ * Explored-area mask (fog of war), stored per chunk.
+ *
+ * Each chunk holds a bitset with one bit per cell of CELL_TILES x CELL_TILES tiles,
+ * so a fully explored 64-tile chunk at 4-tile cells costs 32 bytes. Chunks the player
+ * never came near have no entry. toJSON()/load() round-trip the mask (bitsets as
+ * base64 strings keyed by chunk) for persistence; loadExplored()/saveExplored() keep
+ * it in localStorage between sessions, for the MINIMAP.SAVED_WORLDS most recently
+ * used seeds.
+ */
+export class ExploredMap {
+  /**
+   * @param {number} [cellTiles] tiles per mask cell side (must divide CHUNK_SIZE)
+   */
+  constructor(cellTiles = MINIMAP.CELL_TILES) {
+    if (!(cellTiles > 0) || CHUNK_SIZE % cellTiles !== 0) {
+      throw new Error(`Explored cell size ${cellTiles} must divide CHUNK_SIZE (${CHUNK_SIZE})`);
+    }
+    this.cell = cellTiles;
+    this.cellsPerChunk = CHUNK_SIZE / cellTiles;
+    /** @type {Map<string, {bits:Uint8Array, version:number}>} */
+    this.chunks = new Map();
+    this.dirty = false; // changed since the last save
+  }
+
+  _entry(cx, cy, create) {
+    const key = chunkKey(cx, cy);
+    let entry = this.chunks.get(key);
+    if (!entry && create) {
+      entry = { bits: new Uint8Array(Math.ceil(this.cellsPerChunk * this.cellsPerChunk / 8)), version: 0 };
+      this.chunks.set(key, entry);
+    }
+    return entry || null;
+  }
+
+  /**
+   * Mark the cells whose centers lie within `radius` tiles of a tile as explored.
+   * @param {number} tx world tile x
+   * @param {number} ty world tile y
+   * @param {number} radius tiles
+   * @returns {number} cells newly explored
+   */
+  reveal(tx, ty, radius) {
+    const c = this.cell;
+    const n = this.cellsPerChunk;
+    const r2 = radius * radius;
+    const gx0 = Math.floor((tx - radius) / c);
+    const gx1 = Math.floor((tx + radius) / c);
+    const gy0 = Math.floor((ty - radius) / c);
+    const gy1 = Math.floor((ty + radius) / c);
+    let added = 0;
+    let entry = null;
+    let ecx = NaN;
+    let ecy = NaN;
+    for (let gy = gy0; gy <= gy1; gy++) {
+      const dy = (gy + 0.5) * c - ty;
+      for (let gx = gx0; gx <= gx1; gx++) {
+        const dx = (gx + 0.5) * c - tx;
+        if (dx * dx + dy * dy > r2) continue;
+        const cx = Math.floor(gx / n);
+        const cy = Math.floor(gy / n);
+        if (cx !== ecx || cy !== ecy) {
+          entry = this._entry(cx, cy, true);
+          ecx = cx;
+          ecy = cy;
+        }
+        const i = (gy - cy * n) * n + (gx - cx * n);
+        const bit = 1 << (i & 7);
+        if (entry.bits[i >> 3] & bit) continue;
+        entry.bits[i >> 3] |= bit;
+        entry.version++;
+        added++;
+      }
+    }
+    if (added) this.dirty = true;
+    return added;
+  }
+
+  /**
+   * Whether the cell containing a tile has been explored.
+   */
+  isExplored(tx, ty) {
+    const n = this.cellsPerChunk;
+    const gx = Math.floor(tx / this.cell);
+    const gy = Math.floor(ty / this.cell);
+    const cx = Math.floor(gx / n);
+    const cy = Math.floor(gy / n);
+    const entry = this._entry(cx, cy, false);
+    if (!entry) return false;
+    const i = (gy - cy * n) * n + (gx - cx * n);
+    return (entry.bits[i >> 3] & (1 << (i & 7))) !== 0;
+  }
+
+  /**
+   * Mask of a chunk: bit i (row-major over cellsPerChunk^2 cells) is set when explored.
+   * `version` changes whenever bits are added. Null if nothing there was explored.
+   * @returns {{bits:Uint8Array, version:number}|null}
+   */
+  getChunk(cx, cy) {
+    return this._entry(cx, cy, false);
+  }
+
+  /** Number of explored cells (all chunks). */
+  countCells() {
+    let count = 0;
+    for (const { bits } of this.chunks.values()) {
+      for (let i = 0; i < bits.length; i++) {
+        let b = bits[i];
+        while (b) {
+          b &= b - 1;
+          count++;
+        }
+      }
+    }
+    return count;
+  }
+
+  /** Forget everything explored. */
+  clear() {
+    this.chunks.clear();
+    this.dirty = true;
+  }
+
+  /**
+   * Serializable form: { cell, chunks: { "cx,cy": base64 bitset } }.
+   */
+  toJSON() {
+    const chunks = {};
+    for (const [key, { bits }] of this.chunks) {
+      let s = '';
+      for (let i = 0; i < bits.length; i++) s += String.fromCharCode(bits[i]);
+      chunks[key] = btoa(s);
+    }
+    return { cell: this.cell, chunks };
+  }
+
+  /**
+   * Replace the mask with one produced by toJSON(). Entries that do not match this
+   * map's cell size are rejected.
+   * @param {{cell:number, chunks:Record<string,string>}} obj
+   * @returns {boolean} whether it was loaded
+   */
+  load(obj) {
+    if (!obj || obj.cell !== this.cell || typeof obj.chunks !== 'object') return false;
+    const size = Math.ceil(this.cellsPerChunk * this.cellsPerChunk / 8);
+    const next = new Map();
+    for (const [key, b64] of Object.entries(obj.chunks)) {
+      if (!/^-?\d+,-?\d+$/.test(key)) return false;
+      const s = atob(String(b64));
+      if (s.length !== size) return false;
+      const bits = new Uint8Array(size);
+      for (let i = 0; i < size; i++) bits[i] = s.charCodeAt(i);
+      next.set(key, { bits, version: 1 });
+    }
+    this.chunks = next;
+    this.dirty = false;
+    return true;
+  }
+}
+
+// Keys of the saved masks, most recently used first
+const INDEX_KEY = 'tileworld.exploredIndex';
+const KEY_PREFIX = 'tileworld.explored.';
+
+/**
+ * Storage key for a world's explored mask.
+ * @param {string|number} seed seed label shown in the HUD
+ */
+export function exploredStorageKey(seed) {
+  return `${KEY_PREFIX}${seed}`;
+}
+
+// Saved mask keys, most recently used first. Masks saved before the index existed are
+// picked up from storage as the oldest.
+function readIndex() {
+  let keys = [];
+  try {
+    const saved = JSON.parse(localStorage.getItem(INDEX_KEY) || 'null');
+    if (Array.isArray(saved)) keys = saved.filter((k) => typeof k === 'string' && k.startsWith(KEY_PREFIX));
+  } catch {
+    // corrupt index: rebuild it from the keys in storage
+  }
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (k && k.startsWith(KEY_PREFIX) && !keys.includes(k)) keys.push(k);
+  }
+  return keys;
+}
+
+// Move `key` to the front of the index and drop the masks past MINIMAP.SAVED_WORLDS
+function touch(key) {
+  const keys = [key, ...readIndex().filter((k) => k !== key)];
+  for (const k of keys.splice(Math.max(1, MINIMAP.SAVED_WORLDS))) localStorage.removeItem(k);
+  localStorage.setItem(INDEX_KEY, JSON.stringify(keys));
+  return keys;
+}
+
+/**
+ * Restore a mask saved by saveExplored(). Missing, corrupt or unavailable storage
+ * leaves the map empty. Marks the seed as recently used.
+ * @returns {boolean} whether a saved mask was loaded
+ */
+export function loadExplored(map, key) {
+  try {
+    const text = localStorage.getItem(key);
+    if (!text) return false;
+    touch(key);
+    return map.load(JSON.parse(text));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Save a mask to localStorage and clear its dirty flag. Only the masks of the
+ * MINIMAP.SAVED_WORLDS most recently used seeds are kept; when storage is full, older
+ * masks are dropped until this one fits.
+ * @returns {boolean} false when storage is unavailable or full
+ */
+export function saveExplored(map, key) {
+  try {
+    const text = JSON.stringify(map);
+    const keys = touch(key);
+    for (;;) {
+      try {
+        localStorage.setItem(key, text);
+        break;
+      } catch (err) {
+        if (keys.length < 2) throw err;
+        localStorage.removeItem(keys.pop());
+        localStorage.setItem(INDEX_KEY, JSON.stringify(keys));
+      }
+    }
+    map.dirty = false;
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * World sampler composition shared by the main thread and chunk workers, so both
+ * build exactly the same fields from the same seeds.
+ */
+import { makeNoise } from './noise.js';
+import { makeRivers, withRivers } from './rivers.js';
+
+/**
+ * Build the full terrain sampler: multi-axis noise plus the river network.
+ * @param {{elevSeed:number, moistSeed:number, riverSeed:number}} seeds
+ * @returns {ReturnType<typeof withRivers>} noise-like sampler with a `rivers` property
+ */
+export function createWorldNoise(seeds) {
+  const base = makeNoise(seeds.elevSeed, seeds.moistSeed);
+  const rivers = makeRivers(base, seeds.riverSeed);
+  return withRivers(base, rivers);
+}
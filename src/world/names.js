@@ -0,0 +1,40 @@
+/**
+ * Place names for settlements, built from word parts in the style of Alabama
+ * places (Creek and Choctaw-derived syllables, settler words). Deterministic for a
+ * given random source.
+ */
+
+// Syllables for native-style names ("Talladega", "Wetumpka", "Opelika")
+const ONSETS = ['Ta', 'Wa', 'O', 'Cha', 'Oka', 'Lo', 'Ko', 'Ca', 'Se', 'Tu', 'Ne', 'Sa', 'Ho', 'E', 'Ya'];
+const MIDDLES = ['la', 'lu', 'wa', 'ho', 'me', 'ko', 'ta', 'sa', 'chu', 'pa', 'ne', 'ti', 'mo'];
+const ENDINGS = ['dega', 'loosa', 'tchee', 'hatchee', 'mpka', 'lika', 'lusa', 'ga', 'see', 'pa', 'lee', 'tuck', 'bee'];
+
+// Settler words
+const STEMS = ['Oak', 'Cedar', 'Pine', 'Mill', 'Fair', 'Spring', 'Cypress', 'Red', 'Sand', 'Shoal', 'Bay',
+  'Magnolia', 'Elk', 'Hickory', 'Pleasant', 'Marble', 'Iron', 'Clear', 'Fox', 'Walnut', 'Mulberry', 'Flint'];
+const TOWN_SUFFIXES = ['ville', 'ton', ' Creek', ' Bluff', ' Springs', ' Landing', ' Ford', 'burg', ' Hill', ' Grove'];
+const SURNAMES = ['McIntosh', 'Weatherford', 'Tate', 'Colbert', 'Hatcher', 'Boone', 'Sims', 'Dale', 'Moore',
+  'Pickett', 'Harlan', 'Crockett', 'Ward', 'Yancey', 'Gaines', 'Bibb'];
+const CAMP_KINDS = ['Camp', 'Crossing', 'Station', 'Trading Post', 'Mill', 'Ferry'];
+const LANDMARK_ADJ = ['Bald', 'Lone', 'Old', 'High', 'Painted', 'Hollow', 'Standing', 'Broken', 'Sentinel', 'Blue'];
+const LANDMARK_NOUNS = ['Knob', 'Rock', 'Mound', 'Oak', 'Cairn', 'Bluff', 'Spring', 'Arch', 'Cross', 'Falls'];
+
+const pick = (list, rng) => list[Math.floor(rng() * list.length)];
+
+function nativeName(rng) {
+  let name = pick(ONSETS, rng);
+  if (rng() < 0.6) name += pick(MIDDLES, rng);
+  return name + pick(ENDINGS, rng);
+}
+
+/**
+ * Name a site.
+ * @param {'town'|'camp'|'landmark'} kind
+ * @param {() => number} rng random source in [0, 1)
+ * @returns {string}
+ */
+export function siteName(kind, rng) {
+  if (kind === 'landmark') return `${pick(LANDMARK_ADJ, rng)} ${pick(LANDMARK_NOUNS, rng)}`;
+  if (kind === 'camp') return `${pick(rng() < 0.6 ? SURNAMES : STEMS, rng)} ${pick(CAMP_KINDS, rng)}`;
+  return rng() < 0.4 ? nativeName(rng) : pick(STEMS, rng) + pick(TOWN_SUFFIXES, rng);
+}
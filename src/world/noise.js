@@ -3,7 +3,8 @@
  * Axes: temp, moist, elev, rough, sal, fert, fire (0..1 each).
  *
  * Implementation:
- * - Base fBM value-noise per axis with per-axis seeds.
+ * - Base fBM per axis with per-axis seeds. Each NOISE_PARAMS entry picks a basis
+ *   (value, gradient, simplex, ridged, billow) and optional domain warp.
  * - Large-scale north-south gradients (temperature/salinity) with elevation coupling.
  * - Roughness from local elevation slope + detail noise.
  * - Fertility from moisture and mid-elevation preference + noise.
@@ -12,7 +13,7 @@
 
 import { NOISE_PARAMS, GRADIENTS } from '../config.js';
 import { toUint32 } from '../utils/prng.js';
-import { hash2f } from '../utils/prng.js';
+import { hash2f, hash2i } from '../utils/prng.js';
 
 const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
 const lerp = (a, b, t) => a + (b - a) * t;
@@ -36,7 +37,86 @@ function valueNoise2D(x, y, seed) {
   return lerp(x0, x1, v);
 }
 
-export function fbm2(x, y, seed, params = {}) {
+// Eight unit-ish gradient directions for lattice-gradient noise
+const GRAD8 = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2],
+  [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2],
+];
+
+function gradDot(ix, iy, seed, dx, dy) {
+  const g = GRAD8[hash2i(ix, iy, seed) & 7];
+  return g[0] * dx + g[1] * dy;
+}
+
+/** Perlin-style gradient noise, mapped to 0..1. */
+function gradientNoise2D(x, y, seed) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+
+  const n00 = gradDot(ix, iy, seed, fx, fy);
+  const n10 = gradDot(ix + 1, iy, seed, fx - 1, fy);
+  const n01 = gradDot(ix, iy + 1, seed, fx, fy - 1);
+  const n11 = gradDot(ix + 1, iy + 1, seed, fx - 1, fy - 1);
+
+  const u = fade(fx);
+  const v = fade(fy);
+  const n = lerp(lerp(n00, n10, u), lerp(n01, n11, u), v);
+  // Range is about +/- sqrt(0.5)
+  return Math.min(1, Math.max(0, 0.5 + n * Math.SQRT1_2));
+}
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+
+/** 2D simplex noise with hashed gradients, mapped to 0..1. */
+function simplexNoise2D(x, y, seed) {
+  const s = (x + y) * F2;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const t = (i + j) * G2;
+  const x0 = x - (i - t);
+  const y0 = y - (j - t);
+
+  const i1 = x0 > y0 ? 1 : 0;
+  const j1 = x0 > y0 ? 0 : 1;
+  const x1 = x0 - i1 + G2, y1 = y0 - j1 + G2;
+  const x2 = x0 - 1 + 2 * G2, y2 = y0 - 1 + 2 * G2;
+
+  let n = 0;
+  let t0 = 0.5 - x0 * x0 - y0 * y0;
+  if (t0 > 0) { t0 *= t0; n += t0 * t0 * gradDot(i, j, seed, x0, y0); }
+  let t1 = 0.5 - x1 * x1 - y1 * y1;
+  if (t1 > 0) { t1 *= t1; n += t1 * t1 * gradDot(i + i1, j + j1, seed, x1, y1); }
+  let t2 = 0.5 - x2 * x2 - y2 * y2;
+  if (t2 > 0) { t2 *= t2; n += t2 * t2 * gradDot(i + 1, j + 1, seed, x2, y2); }
+
+  // Scale to roughly -1..1
+  return Math.min(1, Math.max(0, 0.5 + 0.5 * 70 * n));
+}
+
+/**
+ * Per-octave basis functions by NOISE_PARAMS `type` (all return 0..1).
+ * - ridged: sharp crests where the gradient field crosses its midpoint
+ * - billow: rounded, puffy shapes (folded gradient noise)
+ */
+const BASIS = {
+  value: valueNoise2D,
+  gradient: gradientNoise2D,
+  simplex: simplexNoise2D,
+  ridged: (x, y, seed) => {
+    const r = 1 - Math.abs(2 * gradientNoise2D(x, y, seed) - 1);
+    return r * r;
+  },
+  billow: (x, y, seed) => Math.abs(2 * gradientNoise2D(x, y, seed) - 1),
+};
+
+/** Names accepted by NOISE_PARAMS `type`. */
+export const NOISE_TYPES = Object.keys(BASIS);
+
+function fbmBasis(x, y, seed, params, basis) {
   const octaves = params.octaves ?? 4;
   const frequency = params.frequency ?? 0.01;
   const lacunarity = params.lacunarity ?? 2.0;
@@ -50,7 +130,7 @@ export function fbm2(x, y, seed, params = {}) {
   let ny = y * frequency;
 
   for (let i = 0; i < octaves; i++) {
-    const n = valueNoise2D(nx, ny, seed);
+    const n = basis(nx, ny, seed);
     sum += n * amp;
     ampSum += amp;
 
@@ -62,8 +142,128 @@ export function fbm2(x, y, seed, params = {}) {
   return ampSum > 0 ? (sum / ampSum) : 0.0;
 }
 
+/**
+ * Fractal noise (0..1) at (x, y).
+ * params: { octaves, frequency, lacunarity, gain, type?, warp? }
+ * - type: 'value' (default) | 'gradient' | 'simplex' | 'ridged' | 'billow'
+ * - warp: { amplitude, frequency, octaves? } offsets the sample point by a
+ *   low-frequency value-noise field of +/- amplitude (in input units) per axis
+ */
+export function fbm2(x, y, seed, params = {}) {
+  const warp = params.warp;
+  if (warp && warp.amplitude) {
+    const wp = { octaves: warp.octaves ?? 2, frequency: warp.frequency ?? 0.01, lacunarity: 2.0, gain: 0.5 };
+    const amp = warp.amplitude;
+    const wx = fbmBasis(x, y, toUint32(seed ^ 0x68E31DA4), wp, valueNoise2D);
+    const wy = fbmBasis(x, y, toUint32(seed ^ 0xB5297A4D), wp, valueNoise2D);
+    x += (wx * 2 - 1) * amp;
+    y += (wy * 2 - 1) * amp;
+  }
+  const basis = BASIS[params.type ?? 'value'];
+  if (!basis) {
+    throw new Error(`Unknown noise type: ${params.type}. Valid: ${NOISE_TYPES.join(', ')}`);
+  }
+  return fbmBasis(x, y, seed, params, basis);
+}
+
+/**
+ * fBM over a regular grid of sample points (w x h, `step` apart), sharing lattice
+ * hashes between neighbouring samples. Point (i,j) equals
+ * fbm2((x0 + i*step) + ox, (y0 + j*step) + oy, seed, params) exactly.
+ * @param {Float64Array} out length w*h, row-major
+ */
+function fbm2Grid(x0, y0, w, h, ox, oy, seed, params, out, step = 1) {
+  // Lattice sharing only applies to unwarped value noise; sample other bases per point
+  if ((params.type ?? 'value') !== 'value' || (params.warp && params.warp.amplitude)) {
+    for (let j = 0; j < h; j++) {
+      for (let i = 0; i < w; i++) out[j * w + i] = fbm2((x0 + i * step) + ox, (y0 + j * step) + oy, seed, params);
+    }
+    return out;
+  }
+
+  const octaves = params.octaves ?? 4;
+  const frequency = params.frequency ?? 0.01;
+  const lacunarity = params.lacunarity ?? 2.0;
+  const gain = params.gain ?? 0.5;
+
+  // Per-column / per-row coordinates, advanced with the same float ops as fbm2
+  const nx = new Float64Array(w);
+  const ny = new Float64Array(h);
+  for (let i = 0; i < w; i++) nx[i] = ((x0 + i * step) + ox) * frequency;
+  for (let j = 0; j < h; j++) ny[j] = ((y0 + j * step) + oy) * frequency;
+
+  const ix = new Int32Array(w), iy = new Int32Array(h);
+  const u = new Float64Array(w), v = new Float64Array(h);
+
+  out.fill(0);
+  let amp = 1.0;
+  let ampSum = 0.0;
+
+  for (let o = 0; o < octaves; o++) {
+    for (let i = 0; i < w; i++) { ix[i] = Math.floor(nx[i]); u[i] = fade(nx[i] - ix[i]); }
+    for (let j = 0; j < h; j++) { iy[j] = Math.floor(ny[j]); v[j] = fade(ny[j] - iy[j]); }
+
+    // Hash each lattice corner once for the whole grid
+    const lx0 = ix[0], ly0 = iy[0];
+    const lw = ix[w - 1] - lx0 + 2;
+    const lh = iy[h - 1] - ly0 + 2;
+    if (lw * lh > 4 * w * h) {
+      // Samples sparser than the lattice (coarse steps, high octaves): hash only the
+      // corners each sample uses rather than the whole spanned lattice
+      for (let j = 0; j < h; j++) {
+        const vj = v[j];
+        const y = iy[j];
+        for (let i = 0; i < w; i++) {
+          const x = ix[i];
+          const x0v = lerp(hash2f(x, y, seed), hash2f(x + 1, y, seed), u[i]);
+          const x1v = lerp(hash2f(x, y + 1, seed), hash2f(x + 1, y + 1, seed), u[i]);
+          out[j * w + i] += lerp(x0v, x1v, vj) * amp;
+        }
+      }
+      ampSum += amp;
+      for (let i = 0; i < w; i++) nx[i] *= lacunarity;
+      for (let j = 0; j < h; j++) ny[j] *= lacunarity;
+      amp *= gain;
+      continue;
+    }
+    const lattice = new Float64Array(lw * lh);
+    for (let b = 0; b < lh; b++) {
+      for (let a = 0; a < lw; a++) lattice[b * lw + a] = hash2f(lx0 + a, ly0 + b, seed);
+    }
+
+    for (let j = 0; j < h; j++) {
+      const row = (iy[j] - ly0) * lw;
+      const vj = v[j];
+      for (let i = 0; i < w; i++) {
+        const c = row + (ix[i] - lx0);
+        const x0v = lerp(lattice[c], lattice[c + 1], u[i]);
+        const x1v = lerp(lattice[c + lw], lattice[c + lw + 1], u[i]);
+        out[j * w + i] += lerp(x0v, x1v, vj) * amp;
+      }
+    }
+    ampSum += amp;
+
+    for (let i = 0; i < w; i++) nx[i] *= lacunarity;
+    for (let j = 0; j < h; j++) ny[j] *= lacunarity;
+    amp *= gain;
+  }
+
+  for (let k = 0; k < out.length; k++) out[k] = ampSum > 0 ? (out[k] / ampSum) : 0.0;
+  return out;
+}
+
 const clamp01 = (x) => x < 0 ? 0 : x > 1 ? 1 : x;
 
+/**
+ * North-south gradient behind temperature and salinity (see GRADIENTS):
+ * 0 (far north) -> 1 (far south), 0.5 at ty = 0, compressed with tanh for asymptote.
+ * @param {number} ty world tile y
+ * @param {number} scale tiles over which most of the change happens
+ */
+export function latitudeFactor(ty, scale) {
+  return 0.5 * (1 + Math.tanh((ty) / (scale || 4096)));
+}
+
 function mixSeed(a, k) {
   // Simple avalanche mix to derive distinct axis seeds from base seeds
   let h = toUint32(a ^ toUint32(k * 0x9E3779B1));
@@ -114,52 +314,115 @@ export function makeNoise(elevSeed, moistSeed, params = NOISE_PARAMS, gradients
     return fbm2(tx + 157.31, ty - 89.97, moistSeed, moistParams);
   }
 
-  function latSouth(y, scale) {
-    // 0 (far north) -> 1 (far south), compressed with tanh for asymptote
-    return 0.5 * (1 + Math.tanh((y) / (scale || 4096)));
-  }
-
-  function sampleAxes(tx, ty) {
+  /**
+   * Combine raw fBM samples into the seven axes (shared by the per-tile and grid paths).
+   * e0: raw elevation, ex/ey: elevation deltas toward +x/+y, m: raw moisture,
+   * tN/rN/sN/fN/fiN: temperature/roughness/salinity/fertility/fire detail noise.
+   */
+  function combineAxes(ty, e0, ex, ey, m, tN, rN, sN, fN, fiN, out) {
     // Base elevation and moisture
-    const elev = clamp01(elevation(tx, ty));
-    const moist = clamp01(moisture(tx, ty));
+    const elev = clamp01(e0);
+    const moist = clamp01(m);
 
-    const latT = latSouth(ty, TEMP_LAT_GRAD_TILES);
-    const latS = latSouth(ty, SAL_LAT_GRAD_TILES);
+    const latT = latitudeFactor(ty, TEMP_LAT_GRAD_TILES);
+    const latS = latitudeFactor(ty, SAL_LAT_GRAD_TILES);
 
     // Temperature: base noise + southern warmth - elevation cooling
-    const tNoise = fbm2(tx, ty, tempSeed, tempParams);
-    const temp = clamp01(0.55 * tNoise + 0.35 * latT - TEMP_ELEV_COOLING * elev + 0.10);
+    const temp = clamp01(0.55 * tN + 0.35 * latT - TEMP_ELEV_COOLING * elev + 0.10);
 
     // Roughness: from elevation slope + detail noise
-    const e0 = fbm2(tx, ty, elevSeed, elevParams);
-    const ex = fbm2(tx + 1, ty, elevSeed, elevParams) - e0;
-    const ey = fbm2(tx, ty + 1, elevSeed, elevParams) - e0;
     const slope = Math.hypot(ex, ey); // ~0..1-ish
-    const rNoise = fbm2(tx, ty, roughSeed, roughParams);
-    const rough = clamp01(Math.min(1, slope * ROUGH_SLOPE_SCALE) * 0.7 + rNoise * 0.3);
+    const rough = clamp01(Math.min(1, slope * ROUGH_SLOPE_SCALE) * 0.7 + rN * 0.3);
 
     // Salinity: base noise + southern salinity - reduced by elevation
-    const sNoise = fbm2(tx - 233.7, ty + 411.9, salSeed, salParams);
-    const sal = clamp01(0.5 * sNoise + 0.4 * latS - (SAL_ELEV_REDUCTION * elev * 0.5));
+    const sal = clamp01(0.5 * sN + 0.4 * latS - (SAL_ELEV_REDUCTION * elev * 0.5));
 
     // Fertility: favors moist, mid-low elevation + texture noise
-    const fNoise = fbm2(tx + 991.1, ty - 72.3, fertSeed, fertParams);
     const elevBand = 1 - Math.abs(elev - 0.35) * 2; // peak near ~0.35
     const fertBase = 0.6 * moist + 0.3 * elevBand;
-    const fert = clamp01(0.75 * fertBase + 0.25 * fNoise);
+    const fert = clamp01(0.75 * fertBase + 0.25 * fN);
 
     // Fire frequency: higher in dry, warm, low-elevation regions + noise
-    const fireN = fbm2(tx - 55.2, ty + 23.7, fireSeed, fireParams);
     const dryness = (1 - moist);
-    const fire = clamp01(0.6 * dryness + 0.2 * temp + 0.15 * (1 - elev) + 0.05 * fireN);
+    const fire = clamp01(0.6 * dryness + 0.2 * temp + 0.15 * (1 - elev) + 0.05 * fiN);
+
+    out.temp = temp; out.moist = moist; out.elev = elev; out.rough = rough;
+    out.sal = sal; out.fert = fert; out.fire = fire;
+    return out;
+  }
+
+  function sampleAxes(tx, ty) {
+    const e0 = elevation(tx, ty);
+    return combineAxes(
+      ty,
+      e0,
+      elevation(tx + 1, ty) - e0,
+      elevation(tx, ty + 1) - e0,
+      moisture(tx, ty),
+      fbm2(tx, ty, tempSeed, tempParams),
+      fbm2(tx, ty, roughSeed, roughParams),
+      fbm2(tx - 233.7, ty + 411.9, salSeed, salParams),
+      fbm2(tx + 991.1, ty - 72.3, fertSeed, fertParams),
+      fbm2(tx - 55.2, ty + 23.7, fireSeed, fireParams),
+      {}
+    );
+  }
+
+  /**
+   * Sample all seven axes for a w x h block of tiles starting at (tx0, ty0), taking
+   * every `step`-th tile on each axis (step > 1 for coarse level-of-detail rasters).
+   * At step 1 elevation is evaluated once on a (w+1) x (h+1) grid and reused for
+   * slope; coarser steps sample the +1 tile neighbours separately. Lattice hashes
+   * are shared between neighbouring samples. Values match sampleAxes() at each
+   * sampled tile (stored as Float32).
+   * @returns {{tx0:number,ty0:number,w:number,h:number,step:number,temp:Float32Array,moist:Float32Array,elev:Float32Array,rough:Float32Array,sal:Float32Array,fert:Float32Array,fire:Float32Array}}
+   */
+  function sampleAxesGrid(tx0, ty0, w, h, step = 1) {
+    const n = w * h;
+    // Elevation at each sample and one tile east / south of it (for slope)
+    let E, EX, EY, ew;
+    if (step === 1) {
+      ew = w + 1;
+      E = fbm2Grid(tx0, ty0, ew, h + 1, 0, 0, elevSeed, elevParams, new Float64Array(ew * (h + 1)));
+    } else {
+      ew = w;
+      E = fbm2Grid(tx0, ty0, w, h, 0, 0, elevSeed, elevParams, new Float64Array(n), step);
+      EX = fbm2Grid(tx0, ty0, w, h, 1, 0, elevSeed, elevParams, new Float64Array(n), step);
+      EY = fbm2Grid(tx0, ty0, w, h, 0, 1, elevSeed, elevParams, new Float64Array(n), step);
+    }
+    const M = fbm2Grid(tx0, ty0, w, h, 157.31, -89.97, moistSeed, moistParams, new Float64Array(n), step);
+    const T = fbm2Grid(tx0, ty0, w, h, 0, 0, tempSeed, tempParams, new Float64Array(n), step);
+    const R = fbm2Grid(tx0, ty0, w, h, 0, 0, roughSeed, roughParams, new Float64Array(n), step);
+    const S = fbm2Grid(tx0, ty0, w, h, -233.7, 411.9, salSeed, salParams, new Float64Array(n), step);
+    const F = fbm2Grid(tx0, ty0, w, h, 991.1, -72.3, fertSeed, fertParams, new Float64Array(n), step);
+    const FI = fbm2Grid(tx0, ty0, w, h, -55.2, 23.7, fireSeed, fireParams, new Float64Array(n), step);
 
-    return { temp, moist, elev, rough, sal, fert, fire };
+    const grid = {
+      tx0, ty0, w, h, step,
+      temp: new Float32Array(n), moist: new Float32Array(n), elev: new Float32Array(n),
+      rough: new Float32Array(n), sal: new Float32Array(n), fert: new Float32Array(n),
+      fire: new Float32Array(n),
+    };
+    const a = {};
+    for (let j = 0; j < h; j++) {
+      for (let i = 0; i < w; i++) {
+        const k = j * w + i;
+        const e = j * ew + i;
+        const e0 = E[e];
+        const ex = step === 1 ? E[e + 1] : EX[k];
+        const ey = step === 1 ? E[e + ew] : EY[k];
+        combineAxes(ty0 + j * step, e0, ex - e0, ey - e0, M[k], T[k], R[k], S[k], F[k], FI[k], a);
+        grid.temp[k] = a.temp; grid.moist[k] = a.moist; grid.elev[k] = a.elev;
+        grid.rough[k] = a.rough; grid.sal[k] = a.sal; grid.fert[k] = a.fert; grid.fire[k] = a.fire;
+      }
+    }
+    return grid;
   }
 
   return {
     elevation,
     moisture,
-    sampleAxes
+    sampleAxes,
+    sampleAxesGrid
   };
 }
\ No newline at end of file
@@ -0,0 +1,268 @@
+/**
+ * A* pathfinding over the tile grid with 8-way moves.
+ *
+ * Entering a tile costs the step length (1, or sqrt 2 diagonally) divided by the
+ * tile's speed factor, so a route is the quickest walk rather than the shortest: it
+ * takes fast ground and goes around rough country and fords when that saves time.
+ * Blocked tiles are never entered and diagonal steps may not cut a blocked corner.
+ * The heuristic is octile distance at the fastest possible speed (see maxSpeedFactor),
+ * so routes are optimal.
+ *
+ * The search is confined to a window around start and goal (PATH.MARGIN tiles of
+ * slack, PATH.MAX_SPAN tiles per side at most) and gives up after PATH.MAX_NODES
+ * expansions. Tiles are looked up through `terrain` at most once per search. A
+ * terrain with isLoaded() is only asked about tiles whose data is there: before a
+ * tile is expanded its neighbours must be loaded, and until they are step() returns
+ * early with `waiting` set, so a world-backed terrain never stalls a frame on chunk
+ * generation. A PathSearch can be advanced in slices (step()) to spread a long search
+ * over several frames.
+ */
+import { PATH } from '../config.js';
+
+const DIRS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2],
+];
+
+// Binary min-heap of (index, priority); stale entries are skipped by the caller
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, key) {
+    const items = this.items;
+    const keys = this.keys;
+    let i = items.length;
+    items.push(item);
+    keys.push(key);
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (keys[p] <= key) break;
+      items[i] = items[p];
+      keys[i] = keys[p];
+      i = p;
+    }
+    items[i] = item;
+    keys[i] = key;
+  }
+
+  pop() {
+    const items = this.items;
+    const keys = this.keys;
+    const top = items[0];
+    const item = items.pop();
+    const key = keys.pop();
+    const n = items.length;
+    if (n > 0) {
+      let i = 0;
+      for (;;) {
+        let c = 2 * i + 1;
+        if (c >= n) break;
+        if (c + 1 < n && keys[c + 1] < keys[c]) c++;
+        if (keys[c] >= key) break;
+        items[i] = items[c];
+        keys[i] = keys[c];
+        i = c;
+      }
+      items[i] = item;
+      keys[i] = key;
+    }
+    return top;
+  }
+}
+
+/**
+ * One A* search from a start tile to a goal tile.
+ * status: 'searching' until step() settles it as 'found' (see path / cost), or
+ * 'unreachable', 'too-far' (outside PATH.MAX_SPAN) or 'budget' (PATH.MAX_NODES spent).
+ */
+export class PathSearch {
+  /**
+   * @param {number} sx start tile x
+   * @param {number} sy start tile y
+   * @param {number} gx goal tile x
+   * @param {number} gy goal tile y
+   * @param {{isBlocked:(tx:number,ty:number)=>boolean, speedAt:(tx:number,ty:number)=>number,
+   *   isLoaded?:(tx:number,ty:number)=>boolean}} terrain isLoaded: false while a tile's data is on its way
+   * @param {{maxNodes?:number, margin?:number, maxSpan?:number, maxSpeed?:number}} [opts]
+   *   maxSpeed: the fastest speed factor any tile has (keeps the heuristic admissible)
+   */
+  constructor(sx, sy, gx, gy, terrain, opts = {}) {
+    this.start = { tx: sx, ty: sy };
+    this.goal = { tx: gx, ty: gy };
+    this.terrain = terrain;
+    this.maxNodes = opts.maxNodes ?? PATH.MAX_NODES;
+    this.hScale = 1 / (opts.maxSpeed || 1);
+    this.expanded = 0;
+    /** @type {Array<{tx:number, ty:number}>|null} tiles from start to goal once found */
+    this.path = null;
+    this.cost = 0; // tiles at speed factor 1 (i.e. walking time in tile-lengths)
+    /** @type {'searching'|'found'|'unreachable'|'too-far'|'budget'} */
+    this.status = 'searching';
+    this.waiting = false; // the last step() stopped for tiles that are still loading
+
+    const margin = opts.margin ?? PATH.MARGIN;
+    const maxSpan = opts.maxSpan ?? PATH.MAX_SPAN;
+    this.x0 = Math.min(sx, gx) - margin;
+    this.y0 = Math.min(sy, gy) - margin;
+    this.w = Math.abs(gx - sx) + 1 + 2 * margin;
+    this.h = Math.abs(gy - sy) + 1 + 2 * margin;
+    if (this.w > maxSpan || this.h > maxSpan) {
+      this.status = 'too-far';
+      return;
+    }
+
+    const n = this.w * this.h;
+    this.g = new Float64Array(n).fill(Infinity);
+    this.parent = new Int32Array(n).fill(-1);
+    this.closed = new Uint8Array(n);
+    this.speed = new Float32Array(n); // 0 = not looked up yet, -1 = blocked
+    this.heap = new MinHeap();
+    this.goalIndex = this._index(gx, gy);
+    // A goal that is still loading is checked when the search reaches it
+    if (this._speedAt(this.goalIndex, gx, gy) < 0) {
+      this.status = 'unreachable';
+      return;
+    }
+    const si = this._index(sx, sy);
+    this.g[si] = 0;
+    this.heap.push(si, this._h(sx, sy));
+  }
+
+  _index(tx, ty) {
+    return (ty - this.y0) * this.w + (tx - this.x0);
+  }
+
+  // Speed factor of a tile, -1 when blocked, 0 while its data is loading
+  _speedAt(i, tx, ty) {
+    let s = this.speed[i];
+    if (s === 0) {
+      if (this.terrain.isLoaded && !this.terrain.isLoaded(tx, ty)) return 0;
+      s = this.terrain.isBlocked(tx, ty) ? -1 : Math.max(1e-3, this.terrain.speedAt(tx, ty));
+      this.speed[i] = s;
+    }
+    return s;
+  }
+
+  // Octile distance to the goal at the fastest speed
+  _h(tx, ty) {
+    const dx = Math.abs(this.goal.tx - tx);
+    const dy = Math.abs(this.goal.ty - ty);
+    return (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)) * this.hScale;
+  }
+
+  /**
+   * Expand up to `maxExpansions` tiles.
+   * @returns {string} the status afterwards
+   */
+  step(maxExpansions = Infinity) {
+    const { w, h, x0, y0, g, parent, closed, heap } = this;
+    let budget = maxExpansions;
+    this.waiting = false;
+    while (this.status === 'searching' && budget-- > 0) {
+      if (!heap.size) {
+        this.status = 'unreachable';
+        break;
+      }
+      const i = heap.pop();
+      if (closed[i]) continue;
+      closed[i] = 1;
+      if (i === this.goalIndex) {
+        this._finish(i);
+        break;
+      }
+      const lx = i % w;
+      const ly = (i - lx) / w;
+      if (!this._neighboursLoaded(lx, ly)) {
+        // Put the tile back and try again on a later step
+        closed[i] = 0;
+        heap.push(i, g[i] + this._h(x0 + lx, y0 + ly));
+        this.waiting = true;
+        break;
+      }
+      if (++this.expanded > this.maxNodes) {
+        this.status = 'budget';
+        break;
+      }
+      for (const [dx, dy, len] of DIRS) {
+        const nx = lx + dx;
+        const ny = ly + dy;
+        if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+        const j = ny * w + nx;
+        if (closed[j]) continue;
+        const sp = this._speedAt(j, x0 + nx, y0 + ny);
+        if (sp < 0) continue;
+        if (dx && dy && (this._speedAt(ly * w + nx, x0 + nx, y0 + ly) < 0 || this._speedAt(ny * w + lx, x0 + lx, y0 + ny) < 0)) continue;
+        const cost = g[i] + len / sp;
+        if (cost < g[j]) {
+          g[j] = cost;
+          parent[j] = i;
+          heap.push(j, cost + this._h(x0 + nx, y0 + ny));
+        }
+      }
+    }
+    return this.status;
+  }
+
+  // Whether every open neighbour of a window tile has been looked up (asking for the rest)
+  _neighboursLoaded(lx, ly) {
+    if (!this.terrain.isLoaded) return true;
+    let loaded = true;
+    for (const [dx, dy] of DIRS) {
+      const nx = lx + dx;
+      const ny = ly + dy;
+      if (nx < 0 || ny < 0 || nx >= this.w || ny >= this.h) continue;
+      const j = ny * this.w + nx;
+      if (!this.closed[j] && this._speedAt(j, this.x0 + nx, this.y0 + ny) === 0) loaded = false;
+    }
+    return loaded;
+  }
+
+  _finish(goalIndex) {
+    const path = [];
+    for (let i = goalIndex; i >= 0; i = this.parent[i]) {
+      const lx = i % this.w;
+      path.push({ tx: this.x0 + lx, ty: this.y0 + (i - lx) / this.w });
+    }
+    path.reverse();
+    this.path = path;
+    this.cost = this.g[goalIndex];
+    this.status = 'found';
+    // The window arrays are no longer needed
+    this.g = this.parent = this.closed = this.speed = null;
+    this.heap = null;
+  }
+}
+
+/**
+ * Run a search to completion.
+ * @returns {PathSearch}
+ */
+export function findPath(sx, sy, gx, gy, terrain, opts) {
+  const search = new PathSearch(sx, sy, gx, gy, terrain, opts);
+  search.step();
+  return search;
+}
+
+/**
+ * Drop tiles in the middle of straight runs, keeping the start, the turns and the goal.
+ * @param {Array<{tx:number, ty:number}>} path
+ */
+export function simplifyPath(path) {
+  if (path.length < 3) return path.slice();
+  const out = [path[0]];
+  for (let i = 1; i < path.length - 1; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const c = path[i + 1];
+    if (b.tx - a.tx !== c.tx - b.tx || b.ty - a.ty !== c.ty - b.ty) out.push(b);
+  }
+  out.push(path[path.length - 1]);
+  return out;
+}
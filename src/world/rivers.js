@@ -0,0 +1,412 @@
+/**
+ * Deterministic rivers derived from the elevation field.
+ *
+ * The world is divided into drainage cells of RIVERS.CELL_TILES. Each cell has a
+ * fixed downstream neighbour (a pure function of local elevation and salinity):
+ * the lowest of its S/SW/SE neighbours, or a W/E neighbour if that is lower than
+ * the cell itself. Rivers never flow north, so traces cannot loop, and a river
+ * ends at the first cell salty enough to count as coast.
+ *
+ * Springs are hashed per cell. A trace runs until the coast or for MAX_LENGTH_CELLS
+ * cells; a river that is still inland by then ends in a lake. A chunk finds the
+ * springs able to reach it by walking the drainage tree upstream from its cells
+ * (the upstream neighbours of a cell are memoised, so neighbouring chunks share the
+ * work), and results are identical no matter which chunk asks first.
+ * Flow at a cell = number of springs whose trace passes through it;
+ * order = 1 + floor(log2(flow)).
+ */
+import { CHUNK_SIZE, RIVERS } from '../config.js';
+import { hash2f, toUint32 } from '../utils/prng.js';
+
+const clamp01 = (x) => x < 0 ? 0 : x > 1 ? 1 : x;
+
+// Downstream candidates in preference order (ties keep the earlier one)
+const SOUTHWARD = [[0, 1], [-1, 1], [1, 1]];
+const SIDEWAYS = [[-1, 0], [1, 0]];
+// Neighbours that may drain into a cell (the reverse of the moves above)
+const UPSTREAM = [...SOUTHWARD, ...SIDEWAYS].map(([dx, dy]) => [-dx, -dy]);
+
+// Memo caches are dropped wholesale past this size to bound memory
+const MAX_MEMO = 400000;
+
+/**
+ * Create a river network over a base (river-free) noise sampler.
+ * @param {{elevation:(x:number,y:number)=>number, sampleAxes:(x:number,y:number)=>any}} noise
+ * @param {number} seed
+ * @param {*} params RIVERS override
+ */
+export function makeRivers(noise, seed, params = RIVERS) {
+  const P = { ...RIVERS, ...params };
+  const CELL = P.CELL_TILES;
+  const L = P.MAX_LENGTH_CELLS;
+  const springSeed = toUint32(seed ^ 0x51A7E5);
+  const jitterSeedX = toUint32(seed ^ 0x7E11A0);
+  const jitterSeedY = toUint32(seed ^ 0x0D3C4B);
+
+  const elevMemo = new Map();
+  const downMemo = new Map();
+  const upMemo = new Map();
+  /** @type {Map<string, Array>} chunk key -> segments */
+  const chunkMemo = new Map();
+  /** @type {Map<string, {order:Uint8Array,flow:Uint16Array,corridor:Float32Array}>} */
+  const rasterMemo = new Map();
+
+  const ck = (gx, gy) => `${gx},${gy}`;
+
+  function remember(map, key, value) {
+    if (map.size >= MAX_MEMO) map.clear();
+    map.set(key, value);
+    return value;
+  }
+
+  function cellCenter(gx, gy) {
+    return { x: gx * CELL + CELL / 2, y: gy * CELL + CELL / 2 };
+  }
+
+  function cellElev(gx, gy) {
+    const k = ck(gx, gy);
+    const v = elevMemo.get(k);
+    if (v !== undefined) return v;
+    const c = cellCenter(gx, gy);
+    return remember(elevMemo, k, noise.elevation(c.x, c.y));
+  }
+
+  function isCoast(gx, gy) {
+    const c = cellCenter(gx, gy);
+    return noise.sampleAxes(c.x, c.y).sal >= P.COAST_SAL;
+  }
+
+  /** Downstream cell of (gx,gy) as [gx,gy], or null at the coast. */
+  function downstream(gx, gy) {
+    const k = ck(gx, gy);
+    const memo = downMemo.get(k);
+    if (memo !== undefined) return memo;
+
+    if (isCoast(gx, gy)) return remember(downMemo, k, null);
+
+    const here = cellElev(gx, gy);
+    let best = null;
+    let bestE = Infinity;
+    for (const [dx, dy] of SOUTHWARD) {
+      const e = cellElev(gx + dx, gy + dy);
+      if (e < bestE) { bestE = e; best = [gx + dx, gy + dy]; }
+    }
+    for (const [dx, dy] of SIDEWAYS) {
+      const e = cellElev(gx + dx, gy + dy);
+      if (e < here && e < bestE) { bestE = e; best = [gx + dx, gy + dy]; }
+    }
+    return remember(downMemo, k, best);
+  }
+
+  function isSpring(gx, gy) {
+    if (hash2f(gx, gy, springSeed) >= P.SPRING_CHANCE) return false;
+    if (cellElev(gx, gy) < P.SPRING_MIN_ELEV) return false;
+    return !isCoast(gx, gy);
+  }
+
+  /** Jittered path node of a cell, in tile units. */
+  function node(gx, gy) {
+    const j = P.JITTER * CELL;
+    return {
+      x: gx * CELL + CELL / 2 + (hash2f(gx, gy, jitterSeedX) - 0.5) * j,
+      y: gy * CELL + CELL / 2 + (hash2f(gx, gy, jitterSeedY) - 0.5) * j,
+    };
+  }
+
+  function orderOf(flow) {
+    return flow > 0 ? 1 + Math.floor(Math.log2(flow)) : 0;
+  }
+
+  function halfWidth(order) {
+    return P.HALF_WIDTH_BASE + P.HALF_WIDTH_PER_ORDER * (order - 1);
+  }
+
+  /** Cells draining straight into (gx,gy): the neighbours whose downstream it is. */
+  function upstream(gx, gy) {
+    const k = ck(gx, gy);
+    const memo = upMemo.get(k);
+    if (memo !== undefined) return memo;
+    const out = [];
+    for (const [dx, dy] of UPSTREAM) {
+      const d = downstream(gx + dx, gy + dy);
+      if (d && d[0] === gx && d[1] === gy) out.push([gx + dx, gy + dy]);
+    }
+    return remember(upMemo, k, out);
+  }
+
+  /**
+   * River segments that can affect tiles of chunk (cx, cy), including its corridor.
+   * Each segment: { x0, y0, x1, y1, order, flow, gx, gy, hw } in tile units (hw:
+   * half-width); a river that ends in a lake adds a zero-length segment at the lake.
+   */
+  function segmentsForChunk(cx, cy) {
+    const key = `${cx},${cy}`;
+    const cached = chunkMemo.get(key);
+    if (cached) return cached;
+
+    // Cells whose segment (to a neighbour, plus width and corridor) can touch the chunk
+    const reach = Math.ceil((P.CORRIDOR_TILES + Math.max(halfWidth(8), P.LAKE_RADIUS) + P.JITTER * CELL) / CELL) + 1;
+    const vx0 = Math.floor((cx * CHUNK_SIZE) / CELL) - reach;
+    const vy0 = Math.floor((cy * CHUNK_SIZE) / CELL) - reach;
+    const vx1 = Math.floor(((cx + 1) * CHUNK_SIZE - 1) / CELL) + reach;
+    const vy1 = Math.floor(((cy + 1) * CHUNK_SIZE - 1) / CELL) + reach;
+    const inside = (gx, gy) => gx >= vx0 && gx <= vx1 && gy >= vy0 && gy <= vy1;
+
+    // Springs whose trace enters the window within L steps: walk the drainage tree
+    // upstream from the window's cells (a cell's trace is unique, so each is seen once)
+    const springs = [];
+    let frontier = [];
+    for (let gy = vy0; gy <= vy1; gy++) {
+      for (let gx = vx0; gx <= vx1; gx++) frontier.push([gx, gy]);
+    }
+    for (let depth = 0; frontier.length && depth <= L; depth++) {
+      const next = [];
+      for (const [gx, gy] of frontier) {
+        if (isSpring(gx, gy)) springs.push([gx, gy]);
+        if (depth === L) continue;
+        for (const u of upstream(gx, gy)) if (!inside(u[0], u[1])) next.push(u);
+      }
+      frontier = next;
+    }
+
+    // Trace them down, counting the springs through each window cell and those that go on
+    const flow = new Map();
+    const onward = new Map();
+    for (const [sx, sy] of springs) {
+      let x = sx, y = sy;
+      for (let step = 0; step <= L; step++) {
+        if (y > vy1) break; // rivers never come back north
+        const d = downstream(x, y);
+        if (inside(x, y)) {
+          const k = ck(x, y);
+          flow.set(k, (flow.get(k) || 0) + 1);
+          if (d && step < L) onward.set(k, (onward.get(k) || 0) + 1);
+        }
+        if (!d) break;
+        x = d[0]; y = d[1];
+      }
+    }
+
+    const segs = [];
+    for (const [k, f] of flow) {
+      const [gx, gy] = k.split(',').map(Number);
+      const d = downstream(gx, gy);
+      if (!d) continue; // river mouth
+      const a = node(gx, gy);
+      const order = orderOf(f);
+      if (onward.get(k)) {
+        const b = node(d[0], d[1]);
+        segs.push({ x0: a.x, y0: a.y, x1: b.x, y1: b.y, order, flow: f, gx, gy, hw: halfWidth(order) });
+      } else {
+        // Every trace through here ran out of length inland: the river ends in a lake
+        segs.push({ x0: a.x, y0: a.y, x1: a.x, y1: a.y, order, flow: f, gx, gy, hw: P.LAKE_RADIUS, lake: true });
+      }
+    }
+
+    if (chunkMemo.size >= 1024) chunkMemo.clear();
+    chunkMemo.set(key, segs);
+    return segs;
+  }
+
+  /**
+   * Nearest river segment to a point, from a segment list.
+   * @returns {{seg:any, dist:number, px:number, py:number}|null} dist from the river's centre line
+   */
+  function nearestOnSegments(segs, x, y) {
+    let best = null;
+    for (const s of segs) {
+      const dx = s.x1 - s.x0, dy = s.y1 - s.y0;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? clamp01(((x - s.x0) * dx + (y - s.y0) * dy) / len2) : 0;
+      const px = s.x0 + dx * t, py = s.y0 + dy * t;
+      const dist = Math.hypot(x - px, y - py);
+      // Prefer wider rivers when overlapping (confluences)
+      const edge = dist - s.hw;
+      if (!best || edge < best.edge) best = { seg: s, dist, edge, px, py };
+    }
+    return best;
+  }
+
+  /**
+   * Per-tile river raster for a chunk (row-major, CHUNK_SIZE^2), cached:
+   * - order:    water order per tile (0 = dry land)
+   * - flow:     springs upstream of the nearest river
+   * - corridor: 0..1 wet-corridor strength (1 on the water itself)
+   * With step > 1 the raster is coarse ((CHUNK_SIZE/step)^2 samples, one per
+   * step x step block, corridor taken at the block's first tile like the axes).
+   * A block counts as water when the river crosses it, so rivers stay visible
+   * at low detail.
+   */
+  function chunkRaster(cx, cy, step = 1) {
+    const key = step === 1 ? `${cx},${cy}` : `${cx},${cy}@${step}`;
+    const cached = rasterMemo.get(key);
+    if (cached) return cached;
+
+    const size = CHUNK_SIZE / step;
+    const n = size * size;
+    const edge = new Float32Array(n).fill(Infinity);
+    const order = new Uint8Array(n);
+    const flow = new Uint16Array(n);
+    const corridor = new Float32Array(n);
+    const tx0 = cx * CHUNK_SIZE, ty0 = cy * CHUNK_SIZE;
+    const segs = segmentsForChunk(cx, cy);
+
+    if (step === 1) {
+      for (const s of segs) {
+        const hw = s.hw;
+        const pad = hw + P.CORRIDOR_TILES;
+        const x0 = Math.max(0, Math.floor(Math.min(s.x0, s.x1) - pad) - tx0);
+        const x1 = Math.min(CHUNK_SIZE - 1, Math.ceil(Math.max(s.x0, s.x1) + pad) - tx0);
+        const y0 = Math.max(0, Math.floor(Math.min(s.y0, s.y1) - pad) - ty0);
+        const y1 = Math.min(CHUNK_SIZE - 1, Math.ceil(Math.max(s.y0, s.y1) + pad) - ty0);
+        const dx = s.x1 - s.x0, dy = s.y1 - s.y0;
+        const len2 = dx * dx + dy * dy;
+        for (let ly = y0; ly <= y1; ly++) {
+          for (let lx = x0; lx <= x1; lx++) {
+            const x = tx0 + lx + 0.5, y = ty0 + ly + 0.5;
+            const t = len2 > 0 ? clamp01(((x - s.x0) * dx + (y - s.y0) * dy) / len2) : 0;
+            const e = Math.hypot(x - (s.x0 + dx * t), y - (s.y0 + dy * t)) - hw;
+            const i = ly * CHUNK_SIZE + lx;
+            // Prefer wider rivers when overlapping (confluences)
+            if (e < edge[i]) {
+              edge[i] = e;
+              flow[i] = Math.min(65535, s.flow);
+              order[i] = e <= 0 ? s.order : 0;
+            }
+          }
+        }
+      }
+    } else if (segs.length) {
+      for (let ly = 0; ly < size; ly++) {
+        for (let lx = 0; lx < size; lx++) {
+          const i = ly * size + lx;
+          const bx = tx0 + lx * step, by = ty0 + ly * step;
+          const hit = nearestOnSegments(segs, bx + 0.5, by + 0.5);
+          edge[i] = hit.edge;
+          const block = nearestOnSegments(segs, bx + step / 2, by + step / 2);
+          if (block.edge <= step / 2) {
+            order[i] = block.seg.order;
+            flow[i] = Math.min(65535, block.seg.flow);
+          }
+        }
+      }
+    }
+    for (let i = 0; i < n; i++) {
+      corridor[i] = edge[i] <= 0 ? 1 : clamp01(1 - edge[i] / P.CORRIDOR_TILES);
+    }
+
+    const raster = { order, flow, corridor };
+    if (rasterMemo.size >= 256) rasterMemo.clear();
+    rasterMemo.set(key, raster);
+    return raster;
+  }
+
+  /**
+   * Wet-corridor strength at one tile straight from the river segments; equals
+   * riverAt(tx, ty).corridor without rasterizing the whole chunk.
+   */
+  function corridorAt(tx, ty) {
+    const cx = Math.floor(tx / CHUNK_SIZE);
+    const cy = Math.floor(ty / CHUNK_SIZE);
+    const hit = nearestOnSegments(segmentsForChunk(cx, cy), tx + 0.5, ty + 0.5);
+    if (!hit) return 0;
+    // Rasters store edge and corridor as Float32; round the same way so both paths agree
+    const edge = Math.fround(hit.edge);
+    return edge <= 0 ? 1 : Math.fround(clamp01(1 - edge / P.CORRIDOR_TILES));
+  }
+
+  /**
+   * River state at a world tile: water order (0 = dry land) and corridor strength (0..1).
+   * @returns {{order:number, flow:number, corridor:number}}
+   */
+  function riverAt(tx, ty) {
+    const cx = Math.floor(tx / CHUNK_SIZE);
+    const cy = Math.floor(ty / CHUNK_SIZE);
+    const r = chunkRaster(cx, cy);
+    const i = (ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE);
+    return { order: r.order[i], flow: r.order[i] ? r.flow[i] : 0, corridor: r.corridor[i] };
+  }
+
+  /**
+   * Nearest river within maxTiles (Chebyshev) of a tile, searched chunk ring by ring.
+   * @returns {{tx:number,ty:number,dist:number,order:number,flow:number}|null}
+   */
+  function nearest(tx, ty, maxTiles = 2048) {
+    const cx0 = Math.floor(tx / CHUNK_SIZE);
+    const cy0 = Math.floor(ty / CHUNK_SIZE);
+    const maxR = Math.ceil(maxTiles / CHUNK_SIZE);
+    let best = null;
+    for (let r = 0; r <= maxR; r++) {
+      // Anything in ring r is at least (r - 1) chunks away
+      if (best && best.dist < (r - 1) * CHUNK_SIZE) break;
+      for (let cy = cy0 - r; cy <= cy0 + r; cy++) {
+        for (let cx = cx0 - r; cx <= cx0 + r; cx++) {
+          if (Math.max(Math.abs(cx - cx0), Math.abs(cy - cy0)) !== r) continue;
+          const hit = nearestOnSegments(segmentsForChunk(cx, cy), tx + 0.5, ty + 0.5);
+          if (!hit) continue;
+          const dist = Math.max(0, hit.edge);
+          if (!best || dist < best.dist) {
+            best = { tx: Math.floor(hit.px), ty: Math.floor(hit.py), dist, order: hit.seg.order, flow: hit.seg.flow };
+          }
+        }
+      }
+    }
+    return best && best.dist <= maxTiles ? best : null;
+  }
+
+  /**
+   * Apply the wet corridor to an axes object in place (moisture and fertility boost).
+   */
+  function applyCorridor(axes, corridor) {
+    if (corridor <= 0) return axes;
+    axes.moist = clamp01(axes.moist + P.CORRIDOR_MOIST * corridor);
+    axes.fert = clamp01(axes.fert + P.CORRIDOR_FERT * corridor);
+    return axes;
+  }
+
+  return {
+    params: P,
+    segmentsForChunk,
+    chunkRaster,
+    corridorAt,
+    riverAt,
+    nearest,
+    applyCorridor,
+    downstream,
+  };
+}
+
+/**
+ * Wrap a noise sampler so sampleAxes/sampleAxesGrid include the river corridor
+ * (extra moisture and fertility near water). The result also carries `rivers`, and
+ * `base`: the unwrapped sampler, for overviews too coarse to trace rivers.
+ */
+export function withRivers(noise, rivers) {
+  function sampleAxes(tx, ty) {
+    const axes = noise.sampleAxes(tx, ty);
+    return rivers.applyCorridor(axes, rivers.riverAt(tx, ty).corridor);
+  }
+
+  function sampleAxesGrid(tx0, ty0, w, h, step = 1) {
+    const grid = noise.sampleAxesGrid(tx0, ty0, w, h, step);
+    const a = {};
+    for (let j = 0; j < h; j++) {
+      for (let i = 0; i < w; i++) {
+        // Sparse samples skip the per-chunk raster (it covers every tile)
+        const corridor = step === 1
+          ? rivers.riverAt(tx0 + i, ty0 + j).corridor
+          : rivers.corridorAt(tx0 + i * step, ty0 + j * step);
+        if (corridor <= 0) continue;
+        const k = j * w + i;
+        a.moist = grid.moist[k];
+        a.fert = grid.fert[k];
+        rivers.applyCorridor(a, corridor);
+        grid.moist[k] = a.moist;
+        grid.fert[k] = a.fert;
+      }
+    }
+    return grid;
+  }
+
+  return { ...noise, sampleAxes, sampleAxesGrid, rivers, base: noise };
+}
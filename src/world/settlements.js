@@ -0,0 +1,649 @@
+/**
+ * Settlements (towns, camps and landmarks) and the roads between them.
+ *
+ * The world is divided into regions of SETTLEMENTS.REGION_TILES. A region scores
+ * SETTLEMENTS.CANDIDATES spots hashed from its coordinates by fertility and elevation
+ * (moderate is best), checks the best few for a river nearby (the river's wet
+ * corridor), and keeps the winner as its site: a town, camp or landmark by score, with
+ * a name from the seed. A region whose best spots all lie in a river has no site.
+ *
+ * Sites in adjacent regions (diagonals included) are joined by road unless another
+ * site in a region next to both lies inside the circle through them (a local Gabriel
+ * graph: short links win and roads rarely cross). Roads are routed by PathSearch over
+ * a grid of ROADS.STEP tiles, costed by the ground speed of the river-free terrain
+ * (rivers are bridged; impassable biomes such as open water are not crossed), then
+ * smoothed. Sites and roads depend only on the seed and their neighbourhood, never on
+ * the order they are asked for.
+ *
+ * Placing a site traces the rivers near it, which can take tens of ms far from the
+ * player, so sites are placed by a worker of their own (placeSite() in chunkworker.js)
+ * when seeds are given, and on the main thread within SETTLEMENTS.BUILD_MS a frame
+ * otherwise. update() routes the roads around the player in the background, a few ms
+ * per frame, once the sites around them are placed; only finished roads count as road
+ * tiles. nearest() is async and waits for the sites it needs. Sites and roads more than
+ * SETTLEMENTS.KEEP_RADIUS regions from the player are forgotten, and come back the same
+ * if the player returns. A biome reload re-routes the roads by the new ground speeds.
+ * DOM-free, like rivers.js.
+ */
+import { CHUNK_SIZE, ROADS, SETTLEMENTS, TILE_SIZE } from '../config.js';
+import { hash2i, mulberry32, toUint32 } from '../utils/prng.js';
+import { classifyAxesId, getActiveBiomes } from './biomes.js';
+import { PathSearch, simplifyPath } from './pathfind.js';
+import { isPassable, maxSpeedFactor, speedFactor } from './terrain.js';
+import { siteName } from './names.js';
+import { ChunkWorkerPool } from './workerpool.js';
+
+/**
+ * @typedef {{id:string, rx:number, ry:number, tx:number, ty:number, kind:'town'|'camp'|'landmark',
+ *   name:string, score:number}} Site
+ * @typedef {{key:string, a:Site, b:Site, points:Array<{x:number, y:number}>}} Road
+ *   points: center line in tile units (a tile's center is at +0.5)
+ */
+
+// Site score weights (they sum to 1) and the elevation that suits a settlement best
+const W_FERT = 0.4;
+const W_ELEV = 0.3;
+const W_WATER = 0.3;
+const ELEV_BEST = 0.35;
+const ELEV_RANGE = 0.35; // the elevation score falls to 0 this far from ELEV_BEST
+
+const SLICE = 64; // route expansions between deadline checks
+const SMOOTHING = 2; // corner-cutting passes over a route
+const NAME_SALT = 0x4C1F2A07; // site names use their own stream of the settlement seed
+
+// Memo caches are dropped wholesale past this size to bound memory
+const MAX_SPEED_MEMO = 200000;
+const MAX_MASKS = 1024;
+
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+/** Regions within Chebyshev radius r of (rx, ry), nearest first. */
+function regionsAround(rx, ry, r) {
+  const out = [];
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) out.push([rx + dx, ry + dy, dx * dx + dy * dy]);
+  }
+  return out.sort((p, q) => p[2] - q[2]);
+}
+
+// Chaikin corner cutting; the ends stay put
+function smooth(points, passes) {
+  let pts = points;
+  for (let k = 0; k < passes && pts.length > 2; k++) {
+    const out = [pts[0]];
+    for (let i = 0; i < pts.length - 1; i++) {
+      const p = pts[i];
+      const q = pts[i + 1];
+      if (i > 0) out.push({ x: 0.75 * p.x + 0.25 * q.x, y: 0.75 * p.y + 0.25 * q.y });
+      if (i < pts.length - 2) out.push({ x: 0.25 * p.x + 0.75 * q.x, y: 0.25 * p.y + 0.75 * q.y });
+    }
+    out.push(pts[pts.length - 1]);
+    pts = out;
+  }
+  return pts;
+}
+
+// Squared distance from (x, y) to segment p-q
+function segDist2(x, y, p, q) {
+  const dx = q.x - p.x;
+  const dy = q.y - p.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? clamp01(((x - p.x) * dx + (y - p.y) * dy) / len2) : 0;
+  const ex = p.x + t * dx - x;
+  const ey = p.y + t * dy - y;
+  return ex * ex + ey * ey;
+}
+
+/**
+ * The site of a region, or null when its best spots all lie in a river. Depends only
+ * on the sampler and the seed, so a worker places the same site as the main thread.
+ * @param {ReturnType<import('./generator.js').createWorldNoise>} noise world sampler (with rivers)
+ * @param {number} seed settlement seed
+ * @param {number} rx region x
+ * @param {number} ry region y
+ * @returns {Site|null}
+ */
+export function placeSite(noise, seed, rx, ry) {
+  const R = SETTLEMENTS.REGION_TILES;
+  const base = noise.base || noise; // river-free fields: scoring skips river tracing
+  const inset = Math.floor(R / 8); // keeps sites off region edges
+  const rng = mulberry32(hash2i(rx, ry, seed >>> 0));
+  const spots = [];
+  for (let i = 0; i < SETTLEMENTS.CANDIDATES; i++) {
+    const tx = rx * R + inset + Math.floor(rng() * (R - 2 * inset));
+    const ty = ry * R + inset + Math.floor(rng() * (R - 2 * inset));
+    const a = base.sampleAxes(tx, ty);
+    const elevFit = clamp01(1 - Math.abs(a.elev - ELEV_BEST) / ELEV_RANGE);
+    spots.push({ tx, ty, land: W_FERT * a.fert + W_ELEV * elevFit });
+  }
+  spots.sort((p, q) => q.land - p.land);
+
+  // Tracing rivers is costly, so only the best spots look for water
+  const rivers = noise.rivers;
+  let best = null;
+  let checked = 0;
+  for (const s of spots) {
+    if (checked >= SETTLEMENTS.WATER_CHECKS) break;
+    const corridor = rivers ? rivers.corridorAt(s.tx, s.ty) : 0;
+    if (corridor >= 1) continue; // in the river itself
+    checked++;
+    const score = s.land + W_WATER * corridor;
+    if (!best || score > best.score) best = { tx: s.tx, ty: s.ty, score };
+  }
+  if (!best) return null;
+  const kind = best.score >= SETTLEMENTS.TOWN_SCORE ? 'town' : best.score >= SETTLEMENTS.CAMP_SCORE ? 'camp' : 'landmark';
+  const name = siteName(kind, mulberry32(hash2i(rx, ry, toUint32(seed ^ NAME_SALT))));
+  return { id: `${rx},${ry}`, rx, ry, tx: best.tx, ty: best.ty, kind, name, score: best.score };
+}
+
+export class SettlementNetwork {
+  /**
+   * @param {ReturnType<import('./generator.js').createWorldNoise>} noise world sampler (with rivers)
+   * @param {number} seed
+   * @param {{seeds?:{elevSeed:number,moistSeed:number,riverSeed:number}|null}} [opts]
+   *   seeds let a worker rebuild the same sampler; without them sites are placed here
+   */
+  constructor(noise, seed, opts = {}) {
+    this.noise = noise;
+    this.base = noise.base || noise; // river-free fields: routing skips river tracing
+    this.seed = seed >>> 0;
+    this.seeds = opts.seeds || null;
+    /** @type {Map<string, Site|null>} region key -> its site */
+    this.sites = new Map();
+    /** @type {Map<string, Road|null>} link key -> finished road (null when no route was found) */
+    this.roads = new Map();
+    /** @type {Map<string, Road[]>} chunk key -> finished roads crossing it */
+    this.roadsByChunk = new Map();
+    /** @type {Map<string, Uint8Array>} chunk key -> road tiles (1 = road) */
+    this.masks = new Map();
+    /** @type {Set<string>} regions whose roads are all finished */
+    this.done = new Set();
+    /** @type {Map<string, number>} route node -> ground speed (-1 = impassable) */
+    this.speedMemo = new Map();
+    /** @type {{key:string, a:Site, b:Site, search:PathSearch}|null} road being routed */
+    this.job = null;
+    this.biomes = getActiveBiomes(); // list the roads were routed with
+
+    /** @type {ChunkWorkerPool|null} */
+    this.pool = null;
+    this.poolFailed = false;
+    /** @type {Map<string, number>} region key -> job id of a site the worker is placing */
+    this.pending = new Map();
+    /** @type {Set<string>} regions the worker failed to place; placed here instead */
+    this.local = new Set();
+    this.focus = { rx: 0, ry: 0 }; // region the worker places sites around first
+    /** @type {Array<() => void>} nearest() calls waiting for the worker */
+    this.waiters = [];
+  }
+
+  /** Region holding a world tile. */
+  regionOf(tx, ty) {
+    const R = SETTLEMENTS.REGION_TILES;
+    return { rx: Math.floor(tx / R), ry: Math.floor(ty / R) };
+  }
+
+  /**
+   * The site of a region, placed here on first use (update() and nearest() have the
+   * worker place it instead, where there is one).
+   * @returns {Site|null}
+   */
+  siteAt(rx, ry) {
+    const key = `${rx},${ry}`;
+    let site = this.sites.get(key);
+    if (site === undefined) {
+      site = placeSite(this.noise, this.seed, rx, ry);
+      this.sites.set(key, site);
+    }
+    return site;
+  }
+
+  _ensurePool() {
+    if (this.pool || this.poolFailed || !this.seeds || SETTLEMENTS.WORKERS <= 0 || typeof Worker === 'undefined') {
+      return this.pool;
+    }
+    try {
+      const pool = new ChunkWorkerPool({ seeds: this.seeds, biomes: this.biomes, size: SETTLEMENTS.WORKERS });
+      // Nearest to the player's region first
+      pool.priority = (job) => Math.max(Math.abs(job.rx - this.focus.rx), Math.abs(job.ry - this.focus.ry));
+      pool.onResult = (job, site) => {
+        if (this.pending.get(job.key) !== job.id) return;
+        this.pending.delete(job.key);
+        if (!this.sites.has(job.key)) this.sites.set(job.key, site);
+        this._wake();
+      };
+      pool.onError = (job) => {
+        this.pending.delete(job.key);
+        this.local.add(job.key);
+        this._wake();
+      };
+      pool.onFailed = (message) => {
+        if (this.pool !== pool) return;
+        // eslint-disable-next-line no-console
+        console.warn(`Settlement worker unavailable, placing sites on main thread: ${message}`);
+        this.pool = null;
+        this.poolFailed = true;
+        this.pending.clear();
+        this._wake();
+      };
+      this.pool = pool;
+    } catch (err) {
+      this.poolFailed = true;
+    }
+    return this.pool;
+  }
+
+  _wake() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    for (const fn of waiters) fn();
+  }
+
+  // Have the worker place a region's site (once); false when it is up to the main thread
+  _queue(rx, ry) {
+    const key = `${rx},${ry}`;
+    const pool = this._ensurePool();
+    if (!pool || this.local.has(key)) return false;
+    if (!this.pending.has(key)) {
+      const id = pool.request({ key, type: 'site', rx, ry, seed: this.seed });
+      if (!id) return false;
+      this.pending.set(key, id);
+    }
+    return true;
+  }
+
+  // Place the sites of some regions: through the worker where there is one, else here
+  // within SETTLEMENTS.BUILD_MS per slice, yielding in between
+  async _placeAll(regions, onWait) {
+    let waited = false;
+    for (;;) {
+      const deadline = performance.now() + SETTLEMENTS.BUILD_MS;
+      let done = true;
+      for (const [rx, ry] of regions) {
+        if (this.sites.has(`${rx},${ry}`)) continue;
+        done = false;
+        if (this._queue(rx, ry)) continue;
+        this.siteAt(rx, ry);
+        if (performance.now() >= deadline) break;
+      }
+      if (done) return;
+      if (!waited && onWait) onWait();
+      waited = true;
+      await new Promise((resolve) => {
+        if (this.pending.size) this.waiters.push(resolve);
+        else setTimeout(resolve, 0);
+      });
+    }
+  }
+
+  // Whether the sites of a region and its neighbours are placed (routing needs them all)
+  _settled(rx, ry) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (!this.sites.has(`${rx + dx},${ry + dy}`)) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Sites nearest to a world tile, placing sites region ring by region ring. Resolves
+   * once the rings it needs are placed, without blocking a frame.
+   * @param {number} tx
+   * @param {number} ty
+   * @param {{count?:number, kind?:string|null, maxRegions?:number, onWait?:(() => void)|null}} [opts]
+   *   onWait: called once if sites have to be placed first
+   * @returns {Promise<Array<{site:Site, dist:number}>>} dist in tiles, nearest first
+   */
+  async nearest(tx, ty, { count = 5, kind = null, maxRegions = 8, onWait = null } = {}) {
+    const R = SETTLEMENTS.REGION_TILES;
+    const { rx, ry } = this.regionOf(tx, ty);
+    const found = [];
+    for (let r = 0; r <= maxRegions; r++) {
+      // Sites in ring r are at least (r - 1) regions away
+      if (found.length >= count && found[count - 1].dist <= (r - 1) * R) break;
+      const ring = [];
+      for (let qy = ry - r; qy <= ry + r; qy++) {
+        for (let qx = rx - r; qx <= rx + r; qx++) {
+          if (Math.max(Math.abs(qx - rx), Math.abs(qy - ry)) === r) ring.push([qx, qy]);
+        }
+      }
+      await this._placeAll(ring, onWait);
+      for (const [qx, qy] of ring) {
+        const site = this.sites.get(`${qx},${qy}`);
+        if (site && (!kind || site.kind === kind)) found.push({ site, dist: Math.hypot(site.tx - tx, site.ty - ty) });
+      }
+      found.sort((p, q) => p.dist - q.dist);
+    }
+    return found.slice(0, count);
+  }
+
+  /**
+   * Sites joined to a site by road.
+   * @param {Site} a
+   * @returns {Site[]}
+   */
+  links(a) {
+    const out = [];
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (!dx && !dy) continue;
+        const b = this.siteAt(a.rx + dx, a.ry + dy);
+        if (b && this._joined(a, b)) out.push(b);
+      }
+    }
+    return out;
+  }
+
+  // No other site in a region next to both lies inside the circle with diameter a-b
+  _joined(a, b) {
+    const mx = (a.tx + b.tx) / 2;
+    const my = (a.ty + b.ty) / 2;
+    const r2 = ((a.tx - b.tx) ** 2 + (a.ty - b.ty) ** 2) / 4;
+    for (let ry = Math.max(a.ry, b.ry) - 1; ry <= Math.min(a.ry, b.ry) + 1; ry++) {
+      for (let rx = Math.max(a.rx, b.rx) - 1; rx <= Math.min(a.rx, b.rx) + 1; rx++) {
+        const c = this.siteAt(rx, ry);
+        if (!c || c === a || c === b) continue;
+        if ((c.tx - mx) ** 2 + (c.ty - my) ** 2 < r2) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Place sites (through the worker where there is one) and route roads around a
+   * position within SETTLEMENTS.BUILD_MS. Call once per frame.
+   * @param {number} x world px (usually the player)
+   * @param {number} y world px
+   */
+  update(x, y) {
+    if (getActiveBiomes() !== this.biomes) {
+      this.biomes = getActiveBiomes();
+      this.invalidate();
+    }
+    const deadline = performance.now() + SETTLEMENTS.BUILD_MS;
+    const { rx, ry } = this.regionOf(Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE));
+    if (rx !== this.focus.rx || ry !== this.focus.ry) this._prune(rx, ry);
+    this.focus = { rx, ry };
+    const r = SETTLEMENTS.BUILD_RADIUS;
+    // Linking a region's site looks at sites one region farther out
+    for (const [qx, qy] of regionsAround(rx, ry, r + 1)) {
+      if (this.sites.has(`${qx},${qy}`) || this._queue(qx, qy)) continue;
+      this.siteAt(qx, qy);
+      if (performance.now() >= deadline) return;
+    }
+    for (;;) {
+      if (!this.job) this.job = this._nextJob(rx, ry, r);
+      if (!this.job) return;
+      if (this.job.search.step(SLICE) !== 'searching') {
+        this._finishRoad(this.job);
+        this.job = null;
+      }
+      if (performance.now() >= deadline) return;
+    }
+  }
+
+  /**
+   * Drop every road (e.g. after a biome reload: ground speeds and passability changed);
+   * update() routes them again. Sites only depend on the seed and stay.
+   */
+  invalidate() {
+    this.job = null;
+    this.roads.clear();
+    this.roadsByChunk.clear();
+    this.masks.clear();
+    this.done.clear();
+    this.speedMemo.clear();
+    if (this.pool) this.pool.setBiomes(this.biomes);
+  }
+
+  // Forget sites and roads more than SETTLEMENTS.KEEP_RADIUS regions from (rx, ry)
+  _prune(rx, ry) {
+    const K = SETTLEMENTS.KEEP_RADIUS;
+    const far = (key) => {
+      const [qx, qy] = key.split(',').map(Number);
+      return Math.max(Math.abs(qx - rx), Math.abs(qy - ry)) > K;
+    };
+    for (const key of this.sites.keys()) if (far(key)) this.sites.delete(key);
+    for (const key of this.local) if (far(key)) this.local.delete(key);
+    for (const key of this.done) if (far(key)) this.done.delete(key);
+    for (const [link, road] of this.roads) {
+      const [p, q] = link.split('|');
+      if (!far(p) && !far(q)) continue;
+      // The nearer end routes it again if the player comes back
+      this.roads.delete(link);
+      this.done.delete(p);
+      this.done.delete(q);
+      if (road) this._unindex(road);
+    }
+    if (this.job && (far(this.job.a.id) || far(this.job.b.id))) this.job = null;
+  }
+
+  // The nearest road around (rx, ry) that is not routed yet, among regions whose
+  // neighbourhood is placed
+  _nextJob(rx, ry, r) {
+    for (const [qx, qy] of regionsAround(rx, ry, r)) {
+      const key = `${qx},${qy}`;
+      if (this.done.has(key) || !this._settled(qx, qy)) continue;
+      const a = this.siteAt(qx, qy);
+      if (a) {
+        for (const b of this.links(a)) {
+          // Routes always run from the northern (then western) site, so either end asking gives one road
+          const [p, q] = a.ry < b.ry || (a.ry === b.ry && a.rx < b.rx) ? [a, b] : [b, a];
+          const link = `${p.id}|${q.id}`;
+          if (!this.roads.has(link)) return this._startRoad(link, p, q);
+        }
+      }
+      this.done.add(key);
+    }
+    return null;
+  }
+
+  _startRoad(key, a, b) {
+    const S = ROADS.STEP;
+    const sx = Math.floor(a.tx / S);
+    const sy = Math.floor(a.ty / S);
+    const gx = Math.floor(b.tx / S);
+    const gy = Math.floor(b.ty / S);
+    // The sites' own nodes stay open so a site at the water's edge still gets its road
+    const terrain = {
+      isBlocked: (nx, ny) => this._groundSpeed(nx, ny) < 0 && !(nx === sx && ny === sy) && !(nx === gx && ny === gy),
+      speedAt: (nx, ny) => Math.max(0, this._groundSpeed(nx, ny)),
+    };
+    const search = new PathSearch(sx, sy, gx, gy, terrain, {
+      maxNodes: ROADS.MAX_NODES,
+      margin: ROADS.MARGIN,
+      maxSpan: Infinity,
+      maxSpeed: maxSpeedFactor(),
+    });
+    return { key, a, b, search };
+  }
+
+  // Walking speed at a route node, from the river-free terrain at its center tile;
+  // -1 where the biome there is impassable
+  _groundSpeed(gx, gy) {
+    const key = `${gx},${gy}`;
+    let v = this.speedMemo.get(key);
+    if (v === undefined) {
+      const S = ROADS.STEP;
+      const axes = this.base.sampleAxes(gx * S + S / 2, gy * S + S / 2);
+      const id = classifyAxesId(axes);
+      v = isPassable(id, 0) ? speedFactor(id, 0, axes.rough) : -1;
+      if (this.speedMemo.size >= MAX_SPEED_MEMO) this.speedMemo.clear();
+      this.speedMemo.set(key, v);
+    }
+    return v;
+  }
+
+  _finishRoad({ key, a, b, search }) {
+    if (search.status !== 'found') {
+      this.roads.set(key, null);
+      return;
+    }
+    const S = ROADS.STEP;
+    const nodes = simplifyPath(search.path);
+    const points = [{ x: a.tx + 0.5, y: a.ty + 0.5 }];
+    for (let i = 1; i < nodes.length - 1; i++) points.push({ x: nodes[i].tx * S + S / 2, y: nodes[i].ty * S + S / 2 });
+    points.push({ x: b.tx + 0.5, y: b.ty + 0.5 });
+    const road = { key, a, b, points: smooth(points, SMOOTHING) };
+    this.roads.set(key, road);
+
+    // Index the road by the chunks it crosses; their masks are rebuilt on next use
+    for (const ck of this._roadChunks(road)) {
+      const list = this.roadsByChunk.get(ck);
+      if (list) list.push(road);
+      else this.roadsByChunk.set(ck, [road]);
+      this.masks.delete(ck);
+    }
+  }
+
+  // Drop a finished road from the chunk index
+  _unindex(road) {
+    for (const ck of this._roadChunks(road)) {
+      const list = this.roadsByChunk.get(ck);
+      if (!list) continue;
+      const rest = list.filter((r) => r !== road);
+      if (rest.length) this.roadsByChunk.set(ck, rest);
+      else this.roadsByChunk.delete(ck);
+      this.masks.delete(ck);
+    }
+  }
+
+  // Chunks the segments of a road reach into, widened by ROADS.HALF_WIDTH
+  _roadChunks(road) {
+    const hw = ROADS.HALF_WIDTH;
+    const chunks = new Set();
+    for (let i = 0; i < road.points.length - 1; i++) {
+      const p = road.points[i];
+      const q = road.points[i + 1];
+      const cx0 = Math.floor((Math.min(p.x, q.x) - hw) / CHUNK_SIZE);
+      const cx1 = Math.floor((Math.max(p.x, q.x) + hw) / CHUNK_SIZE);
+      const cy0 = Math.floor((Math.min(p.y, q.y) - hw) / CHUNK_SIZE);
+      const cy1 = Math.floor((Math.max(p.y, q.y) + hw) / CHUNK_SIZE);
+      for (let cy = cy0; cy <= cy1; cy++) {
+        for (let cx = cx0; cx <= cx1; cx++) chunks.add(`${cx},${cy}`);
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Whether a world tile lies on a finished road.
+   * @param {number} tx
+   * @param {number} ty
+   */
+  isRoad(tx, ty) {
+    const cx = Math.floor(tx / CHUNK_SIZE);
+    const cy = Math.floor(ty / CHUNK_SIZE);
+    const key = `${cx},${cy}`;
+    const roads = this.roadsByChunk.get(key);
+    if (!roads) return false;
+    let mask = this.masks.get(key);
+    if (!mask) {
+      mask = this._rasterize(cx, cy, roads);
+      if (this.masks.size >= MAX_MASKS) this.masks.clear();
+      this.masks.set(key, mask);
+    }
+    return mask[(ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE)] === 1;
+  }
+
+  // Tiles of a chunk whose center is within ROADS.HALF_WIDTH of a road's center line
+  _rasterize(cx, cy, roads) {
+    const mask = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+    const hw = ROADS.HALF_WIDTH;
+    const tx0 = cx * CHUNK_SIZE;
+    const ty0 = cy * CHUNK_SIZE;
+    for (const road of roads) {
+      for (let i = 0; i < road.points.length - 1; i++) {
+        const p = road.points[i];
+        const q = road.points[i + 1];
+        const x0 = Math.max(tx0, Math.floor(Math.min(p.x, q.x) - hw));
+        const x1 = Math.min(tx0 + CHUNK_SIZE - 1, Math.floor(Math.max(p.x, q.x) + hw));
+        const y0 = Math.max(ty0, Math.floor(Math.min(p.y, q.y) - hw));
+        const y1 = Math.min(ty0 + CHUNK_SIZE - 1, Math.floor(Math.max(p.y, q.y) + hw));
+        for (let ty = y0; ty <= y1; ty++) {
+          for (let tx = x0; tx <= x1; tx++) {
+            if (segDist2(tx + 0.5, ty + 0.5, p, q) <= hw * hw) mask[(ty - ty0) * CHUNK_SIZE + (tx - tx0)] = 1;
+          }
+        }
+      }
+    }
+    return mask;
+  }
+
+  /**
+   * Finished roads and placed sites overlapping a world px rectangle (for drawing).
+   * @param {{x:number, y:number, w:number, h:number}} rect
+   * @param {number} [pad] world px margin
+   * @returns {{roads:Road[], sites:Site[]}}
+   */
+  visible(rect, pad = 0) {
+    const x0 = (rect.x - pad) / TILE_SIZE;
+    const y0 = (rect.y - pad) / TILE_SIZE;
+    const x1 = (rect.x + rect.w + pad) / TILE_SIZE;
+    const y1 = (rect.y + rect.h + pad) / TILE_SIZE;
+    const inside = (site) => site && site.tx >= x0 && site.tx <= x1 && site.ty >= y0 && site.ty <= y1;
+
+    // Look roads up by the chunks in view, unless there are more of those than indexed chunks
+    const roads = [];
+    const cx0 = Math.floor(x0 / CHUNK_SIZE);
+    const cy0 = Math.floor(y0 / CHUNK_SIZE);
+    const cx1 = Math.floor(x1 / CHUNK_SIZE);
+    const cy1 = Math.floor(y1 / CHUNK_SIZE);
+    if ((cx1 - cx0 + 1) * (cy1 - cy0 + 1) <= this.roadsByChunk.size) {
+      const seen = new Set();
+      for (let cy = cy0; cy <= cy1; cy++) {
+        for (let cx = cx0; cx <= cx1; cx++) {
+          const list = this.roadsByChunk.get(`${cx},${cy}`);
+          if (!list) continue;
+          for (const road of list) {
+            if (seen.has(road)) continue;
+            seen.add(road);
+            roads.push(road);
+          }
+        }
+      }
+    } else {
+      for (const road of this.roads.values()) {
+        if (!road) continue;
+        const { a, b } = road;
+        // Routes stay within ROADS.MARGIN nodes of the box around their ends
+        const m = (ROADS.MARGIN + 1) * ROADS.STEP;
+        if (Math.max(a.tx, b.tx) + m < x0 || Math.min(a.tx, b.tx) - m > x1) continue;
+        if (Math.max(a.ty, b.ty) + m < y0 || Math.min(a.ty, b.ty) - m > y1) continue;
+        roads.push(road);
+      }
+    }
+
+    // Likewise sites, by the regions in view
+    const sites = [];
+    const R = SETTLEMENTS.REGION_TILES;
+    const rx0 = Math.floor(x0 / R);
+    const ry0 = Math.floor(y0 / R);
+    const rx1 = Math.floor(x1 / R);
+    const ry1 = Math.floor(y1 / R);
+    if ((rx1 - rx0 + 1) * (ry1 - ry0 + 1) <= this.sites.size) {
+      for (let ry = ry0; ry <= ry1; ry++) {
+        for (let rx = rx0; rx <= rx1; rx++) {
+          const site = this.sites.get(`${rx},${ry}`);
+          if (inside(site)) sites.push(site);
+        }
+      }
+    } else {
+      for (const site of this.sites.values()) if (inside(site)) sites.push(site);
+    }
+    return { roads, sites };
+  }
+
+  /** Counts for the debug console. */
+  getStats() {
+    let sites = 0;
+    let roads = 0;
+    let failed = 0;
+    for (const s of this.sites.values()) if (s) sites++;
+    for (const r of this.roads.values()) {
+      if (r) roads++;
+      else failed++;
+    }
+    return { regions: this.sites.size, sites, roads, failed, routing: !!this.job, placing: this.pending.size };
+  }
+}
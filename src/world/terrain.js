@@ -0,0 +1,51 @@
+/**
+ * Terrain rules derived from tile data (biome id + river order + axes).
+ * Biomes declare `passable` and `speed` in biomes.csv; river tiles above
+ * RIVERS.FORD_MAX_ORDER are too deep to wade, shallower ones are slow going,
+ * and rough ground costs extra (see TERRAIN in config.js).
+ */
+import { RIVERS, TERRAIN } from '../config.js';
+import { getBiomeById, getActiveBiomes } from './biomes.js';
+
+/**
+ * Whether a tile with this biome id and river order can be walked on.
+ * Unknown ids (e.g. chunks generated before a biome reload) count as passable.
+ * @param {number} id biome id
+ * @param {number} water river order (0 = dry)
+ */
+export function isPassable(id, water) {
+  if (water > RIVERS.FORD_MAX_ORDER) return false;
+  const b = getBiomeById(id);
+  return !b || b.passable !== false;
+}
+
+/**
+ * Movement speed multiplier for a tile (1 = normal ground).
+ * @param {number} id biome id
+ * @param {number} water river order (0 = dry)
+ * @param {number} rough roughness axis 0..1
+ */
+export function speedFactor(id, water, rough) {
+  const b = getBiomeById(id);
+  let f = b && Number.isFinite(b.speed) ? b.speed : 1;
+  if (rough > TERRAIN.ROUGH_START) {
+    f *= 1 - TERRAIN.ROUGH_PENALTY * (rough - TERRAIN.ROUGH_START) / (1 - TERRAIN.ROUGH_START);
+  }
+  if (water > 0) f *= TERRAIN.WADE_FACTOR;
+  return Math.max(TERRAIN.MIN_FACTOR, f);
+}
+
+/**
+ * Fastest speed multiplier of any biome: the largest biome `speed` (penalties only
+ * slow the player down). Path costs divided by it never overestimate off road (roads,
+ * at ROADS.SPEED, can be faster).
+ * @param {Array<{speed?:number}>} [list] biome prototypes
+ */
+export function maxSpeedFactor(list = getActiveBiomes()) {
+  let max = TERRAIN.MIN_FACTOR;
+  for (const b of list) {
+    const f = Number.isFinite(b.speed) ? b.speed : 1;
+    if (f > max) max = f;
+  }
+  return max;
+}
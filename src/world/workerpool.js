@@ -0,0 +1,191 @@
+import { CHUNK_WORKERS } from '../config.js';
+
+// Worker crashes (after a successful start) the pool recovers from before giving up
+const MAX_RESTARTS = 3;
+
+/**
+ * Pool of chunk generation workers (see chunkworker.js).
+ *
+ * Jobs are queued by key; whenever a worker is idle the queued job with the
+ * lowest priority value is dispatched (priority is evaluated at dispatch time,
+ * so it tracks a moving player). Queued jobs can be cancelled; jobs already
+ * running in a worker always complete and are reported through onResult.
+ * A worker that crashes is restarted (its job fails through onError); a pool whose
+ * workers cannot start, or crash too often, fails as a whole through onFailed.
+ *
+ * Usage:
+ *   const pool = new ChunkWorkerPool({ seeds: { elevSeed, moistSeed, riverSeed }, biomes });
+ *   pool.onResult = (job, data) => { ... }; // data: see chunkdata.js
+ *   pool.onFailed = (message) => { ... };   // fall back to the main thread
+ *   pool.request({ key: '0,0', cx: 0, cy: 0 });
+ *   pool.request({ key: 'o:8:0,0', type: 'overview', tx0: 0, ty0: 0, size: 32, step: 8 });
+ *   pool.request({ key: '0,0', type: 'site', rx: 0, ry: 0, seed }); // see settlements.js
+ */
+export class ChunkWorkerPool {
+  /**
+   * @param {{seeds:{elevSeed:number,moistSeed:number,riverSeed:number}, biomes:Array, size?:number}} opts
+   */
+  constructor(opts) {
+    const hw = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    const size = Number.isFinite(opts.size) ? opts.size : Math.min(CHUNK_WORKERS, Math.max(1, hw - 1));
+
+    /** @type {Map<string, {id:number,key:string,cx:number,cy:number,step?:number}>} queued jobs */
+    this.queue = new Map();
+    /** @type {Map<number, any>} jobs currently running, by job id */
+    this.running = new Map();
+    this.nextId = 1;
+    this.failed = false;
+
+    /** @type {(job:any)=>number} lower runs first */
+    this.priority = () => 0;
+    /** @type {(job:any, data:{cx:number,cy:number,size:number,ids:Uint16Array,axes:Record<string,Uint8Array>,water:Uint8Array})=>void} */
+    this.onResult = () => {};
+    /** @type {(job:any, message:string)=>void} */
+    this.onError = () => {};
+    /** @type {(message:string)=>void} the pool gave up; outstanding jobs were reported through onError */
+    this.onFailed = () => {};
+
+    this.seeds = opts.seeds;
+    this.biomes = opts.biomes;
+    this.restarts = 0;
+    this.workers = [];
+    for (let i = 0; i < Math.max(1, size); i++) {
+      const slot = { worker: null, job: null, ready: false };
+      this._spawn(slot);
+      this.workers.push(slot);
+    }
+  }
+
+  /**
+   * Queue a job unless one with the same key is already queued. Jobs generate chunk
+   * data by default; `type: 'overview'` jobs return generateOverviewIds() output and
+   * `type: 'site'` jobs placeSite() output.
+   * @param {{key:string,cx?:number,cy?:number,step?:number,type?:'overview'|'site',tx0?:number,ty0?:number,size?:number,rx?:number,ry?:number,seed?:number}} job
+   * @returns {number} job id (0 if the pool has failed)
+   */
+  request(job) {
+    if (this.failed) return 0;
+    const existing = this.queue.get(job.key);
+    if (existing) return existing.id;
+    const queued = { ...job, id: this.nextId++ };
+    this.queue.set(job.key, queued);
+    this._pump();
+    return queued.id;
+  }
+
+  /**
+   * Drop a queued job. Returns true if it was still queued.
+   * @param {string} key
+   */
+  cancel(key) {
+    return this.queue.delete(key);
+  }
+
+  /**
+   * Drop all queued jobs.
+   */
+  cancelAll() {
+    this.queue.clear();
+  }
+
+  /**
+   * Ship a new biome prototype list to every worker (applies to jobs dispatched afterwards).
+   * @param {Array} biomes
+   */
+  setBiomes(biomes) {
+    this.biomes = biomes; // for workers started after a crash
+    for (const slot of this.workers) {
+      slot.worker.postMessage({ type: 'biomes', biomes });
+    }
+  }
+
+  get pendingCount() {
+    return this.queue.size + this.running.size;
+  }
+
+  terminate() {
+    for (const slot of this.workers) slot.worker.terminate();
+    this.workers = [];
+    this.queue.clear();
+    this.running.clear();
+  }
+
+  // Start (or restart) the worker of a slot with the current seeds and biomes
+  _spawn(slot) {
+    const worker = new Worker(new URL('./chunkworker.js', import.meta.url), { type: 'module' });
+    slot.worker = worker;
+    slot.job = null;
+    slot.ready = false;
+    worker.onmessage = (e) => this._handleMessage(slot, e.data);
+    worker.onerror = (e) => this._handleFailure(slot, e && e.message ? e.message : 'worker error');
+    worker.postMessage({ type: 'init', seeds: this.seeds, biomes: this.biomes });
+  }
+
+  _pump() {
+    for (const slot of this.workers) {
+      if (slot.job || this.queue.size === 0) continue;
+
+      let best = null;
+      let bestP = Infinity;
+      for (const job of this.queue.values()) {
+        const p = this.priority(job);
+        if (best === null || p < bestP) {
+          best = job;
+          bestP = p;
+        }
+      }
+      this.queue.delete(best.key);
+      slot.job = best;
+      this.running.set(best.id, best);
+      if (best.type === 'overview') {
+        slot.worker.postMessage({ type: 'overview', id: best.id, tx0: best.tx0, ty0: best.ty0, size: best.size, step: best.step });
+      } else if (best.type === 'site') {
+        slot.worker.postMessage({ type: 'site', id: best.id, rx: best.rx, ry: best.ry, seed: best.seed });
+      } else {
+        slot.worker.postMessage({ type: 'generate', id: best.id, cx: best.cx, cy: best.cy, step: best.step || 1 });
+      }
+    }
+  }
+
+  _handleMessage(slot, msg) {
+    if (!msg) return;
+    if (msg.type === 'ready') {
+      slot.ready = true;
+      return;
+    }
+    const job = this.running.get(msg.id);
+    this.running.delete(msg.id);
+    if (slot.job && slot.job.id === msg.id) slot.job = null;
+
+    if (job) {
+      if (msg.type === 'chunk' || msg.type === 'overview' || msg.type === 'site') this.onResult(job, msg.data);
+      else this.onError(job, msg.message || 'chunk generation failed');
+    }
+    this._pump();
+  }
+
+  _handleFailure(slot, message) {
+    const job = slot.job;
+    slot.job = null;
+    if (job) this.running.delete(job.id);
+    slot.worker.terminate();
+
+    // A worker that crashes after starting is replaced; its job is reported as failed
+    if (slot.ready && this.restarts < MAX_RESTARTS) {
+      this.restarts++;
+      this._spawn(slot);
+      if (job) this.onError(job, message);
+      this._pump();
+      return;
+    }
+
+    // A worker that fails to load (e.g. no module worker support) or keeps crashing
+    // poisons the pool; report everything outstanding so the caller can fall back to
+    // the main thread.
+    this.failed = true;
+    const outstanding = [...(job ? [job] : []), ...this.running.values(), ...this.queue.values()];
+    this.terminate();
+    for (const j of outstanding) this.onError(j, message);
+    this.onFailed(message);
+  }
+}
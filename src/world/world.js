@@ -1,6 +1,10 @@
-import { CHUNK_PIXEL_SIZE, VIEW_CHUNK_MARGIN } from '../config.js';
-import { generateChunkCanvas, chunkWorldOriginPx } from './chunk.js';
+import { CHUNK_SIZE, CHUNK_PIXEL_SIZE, VIEW_CHUNK_MARGIN, CHUNK_CACHE_MAX_CHUNKS, CHUNK_CACHE_MAX_BYTES, LOD_LEVELS, DECOR, ROADS, TILE_SIZE } from '../config.js';
+import { paintChunkCanvas, createPlaceholderCanvas, chunkWorldOriginPx } from './chunk.js';
 import { chunkKey } from './chunk.js';
+import { generateChunkData, chunkDataBytes, readTile, dequantize } from './chunkdata.js';
+import { getActiveBiomes } from './biomes.js';
+import { isPassable, speedFactor } from './terrain.js';
+import { generateProps, propsBytes } from './decor.js';
 
 /**
  * Available render view modes for chunks.
@@ -9,47 +13,482 @@ import { chunkKey } from './chunk.js';
  */
 export const VIEW_MODES = new Set(['biomes', 'temp', 'moist', 'elev', 'rough', 'sal', 'fert', 'fire']);
 
+// A chunk whose generation failed in a worker is retried after RETRY_FRAMES, doubling
+// with each failure; after JOB_RETRIES failures it stays a placeholder until clearChunks()
+const RETRY_FRAMES = 30;
+const JOB_RETRIES = 4;
+
+// Frames over which recent evictions are counted (about a second at 60 fps)
+const EVICT_WINDOW_FRAMES = 60;
+
+/**
+ * Estimated memory held by a canvas backing store (RGBA, 4 bytes per pixel).
+ * @param {{width:number,height:number}} canvas
+ */
+function canvasBytes(canvas) {
+  return (canvas.width | 0) * (canvas.height | 0) * 4;
+}
+
+/** Inverse of chunkKey(): "cx,cy" or "cx,cy@step". */
+function parseKey(key) {
+  const at = key.indexOf('@');
+  const [cx, cy] = (at < 0 ? key : key.slice(0, at)).split(',').map(Number);
+  return { cx, cy, step: at < 0 ? 1 : Number(key.slice(at + 1)) };
+}
+
 /**
- * World manager: caches chunk canvases and computes visible ranges.
+ * World manager: caches chunk data and canvases and computes visible ranges.
+ * Tile data (see chunkdata.js) is independent of the view mode; canvases are
+ * painted from it on demand. The cache is bounded by a chunk-count and byte budget; see prune().
+ * With a worker pool attached, chunks are generated off the main thread and a
+ * placeholder is returned until they arrive; chunks whose job failed are retried with
+ * backoff, and if the pool fails as a whole the world generates on the main thread.
+ * Per-tile queries for movement (isTilePassable(), getTileSpeed()) never wait on the
+ * pool either: a tile whose chunk is still on its way counts as blocked.
+ * Zoomed-out views ask for coarse level-of-detail rasters (step > 1, see LOD_LEVELS);
+ * they share the cache, and count toward the chunk budget by area (1/step^2).
+ * Decoration props (see decor.js) are scattered over full-resolution chunk data on
+ * first use and kept with it; with `decorBlocking` on, trees and boulders block tiles.
+ * With a road network attached (`roads`, see settlements.js), road tiles are fast and
+ * bridge rivers and props, but not impassable biomes.
  */
 export class World {
   /**
    * @param {{elevation?:(x:number,y:number)=>number, moisture?:(x:number,y:number)=>number, sampleAxes?:(x:number,y:number)=>{temp:number,moist:number,elev:number,rough:number,sal:number,fert:number,fire:number}}} noise
+   * @param {{maxChunks?:number,maxBytes?:number,decorSeed?:number}} [opts] cache budget overrides;
+   *   decorSeed: seed of the decoration scatter
    */
-  constructor(noise) {
+  constructor(noise, opts = {}) {
     this.noise = noise;
-    /** @type {Map<string, HTMLCanvasElement>} */
+    /** @type {Map<string, {cx:number,cy:number,step:number,data:any,canvas:HTMLCanvasElement|null,canvasMode:string|null,bytes:number,lastUsed:number}>} */
     this.chunks = new Map();
     /** @type {'biomes'|'temp'|'moist'|'elev'|'rough'|'sal'|'fert'|'fire'} */
     this.viewMode = 'biomes';
+
+    // Cache budget and bookkeeping
+    this.maxChunks = Number.isFinite(opts.maxChunks) ? opts.maxChunks : CHUNK_CACHE_MAX_CHUNKS;
+    this.maxBytes = Number.isFinite(opts.maxBytes) ? opts.maxBytes : CHUNK_CACHE_MAX_BYTES;
+    this.cacheBytes = 0;
+    this.cacheUnits = 0; // full-resolution chunk equivalents
+    this.frame = 0; // advanced once per prune() call (i.e. once per rendered frame)
+    this.stats = { generated: 0, evicted: 0, recentEvicted: 0 };
+    this.evictWindow = new Uint32Array(EVICT_WINDOW_FRAMES); // evictions per frame, ring buffer
+
+    // Async generation
+    /** @type {import('./workerpool.js').ChunkWorkerPool|null} */
+    this.pool = null;
+    /** @type {Map<string, number>} chunk key -> outstanding job id */
+    this.pending = new Map();
+    /** @type {Set<string>} pending keys requested outside the view (kept by prune) */
+    this.background = new Set();
+    /** @type {Map<string, {count:number, retryAt:number}>} chunk keys whose generation failed */
+    this.failures = new Map();
+    this.focus = { x: 0, y: 0 }; // world px used to prioritise generation
+    this.placeholder = null;
+    /** @type {((cx:number, cy:number) => void)|null} called when full-resolution chunk data leaves the cache */
+    this.onEvict = null;
+
+    // Decoration props
+    this.decorSeed = (opts.decorSeed ?? 0) >>> 0;
+    this.decorBlocking = DECOR.BLOCKING;
+    /** @type {{isRoad:(tx:number, ty:number) => boolean}|null} */
+    this.roads = null;
+  }
+
+  /**
+   * Attach (or detach with null) a chunk worker pool.
+   * @param {import('./workerpool.js').ChunkWorkerPool|null} pool
+   */
+  setWorkerPool(pool) {
+    if (this.pool && this.pool !== pool) this.pool.terminate();
+    this.pool = pool || null;
+    this.pending.clear();
+    this.background.clear();
+    this.failures.clear();
+    if (!this.pool) return;
+
+    this.pool.priority = (job) => {
+      const cxPx = (job.cx + 0.5) * CHUNK_PIXEL_SIZE - this.focus.x;
+      const cyPx = (job.cy + 0.5) * CHUNK_PIXEL_SIZE - this.focus.y;
+      return cxPx * cxPx + cyPx * cyPx;
+    };
+    this.pool.onResult = (job, data) => {
+      // Stale results (cancelled, cleared or re-requested) are dropped
+      if (this.pending.get(job.key) !== job.id) return;
+      this.pending.delete(job.key);
+      this.background.delete(job.key);
+      this.failures.delete(job.key);
+      // Data may already exist if it was requested synchronously meanwhile
+      if (!this.chunks.has(job.key)) this._store(job.key, job.cx, job.cy, data);
+    };
+    this.pool.onError = (job, message) => {
+      if (this.pending.get(job.key) === job.id) this.pending.delete(job.key);
+      this.background.delete(job.key);
+      if (this.pool && this.pool.failed) return; // onFailed follows
+      const failure = this.failures.get(job.key) || { count: 0, retryAt: 0 };
+      failure.count++;
+      failure.retryAt = failure.count >= JOB_RETRIES ? Infinity : this.frame + RETRY_FRAMES * 2 ** (failure.count - 1);
+      this.failures.set(job.key, failure);
+      if (failure.count === JOB_RETRIES) {
+        // eslint-disable-next-line no-console
+        console.warn(`Chunk ${job.key} failed ${failure.count} times, giving up: ${message}`);
+      }
+    };
+    this.pool.onFailed = (message) => {
+      // eslint-disable-next-line no-console
+      console.warn(`Chunk workers unavailable, generating on main thread: ${message}`);
+      this.setWorkerPool(null);
+    };
+  }
+
+  /**
+   * Set the world position (usually the player) that generation is prioritised around.
+   * @param {number} x world px
+   * @param {number} y world px
+   */
+  setFocus(x, y) {
+    this.focus.x = x;
+    this.focus.y = y;
+  }
+
+  // Queue generation with the pool unless it is queued already or backing off after a failure
+  _queue(key, cx, cy, step) {
+    if (this.pending.has(key)) return;
+    const failure = this.failures.get(key);
+    if (failure && this.frame < failure.retryAt) return;
+    const id = this.pool.request({ key, cx, cy, step });
+    if (id) this.pending.set(key, id);
+  }
+
+  _store(key, cx, cy, data) {
+    const step = data.step || 1;
+    const entry = { cx, cy, step, data, canvas: null, canvasMode: null, bytes: chunkDataBytes(data), lastUsed: this.frame };
+    this.chunks.set(key, entry);
+    this.cacheBytes += entry.bytes;
+    this.cacheUnits += 1 / (step * step);
+    this.stats.generated++;
+    return entry;
+  }
+
+  _delete(key, entry) {
+    this.chunks.delete(key);
+    this.cacheBytes -= entry.bytes;
+    this.cacheUnits -= 1 / (entry.step * entry.step);
+  }
+
+  // Any cached canvas of this chunk (another detail level) already painted for the view mode
+  _fallbackCanvas(cx, cy, step) {
+    for (const level of LOD_LEVELS) {
+      if (level.step === step) continue;
+      const entry = this.chunks.get(chunkKey(cx, cy, level.step));
+      if (entry && entry.canvas && entry.canvasMode === this.viewMode) return entry.canvas;
+    }
+    return null;
+  }
+
+  _setCanvas(entry, canvas, mode) {
+    const delta = (canvas ? canvasBytes(canvas) : 0) - (entry.canvas ? canvasBytes(entry.canvas) : 0);
+    entry.bytes += delta;
+    this.cacheBytes += delta;
+    entry.canvas = canvas;
+    entry.canvasMode = canvas ? mode : null;
   }
 
   /**
-   * Get (or generate and cache) a chunk canvas.
+   * Get a chunk canvas. Without a worker pool the chunk is generated synchronously;
+   * with one, generation is queued and, until it is ready, another detail level of
+   * the same chunk (if cached) or a shared placeholder is returned.
+   * Draw the result scaled to CHUNK_PIXEL_SIZE.
    * @param {number} cx
    * @param {number} cy
+   * @param {number} [step] level of detail: tiles per raster sample (1 = full resolution)
    * @returns {HTMLCanvasElement}
    */
-  getChunkCanvas(cx, cy) {
+  getChunkCanvas(cx, cy, step = 1) {
+    const key = chunkKey(cx, cy, step);
+    let entry = this.chunks.get(key);
+    if (!entry) {
+      if (this.pool) {
+        this._queue(key, cx, cy, step);
+        const fallback = this._fallbackCanvas(cx, cy, step);
+        if (fallback) return fallback;
+        if (!this.placeholder) this.placeholder = createPlaceholderCanvas();
+        return this.placeholder;
+      }
+      entry = this._store(key, cx, cy, generateChunkData(cx, cy, this.noise, undefined, step));
+    }
+    if (!entry.canvas || entry.canvasMode !== this.viewMode) {
+      this._setCanvas(entry, paintChunkCanvas(entry.data, this.viewMode), this.viewMode);
+    }
+    entry.lastUsed = this.frame;
+    return entry.canvas;
+  }
+
+  /**
+   * Get tile data for a chunk, generating it synchronously on a cache miss.
+   * @param {number} cx
+   * @param {number} cy
+   * @returns {{cx:number,cy:number,size:number,ids:Uint16Array,axes:Record<string,Uint8Array>,water:Uint8Array}}
+   */
+  getChunkData(cx, cy) {
+    return this._loadEntry(cx, cy).data;
+  }
+
+  // Cache entry of a chunk's full-resolution data, generated here on a miss
+  _loadEntry(cx, cy) {
     const key = chunkKey(cx, cy);
-    let canvas = this.chunks.get(key);
-    if (!canvas) {
-      canvas = generateChunkCanvas(cx, cy, this.noise, this.viewMode);
-      this.chunks.set(key, canvas);
+    let entry = this.chunks.get(key);
+    if (!entry) entry = this._store(key, cx, cy, generateChunkData(cx, cy, this.noise));
+    entry.lastUsed = this.frame;
+    return entry;
+  }
+
+  /**
+   * Tile data for a chunk at any detail level without blocking on a worker pool:
+   * cached data is returned at once; otherwise generation is queued and null is
+   * returned until it arrives. Unlike view requests, these jobs are not cancelled
+   * when the chunk is off screen. Without a pool the data is generated synchronously.
+   * @param {number} cx
+   * @param {number} cy
+   * @param {number} [step] tiles per sample
+   * @returns {ReturnType<typeof generateChunkData>|null}
+   */
+  requestChunkData(cx, cy, step = 1) {
+    const key = chunkKey(cx, cy, step);
+    let entry = this.chunks.get(key);
+    if (!entry) {
+      if (this.pool) {
+        // Only a job that was queued (not declined while backing off) is kept off-screen
+        this._queue(key, cx, cy, step);
+        if (this.pending.has(key)) this.background.add(key);
+        return null;
+      }
+      entry = this._store(key, cx, cy, generateChunkData(cx, cy, this.noise, undefined, step));
+    }
+    entry.lastUsed = this.frame;
+    return entry.data;
+  }
+
+  /**
+   * Biome id and (quantized) axes of a world tile, served from the chunk cache.
+   * @param {number} tx world tile x
+   * @param {number} ty world tile y
+   * @returns {{tx:number,ty:number,id:number,water:number,axes:{temp:number,moist:number,elev:number,rough:number,sal:number,fert:number,fire:number}}}
+   */
+  getTile(tx, ty) {
+    const cx = Math.floor(tx / CHUNK_SIZE);
+    const cy = Math.floor(ty / CHUNK_SIZE);
+    const data = this.getChunkData(cx, cy);
+    const { id, water, axes } = readTile(data, tx - cx * CHUNK_SIZE, ty - cy * CHUNK_SIZE);
+    return { tx, ty, id, water, axes };
+  }
+
+  /**
+   * Biome id of a world tile (like getTile(), without building the axes).
+   * @param {number} tx world tile x
+   * @param {number} ty world tile y
+   */
+  getTileId(tx, ty) {
+    const cx = Math.floor(tx / CHUNK_SIZE);
+    const cy = Math.floor(ty / CHUNK_SIZE);
+    const data = this.getChunkData(cx, cy);
+    return data.ids[(ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE)];
+  }
+
+  // Decoration props of a full-resolution cache entry, scattered on first use and
+  // added to its bytes
+  _props(entry) {
+    const { data } = entry;
+    if (!data.props) {
+      data.props = generateProps(data, this.decorSeed);
+      const bytes = propsBytes(data.props);
+      entry.bytes += bytes;
+      this.cacheBytes += bytes;
     }
-    return canvas;
+    return data.props;
+  }
+
+  /**
+   * Decoration props of a chunk, scattered from its tile data on first use (generates
+   * the data synchronously on a cache miss, like getChunkData()).
+   * @param {number} cx
+   * @param {number} cy
+   * @returns {ReturnType<typeof generateProps>}
+   */
+  getChunkProps(cx, cy) {
+    return this._props(this._loadEntry(cx, cy));
+  }
+
+  /**
+   * Props of a chunk whose full-resolution data is already cached, or null. Never
+   * generates tile data (for drawing while workers catch up).
+   * @param {number} cx
+   * @param {number} cy
+   */
+  peekChunkProps(cx, cy) {
+    const entry = this.chunks.get(chunkKey(cx, cy));
+    return entry ? this._props(entry) : null;
+  }
+
+  /**
+   * The decoration prop standing on a world tile, or null (also while its chunk is not
+   * cached; see peekChunkProps()).
+   * @param {number} tx world tile x
+   * @param {number} ty world tile y
+   */
+  getTileProp(tx, ty) {
+    const cx = Math.floor(tx / CHUNK_SIZE);
+    const cy = Math.floor(ty / CHUNK_SIZE);
+    const props = this.peekChunkProps(cx, cy);
+    if (!props) return null;
+    for (const p of props.list) {
+      if (Math.floor(p.x / TILE_SIZE) === tx && Math.floor(p.y / TILE_SIZE) === ty) return p;
+    }
+    return null;
+  }
+
+  // Full-resolution cache entry of a chunk for tile queries, or null while a worker
+  // generates it. Without a pool, or with `load`, it is generated here.
+  _tileEntry(cx, cy, load) {
+    const entry = this.chunks.get(chunkKey(cx, cy));
+    if (entry) {
+      entry.lastUsed = this.frame;
+      return entry;
+    }
+    if (load || !this.pool) return this._loadEntry(cx, cy);
+    this.requestChunkData(cx, cy);
+    return null;
+  }
+
+  /**
+   * Whether the full-resolution data of a world tile's chunk is cached.
+   * @param {number} tx world tile x
+   * @param {number} ty world tile y
+   * @param {boolean} [request] ask for a missing chunk (see requestChunkData)
+   */
+  isTileLoaded(tx, ty, request = false) {
+    const cx = Math.floor(tx / CHUNK_SIZE);
+    const cy = Math.floor(ty / CHUNK_SIZE);
+    if (request) return this.requestChunkData(cx, cy) !== null;
+    return this.chunks.has(chunkKey(cx, cy));
+  }
+
+  /**
+   * Whether a world tile can be walked on (see terrain.js), counting blocking props
+   * while `decorBlocking` is on. Roads bridge rivers and are cleared of props, but
+   * an impassable biome stays blocked under one. Never
+   * blocks on a worker pool: a tile whose chunk is still being generated counts as
+   * blocked (its generation is queued) unless `load` asks to generate it here, for
+   * one-off checks such as teleports.
+   * @param {number} tx world tile x
+   * @param {number} ty world tile y
+   * @param {boolean} [load] generate a missing chunk synchronously
+   */
+  isTilePassable(tx, ty, load = false) {
+    const cx = Math.floor(tx / CHUNK_SIZE);
+    const cy = Math.floor(ty / CHUNK_SIZE);
+    const entry = this._tileEntry(cx, cy, load);
+    if (!entry) return false;
+    const { data } = entry;
+    const i = (ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE);
+    if (this.roads && this.roads.isRoad(tx, ty)) return isPassable(data.ids[i], 0);
+    if (!isPassable(data.ids[i], data.water[i])) return false;
+    return !this.decorBlocking || !this._props(entry).blocked[i];
   }
 
   /**
-   * Clear all cached chunk canvases (forces regeneration on next render).
+   * Movement speed multiplier of a world tile (see terrain.js); 1 = normal ground,
+   * ROADS.SPEED on a road. Like isTilePassable(), never blocks on a worker pool: a tile
+   * still being generated reads as 1 (it is blocked until it arrives).
+   * @param {number} tx world tile x
+   * @param {number} ty world tile y
+   * @param {boolean} [load] generate a missing chunk synchronously
+   */
+  getTileSpeed(tx, ty, load = false) {
+    if (this.roads && this.roads.isRoad(tx, ty)) return ROADS.SPEED;
+    const cx = Math.floor(tx / CHUNK_SIZE);
+    const cy = Math.floor(ty / CHUNK_SIZE);
+    const entry = this._tileEntry(cx, cy, load);
+    if (!entry) return 1;
+    const { data } = entry;
+    const i = (ty - cy * CHUNK_SIZE) * CHUNK_SIZE + (tx - cx * CHUNK_SIZE);
+    return speedFactor(data.ids[i], data.water[i], dequantize(data.axes.rough[i]));
+  }
+
+  /**
+   * Clear all cached chunk data and canvases (forces regeneration on next render).
+   * Outstanding worker jobs are cancelled and workers receive the current biome list.
    */
   clearChunks() {
+    if (this.onEvict) {
+      for (const entry of Array.from(this.chunks.values())) if (entry.step === 1) this.onEvict(entry.cx, entry.cy);
+    }
     this.chunks.clear();
+    this.cacheBytes = 0;
+    this.cacheUnits = 0;
+    this.pending.clear();
+    this.background.clear();
+    this.failures.clear();
+    if (this.pool) {
+      this.pool.cancelAll();
+      this.pool.setBiomes(getActiveBiomes());
+    }
+  }
+
+  /**
+   * Snapshot of cache size, budget and eviction counters (for the debug console).
+   */
+  getCacheStats() {
+    let lodChunks = 0;
+    for (const entry of this.chunks.values()) if (entry.step !== 1) lodChunks++;
+    return {
+      chunks: this.chunks.size - lodChunks,
+      lodChunks,
+      units: this.cacheUnits,
+      bytes: this.cacheBytes,
+      maxChunks: this.maxChunks,
+      maxBytes: this.maxBytes,
+      generated: this.stats.generated,
+      evicted: this.stats.evicted,
+      recentEvicted: this.stats.recentEvicted,
+      evictWindow: EVICT_WINDOW_FRAMES,
+      pending: this.pending.size,
+      failed: this.failures.size,
+      workers: this.pool ? this.pool.workers.length : 0,
+    };
+  }
+
+  /**
+   * Props scattered so far over cached chunks, by type (for the debug console).
+   */
+  getPropStats() {
+    const byType = {};
+    let chunks = 0;
+    let props = 0;
+    let blocking = 0;
+    for (const entry of this.chunks.values()) {
+      const p = entry.step === 1 ? entry.data.props : null;
+      if (!p) continue;
+      chunks++;
+      props += p.list.length;
+      for (const prop of p.list) byType[prop.type] = (byType[prop.type] || 0) + 1;
+      for (let i = 0; i < p.blocked.length; i++) blocking += p.blocked[i];
+    }
+    return { chunks, props, blocking, byType };
+  }
+
+  /**
+   * Change the cache budget. Takes effect on the next prune().
+   * @param {{maxChunks?:number,maxBytes?:number}} budget
+   */
+  setCacheBudget(budget = {}) {
+    if (Number.isFinite(budget.maxChunks) && budget.maxChunks > 0) this.maxChunks = Math.floor(budget.maxChunks);
+    if (Number.isFinite(budget.maxBytes) && budget.maxBytes > 0) this.maxBytes = Math.floor(budget.maxBytes);
   }
 
   /**
    * Set the current rendering view mode ('biomes' or a single axis).
-   * Clears cached chunks when changed to force regeneration.
+   * Cached tile data is kept; canvases are repainted from it when next drawn.
    * @param {'biomes'|'temp'|'moist'|'elev'|'rough'|'sal'|'fert'|'fire'} mode
    */
   setViewMode(mode) {
@@ -59,7 +498,7 @@ export class World {
     }
     if (m !== this.viewMode) {
       this.viewMode = m;
-      this.clearChunks();
+      for (const entry of this.chunks.values()) this._setCanvas(entry, null, null);
     }
   }
 
@@ -102,8 +541,60 @@ export class World {
   }
 
   /**
-   * Optional future: prune far-away chunks.
-   * Not implemented in this starter to keep behavior simple.
+   * Evict cached chunks until the cache fits its budget. Call once per frame.
+   * Chunks of the current detail level inside the visible range (plus margin) are
+   * never evicted; the rest are dropped least-recently-used first, breaking ties by
+   * distance from the camera. Queued generation for chunks that left the visible
+   * range (or belong to another detail level) is cancelled, except requestChunkData() jobs.
+   * @param {{x:number,y:number,w:number,h:number}} [rectPx] camera rect in world pixels
+   * @param {number} [marginChunks]
+   * @param {number} [step] detail level being drawn
+   * @returns {number} number of chunks evicted
    */
-  prune() {}
-}
\ No newline at end of file
+  prune(rectPx, marginChunks = VIEW_CHUNK_MARGIN, step = 1) {
+    this.frame++;
+    // The slot of the frame leaving the window is reused for this one
+    const slot = this.frame % EVICT_WINDOW_FRAMES;
+    this.stats.recentEvicted -= this.evictWindow[slot];
+    this.evictWindow[slot] = 0;
+
+    const range = rectPx ? this.getVisibleChunkRange(rectPx, marginChunks) : null;
+    const inView = (cx, cy, s) => range && s === step &&
+      cx >= range.minCx && cx <= range.maxCx && cy >= range.minCy && cy <= range.maxCy;
+    if (range && this.pending.size) {
+      for (const key of Array.from(this.pending.keys())) {
+        const k = parseKey(key);
+        if (!inView(k.cx, k.cy, k.step) && !this.background.has(key)) {
+          this.pending.delete(key);
+          this.pool?.cancel(key);
+        }
+      }
+    }
+
+    if (this.cacheUnits <= this.maxChunks && this.cacheBytes <= this.maxBytes) return 0;
+
+    const centerCx = rectPx ? (rectPx.x + rectPx.w / 2) / CHUNK_PIXEL_SIZE - 0.5 : 0;
+    const centerCy = rectPx ? (rectPx.y + rectPx.h / 2) / CHUNK_PIXEL_SIZE - 0.5 : 0;
+
+    const candidates = [];
+    for (const [key, entry] of this.chunks) {
+      if (inView(entry.cx, entry.cy, entry.step)) continue;
+      const dx = entry.cx - centerCx;
+      const dy = entry.cy - centerCy;
+      candidates.push({ key, entry, d2: dx * dx + dy * dy });
+    }
+    candidates.sort((a, b) => (a.entry.lastUsed - b.entry.lastUsed) || (b.d2 - a.d2));
+
+    let evicted = 0;
+    for (const c of candidates) {
+      if (this.cacheUnits <= this.maxChunks && this.cacheBytes <= this.maxBytes) break;
+      this._delete(c.key, c.entry);
+      if (c.entry.step === 1 && this.onEvict) this.onEvict(c.entry.cx, c.entry.cy);
+      evicted++;
+    }
+    this.stats.evicted += evicted;
+    this.stats.recentEvicted += evicted;
+    this.evictWindow[slot] = evicted;
+    return evicted;
+  }
+}